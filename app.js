@@ -4,11 +4,24 @@
 
 // ── 1. Constants ─────────────────────────────
 
+const MODES = ['note', 'interval', 'chord', 'scale', 'dictation', 'progression', 'degree', 'sing'];
+
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 const NATURAL_NOTES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
 const BLACK_NOTE_INDICES = new Set([1, 3, 6, 8, 10]);
 const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11, 12];
 
+// Letters for NATURAL_NOTES in each naming system. Answers, stats and links
+// always use NOTE_NAMES; these only change what is shown (see spellNote).
+const NOTE_SYSTEMS = {
+  english: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
+  german:  ['C', 'D', 'E', 'F', 'G', 'A', 'H'],
+  solfege: ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Si'],
+};
+const ACCIDENTAL_STYLES = ['sharps', 'flats', 'context'];
+const FLAT_KEYS = [5, 10, 3, 8, 1]; // tonics of F, Bb, Eb, Ab and Db major
+const COMMON_FLATS = [3, 8, 10];    // Eb, Ab and Bb outside a key; C# and F# stay sharp
+
 const INTERVALS = [
   { semitones: 0,  name: 'Unison' },
   { semitones: 1,  name: 'Minor 2nd' },
@@ -27,45 +40,281 @@ const INTERVALS = [
 
 const EASY_INTERVALS = [0, 2, 4, 5, 7, 12];
 
+// Symmetric and suspended chords are not invertible: their inversions sound
+// like root-position chords on another root, so they only appear in root position.
 const CHORDS = [
-  { name: 'Major',   semitones: [0, 4, 7],     pool: 'basic' },
-  { name: 'Minor',   semitones: [0, 3, 7],     pool: 'basic' },
-  { name: 'Dim',     semitones: [0, 3, 6],     pool: 'triads' },
-  { name: 'Aug',     semitones: [0, 4, 8],     pool: 'triads' },
-  { name: 'Dom7',    semitones: [0, 4, 7, 10], pool: 'seventh' },
-  { name: 'Maj7',    semitones: [0, 4, 7, 11], pool: 'seventh' },
-  { name: 'Min7',    semitones: [0, 3, 7, 10], pool: 'seventh' },
-  { name: 'Dim7',    semitones: [0, 3, 6, 9],  pool: 'extended' },
-  { name: 'm7b5',    semitones: [0, 3, 6, 10], pool: 'extended' },
-  { name: 'Sus2',    semitones: [0, 2, 7],     pool: 'extended' },
-  { name: 'Sus4',    semitones: [0, 5, 7],     pool: 'extended' },
+  { name: 'Major',   semitones: [0, 4, 7],     pool: 'basic',    invertible: true },
+  { name: 'Minor',   semitones: [0, 3, 7],     pool: 'basic',    invertible: true },
+  { name: 'Dim',     semitones: [0, 3, 6],     pool: 'triads',   invertible: true },
+  { name: 'Aug',     semitones: [0, 4, 8],     pool: 'triads',   invertible: false },
+  { name: 'Dom7',    semitones: [0, 4, 7, 10], pool: 'seventh',  invertible: true },
+  { name: 'Maj7',    semitones: [0, 4, 7, 11], pool: 'seventh',  invertible: true },
+  { name: 'Min7',    semitones: [0, 3, 7, 10], pool: 'seventh',  invertible: true },
+  { name: 'Dim7',    semitones: [0, 3, 6, 9],  pool: 'extended', invertible: false },
+  { name: 'm7b5',    semitones: [0, 3, 6, 10], pool: 'extended', invertible: true },
+  { name: 'Sus2',    semitones: [0, 2, 7],     pool: 'extended', invertible: false },
+  { name: 'Sus4',    semitones: [0, 5, 7],     pool: 'extended', invertible: false },
+];
+
+// Indexed by which chord tone is in the bass
+const INVERSION_NAMES = ['root', '1st inv', '2nd inv', '3rd inv'];
+
+// Steps are semitone offsets from the tonic, ending on the octave.
+const SCALES = [
+  { name: 'Major',          steps: [0, 2, 4, 5, 7, 9, 11, 12],      pool: 'basic' },
+  { name: 'Natural Minor',  steps: [0, 2, 3, 5, 7, 8, 10, 12],      pool: 'basic' },
+  { name: 'Harmonic Minor', steps: [0, 2, 3, 5, 7, 8, 11, 12],      pool: 'common' },
+  { name: 'Melodic Minor',  steps: [0, 2, 3, 5, 7, 9, 11, 12],      pool: 'common' },
+  { name: 'Major Pent.',    steps: [0, 2, 4, 7, 9, 12],             pool: 'common' },
+  { name: 'Minor Pent.',    steps: [0, 3, 5, 7, 10, 12],            pool: 'common' },
+  { name: 'Blues',          steps: [0, 3, 5, 6, 7, 10, 12],         pool: 'common' },
+  { name: 'Dorian',         steps: [0, 2, 3, 5, 7, 9, 10, 12],      pool: 'modes' },
+  { name: 'Phrygian',       steps: [0, 1, 3, 5, 7, 8, 10, 12],      pool: 'modes' },
+  { name: 'Lydian',         steps: [0, 2, 4, 6, 7, 9, 11, 12],      pool: 'modes' },
+  { name: 'Mixolydian',     steps: [0, 2, 4, 5, 7, 9, 10, 12],      pool: 'modes' },
+  { name: 'Locrian',        steps: [0, 1, 3, 5, 6, 8, 10, 12],      pool: 'modes' },
+  { name: 'Whole Tone',     steps: [0, 2, 4, 6, 8, 10, 12],         pool: 'modes' },
+  { name: 'Diminished',     steps: [0, 2, 3, 5, 6, 8, 9, 11, 12],   pool: 'modes' },
+];
+
+// Chords are built from CHORDS on a root `root` semitones above the major-key tonic.
+const ROMAN_NUMERALS = [
+  { numeral: 'I',     root: 0,  chord: 'Major', pool: 'primary' },
+  { numeral: 'IV',    root: 5,  chord: 'Major', pool: 'primary' },
+  { numeral: 'V',     root: 7,  chord: 'Major', pool: 'primary' },
+  { numeral: 'V7',    root: 7,  chord: 'Dom7',  pool: 'primary' },
+  { numeral: 'ii',    root: 2,  chord: 'Minor', pool: 'diatonic' },
+  { numeral: 'iii',   root: 4,  chord: 'Minor', pool: 'diatonic' },
+  { numeral: 'vi',    root: 9,  chord: 'Minor', pool: 'diatonic' },
+  { numeral: 'vii°',  root: 11, chord: 'Dim',   pool: 'diatonic' },
+  { numeral: 'V/V',   root: 2,  chord: 'Major', pool: 'chromatic' },
+  { numeral: 'V/ii',  root: 9,  chord: 'Major', pool: 'chromatic' },
+  { numeral: 'V/vi',  root: 4,  chord: 'Major', pool: 'chromatic' },
+  { numeral: 'iv',    root: 5,  chord: 'Minor', pool: 'chromatic' },
+  { numeral: '♭III',  root: 3,  chord: 'Major', pool: 'chromatic' },
+  { numeral: '♭VI',   root: 8,  chord: 'Major', pool: 'chromatic' },
+  { numeral: '♭VII',  root: 10, chord: 'Major', pool: 'chromatic' },
+];
+
+const PROGRESSIONS = [
+  { numerals: ['I', 'IV', 'V', 'I'],            pool: 'primary' },
+  { numerals: ['I', 'V', 'I'],                  pool: 'primary' },
+  { numerals: ['I', 'IV', 'I'],                 pool: 'primary' },
+  { numerals: ['I', 'V7', 'I'],                 pool: 'primary' },
+  { numerals: ['IV', 'V', 'I'],                 pool: 'primary' },
+  { numerals: ['I', 'V', 'IV', 'I'],            pool: 'primary' },
+  { numerals: ['I', 'IV', 'V7', 'I'],           pool: 'primary' },
+  { numerals: ['ii', 'V', 'I'],                 pool: 'diatonic' },
+  { numerals: ['I', 'vi', 'IV', 'V'],           pool: 'diatonic' },
+  { numerals: ['I', 'V', 'vi', 'IV'],           pool: 'diatonic' },
+  { numerals: ['vi', 'IV', 'I', 'V'],           pool: 'diatonic' },
+  { numerals: ['I', 'vi', 'ii', 'V'],           pool: 'diatonic' },
+  { numerals: ['I', 'IV', 'V', 'vi'],           pool: 'diatonic' },
+  { numerals: ['I', 'iii', 'IV', 'V'],          pool: 'diatonic' },
+  { numerals: ['I', 'IV', 'vii°', 'iii', 'vi'], pool: 'diatonic' },
+  { numerals: ['I', 'V/V', 'V', 'I'],           pool: 'chromatic' },
+  { numerals: ['I', 'V/vi', 'vi', 'IV'],        pool: 'chromatic' },
+  { numerals: ['I', 'V/ii', 'ii', 'V', 'I'],    pool: 'chromatic' },
+  { numerals: ['I', 'iv', 'I'],                 pool: 'chromatic' },
+  { numerals: ['I', 'IV', 'iv', 'I'],           pool: 'chromatic' },
+  { numerals: ['I', '♭VI', '♭VII', 'I'],        pool: 'chromatic' },
+  { numerals: ['I', '♭VII', 'IV', 'I'],         pool: 'chromatic' },
+  { numerals: ['I', '♭III', 'IV', 'I'],         pool: 'chromatic' },
+];
+
+// Degrees are relative to a major tonic; chromatic degrees use movable-do syllables.
+const SCALE_DEGREES = [
+  { semitones: 0,  degree: '1',  solfege: 'Do',  pool: 'triad' },
+  { semitones: 1,  degree: '♭2', solfege: 'Ra',  pool: 'chromatic' },
+  { semitones: 2,  degree: '2',  solfege: 'Re',  pool: 'diatonic' },
+  { semitones: 3,  degree: '♭3', solfege: 'Me',  pool: 'chromatic' },
+  { semitones: 4,  degree: '3',  solfege: 'Mi',  pool: 'triad' },
+  { semitones: 5,  degree: '4',  solfege: 'Fa',  pool: 'diatonic' },
+  { semitones: 6,  degree: '♯4', solfege: 'Fi',  pool: 'chromatic' },
+  { semitones: 7,  degree: '5',  solfege: 'Sol', pool: 'triad' },
+  { semitones: 8,  degree: '♭6', solfege: 'Le',  pool: 'chromatic' },
+  { semitones: 9,  degree: '6',  solfege: 'La',  pool: 'diatonic' },
+  { semitones: 10, degree: '♭7', solfege: 'Te',  pool: 'chromatic' },
+  { semitones: 11, degree: '7',  solfege: 'Ti',  pool: 'diatonic' },
 ];
 
+const KEY_CADENCE = ['I', 'IV', 'V', 'I'];
+
+// Scale-degree questions stay in one key for this many questions
+const DEGREE_KEY_LENGTH = 8;
+
+const DIFFICULTY_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard', adaptive: 'Adaptive', custom: 'Custom' };
+const UNKNOWN_DIFFICULTY = 'unknown'; // challenge bests kept from before difficulty was recorded
+
 const DIFFICULTY = {
-  easy:   { noteDuration: 1.5, replayLimit: Infinity, notePool: 'natural',   intervalPool: 'easy',            chordPool: 'basic' },
-  medium: { noteDuration: 1.0, replayLimit: Infinity, notePool: 'chromatic', intervalPool: 'all',             chordPool: 'triads' },
-  hard:   { noteDuration: 0.5, replayLimit: 2,        notePool: 'chromatic', intervalPool: 'all+descending',  chordPool: 'all' },
+  easy:   { noteDuration: 1.5, replayLimit: Infinity, notePool: 'natural',   intervalPool: 'easy',            chordPool: 'basic',  voicingPool: 'root',       scalePool: 'basic',          melodyLength: 3, progressionPool: 'primary',  degreePool: 'diatonic',  singTolerance: 50 },
+  medium: { noteDuration: 1.0, replayLimit: Infinity, notePool: 'chromatic', intervalPool: 'all',             chordPool: 'triads', voicingPool: 'inversions', scalePool: 'common',         melodyLength: 5, progressionPool: 'diatonic', degreePool: 'chromatic', singTolerance: 35 },
+  hard:   { noteDuration: 0.5, replayLimit: 2,        notePool: 'chromatic', intervalPool: 'all+descending',  chordPool: 'all',    voicingPool: 'all',        scalePool: 'all+descending', melodyLength: 8, progressionPool: 'all',      degreePool: 'chromatic', singTolerance: 20 },
+};
+
+// Custom drills: presets pick exact items for these modes (any other mode,
+// or one with nothing picked, uses the Medium pool at the preset's tempo).
+const CUSTOM_DRILL_MODES = ['note', 'interval', 'chord'];
+const REPLAY_LIMIT_OPTIONS = [null, 0, 1, 2, 3, 5]; // null = unlimited
+
+// Adaptive difficulty introduces items in this order, one at a time, once
+// every item already in play is mastered. `start` items are in play at first.
+const ADAPTIVE_CURRICULUM = {
+  note: {
+    start: 3,
+    items: ['C', 'G', 'F', 'D', 'A', 'E', 'B', 'F#', 'A#', 'C#', 'G#', 'D#'],
+  },
+  interval: {
+    start: 3,
+    items: (function () {
+      var asc = ['Perfect 5th', 'Octave', 'Major 3rd', 'Perfect 4th', 'Minor 3rd', 'Major 2nd', 'Unison',
+        'Major 6th', 'Minor 2nd', 'Minor 6th', 'Tritone', 'Minor 7th', 'Major 7th'];
+      var desc = asc.filter(function (n) { return n !== 'Unison'; })
+        .map(function (n) { return n + ' (desc)'; });
+      return asc.concat(desc);
+    })(),
+  },
+  chord: {
+    start: 2,
+    items: (function () {
+      // Root positions in CHORDS order, then each inversion of the invertible chords
+      var items = CHORDS.map(function (c) { return c.name; });
+      for (var inv = 1; inv < INVERSION_NAMES.length; inv++) {
+        CHORDS.forEach(function (c) {
+          if (c.invertible && inv < c.semitones.length) items.push(c.name + ' (' + INVERSION_NAMES[inv] + ')');
+        });
+      }
+      return items;
+    })(),
+  },
+  scale: {
+    start: 2,
+    items: SCALES.map(function (sc) { return sc.name; }),
+  },
+  dictation: {
+    start: 1,
+    items: ['3 notes', '4 notes', '5 notes', '6 notes', '7 notes', '8 notes'],
+  },
+  progression: {
+    start: 2,
+    items: PROGRESSIONS.map(function (p) { return p.numerals.join('–'); }),
+  },
+  degree: {
+    start: 3,
+    items: ['1', '5', '3', '4', '2', '6', '7', '♭7', '♭3', '♯4', '♭6', '♭2'],
+  },
+  sing: {
+    start: 2,
+    items: (function () {
+      // Matching a note first, then intervals in roughly the order singers find them
+      var asc = ['Unison', 'Octave', 'Perfect 5th', 'Major 3rd', 'Perfect 4th', 'Major 2nd', 'Minor 3rd',
+        'Major 6th', 'Minor 2nd', 'Minor 6th', 'Minor 7th', 'Major 7th', 'Tritone'];
+      var desc = asc.filter(function (n) { return n !== 'Unison'; })
+        .map(function (n) { return n + ' (desc)'; });
+      return asc.concat(desc);
+    })(),
+  },
+};
+
+// Sing-back: targets stay within C3–C5, and a pitch must be held steady
+// (readings within SING_STEADY_CENTS of each other) for SING_HOLD_FRAMES.
+const SING_RANGE = { low: 48, high: 72 };
+const SING_FRAME_MS = 50;
+const SING_HOLD_FRAMES = 16;
+const SING_STEADY_CENTS = 40;
+const SING_TIMEOUT_MS = 6000;
+const TUNING_METER_CENTS = 100;
+
+// MIDI input: the two notes of an interval may be played one after the other,
+// but a first note older than this starts a new attempt.
+const MIDI_INTERVAL_TIMEOUT_MS = 3000;
+
+// MIDI files: exported questions are separated by MIDI_EXPORT_GAP seconds;
+// an imported file keeps at most MIDI_SOURCE_LIMIT notes of its melody line.
+const MIDI_EXPORT_GAP = 2;
+const MIDI_SOURCE_LIMIT = 2000;
+const SESSION_LOG_LIMIT = 500;
+
+// Skill is a Beta posterior over accuracy; older answers fade by SKILL_DECAY
+// each time so the estimate follows recent form (roughly the last ten answers).
+const SKILL_DECAY = 0.9;
+const MASTERY_THRESHOLD = 0.8;
+const MASTERY_MIN_ANSWERS = 5;
+
+// Largest jump (in semitones) between consecutive notes of a dictation melody
+const MELODY_MAX_LEAP = 7;
+
+// Challenge formats: beat the clock, keep your lives, or answer a fixed number
+// of questions as fast as possible (a sprint's best is its lowest time)
+const CHALLENGE_FORMATS = {
+  timed30: { seconds: 30 },
+  timed60: { seconds: 60 },
+  timed120: { seconds: 120 },
+  suddenDeath: { lives: 3 },
+  sprint20: { questions: 20 },
 };
+const DEFAULT_CHALLENGE = 'timed60';
+const SPRINT_PENALTY_MS = 5000; // added to a sprint's time for each wrong answer
+
+// Daily challenge: the same mixed round for everyone on a given date, played
+// once a day at a fixed difficulty and octave range
+const DAILY_LENGTH = 20;
+const DAILY_MODES = ['note', 'interval', 'chord'];
+const DAILY_DIFFICULTY = 'medium';
+const DAILY_RANGE = { octaveMin: 3, octaveMax: 5 };
+const DAILY_CALENDAR_WEEKS = 5;
+
+// Leitner boxes: how long (ms) an item rests after being answered correctly
+// from each box. A wrong answer drops the item back to box 0 (due at once).
+const REVIEW_INTERVALS = [
+  0,
+  10 * 60 * 1000,          // 10 minutes
+  24 * 60 * 60 * 1000,     // 1 day
+  3 * 24 * 60 * 60 * 1000, // 3 days
+  7 * 24 * 60 * 60 * 1000, // 1 week
+  21 * 24 * 60 * 60 * 1000, // 3 weeks
+];
 
-const ADAPTIVE_TIERS = {
-  note: [
-    { notePool: 'natural',   noteDuration: 1.5, replayLimit: Infinity, label: 'Natural Notes' },
-    { notePool: 'chromatic', noteDuration: 1.2, replayLimit: Infinity, label: 'All Notes' },
-    { notePool: 'chromatic', noteDuration: 0.7, replayLimit: 4,        label: 'Fast Chromatic' },
-  ],
-  interval: [
-    { intervalPool: 'easy',            noteDuration: 1.5, replayLimit: Infinity, label: 'Basic Intervals' },
-    { intervalPool: 'all',             noteDuration: 1.0, replayLimit: Infinity, label: 'All Intervals' },
-    { intervalPool: 'all+descending',  noteDuration: 0.7, replayLimit: 3,        label: 'All + Descending' },
-  ],
-  chord: [
-    { chordPool: 'basic',  noteDuration: 2.0, replayLimit: Infinity, label: 'Major & Minor' },
-    { chordPool: 'triads', noteDuration: 1.5, replayLimit: Infinity, label: 'All Triads' },
-    { chordPool: 'all',    noteDuration: 1.2, replayLimit: 3,        label: 'All Chords' },
-  ],
+// Answer log: past ANSWER_LOG_LIMIT entries the oldest ANSWER_LOG_COMPACT are
+// folded into per-item counts, keeping the totals but dropping the detail.
+// Every profile's log shares the storage quota, so saveData folds sooner
+// when it fills up.
+const ANSWER_LOG_LIMIT = 3000;
+const ANSWER_LOG_COMPACT = 1000;
+const TIMED_HISTORY_LIMIT = 1000;
+
+// Speed scoring in timed challenges: a correct answer given within fastMs of
+// the end of playback earns maxPoints, falling linearly to minPoints at slowMs.
+const SPEED_SCORING = { maxPoints: 10, minPoints: 2, fastMs: 500, slowMs: 4000 };
+
+// Progress charts: date ranges offered (days, 0 = everything logged) and how
+// many buckets the rolling average spans for each bucket size.
+const PROGRESS_RANGES = [7, 30, 90, 365, 0];
+const ROLLING_WINDOW = { day: 7, week: 4 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Confusion matrix: modes answered with a single button, and how often a
+// pair must be confused (out of how many times the item was heard) before
+// Focus Areas names it.
+const CONFUSION_MODES = ['note', 'interval', 'chord', 'scale', 'progression', 'degree'];
+const CONFUSION_MIN_COUNT = 2;
+const CONFUSION_MIN_HEARD = 5;
+
+// A confused-pair drill opens the pools wide; allowedItems then narrows
+// them to the pair, the same way adaptive difficulty does.
+const DRILL_POOLS = {
+  notePool: 'chromatic',
+  intervalPool: 'all+descending',
+  chordPool: 'all',
+  voicingPool: 'inversions',
+  scalePool: 'all+descending',
+  progressionPool: 'all',
+  degreePool: 'chromatic',
 };
 
-const TIMED_DURATION = 60;
+// Answer buttons are keyed 1-9, 0, then along the top letter row (skipping
+// R, which replays); buttons past the last key have no shortcut or hint.
+const ANSWER_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', 'q', 'w', 'e', 't', 'y', 'u', 'i', 'o', 'p'];
 
 // ── 2. Audio Engine ──────────────────────────
 
@@ -89,65 +338,351 @@ function noteNameFromMidi(midi) {
   return NOTE_NAMES[midi % 12];
 }
 
+function noteLabelFromMidi(midi) {
+  return noteNameFromMidi(midi) + (Math.floor(midi / 12) - 1);
+}
+
+// Plays through the selected instrument's samples when they are loaded,
+// otherwise (synth selected, still loading, or failed) through the oscillators.
 function playTone(freq, duration, delayStart, gainMultiplier) {
   delayStart = delayStart || 0;
   gainMultiplier = gainMultiplier || 1;
 
+  var bank = sampleBanks[state.settings.instrument];
+  if (bank && bank.status === 'ready') {
+    playSample(bank, freq, duration, delayStart, gainMultiplier);
+  } else {
+    playSynthTone(freq, duration, delayStart, gainMultiplier);
+  }
+}
+
+// Synth patches. cutoff is a multiple of the note frequency, detune is in
+// cents, harmonicN is the level of an added sine partial, and fmIndex > 0
+// frequency-modulates the oscillators at freq * fmRatio.
+const SYNTH_PRESETS = {
+  classic: { waveform: 'triangle', attack: 0.04, decay: 0.1, sustain: 0.7, release: 0.15,
+             cutoff: 4, resonance: 0.7, detune: 5, harmonic2: 0, harmonic3: 0, harmonic4: 0, fmRatio: 1, fmIndex: 0 },
+  organ:   { waveform: 'sine', attack: 0.01, decay: 0.05, sustain: 0.9, release: 0.08,
+             cutoff: 8, resonance: 0.5, detune: 2, harmonic2: 0.7, harmonic3: 0.45, harmonic4: 0.3, fmRatio: 1, fmIndex: 0 },
+  strings: { waveform: 'sawtooth', attack: 0.18, decay: 0.2, sustain: 0.8, release: 0.3,
+             cutoff: 3, resonance: 1, detune: 9, harmonic2: 0, harmonic3: 0, harmonic4: 0, fmRatio: 1, fmIndex: 0 },
+  bell:    { waveform: 'sine', attack: 0.005, decay: 1.2, sustain: 0.05, release: 0.4,
+             cutoff: 8, resonance: 0.5, detune: 0, harmonic2: 0, harmonic3: 0, harmonic4: 0, fmRatio: 3.5, fmIndex: 4 },
+  plucked: { waveform: 'sawtooth', attack: 0.003, decay: 0.35, sustain: 0.08, release: 0.1,
+             cutoff: 6, resonance: 2, detune: 3, harmonic2: 0, harmonic3: 0, harmonic4: 0, fmRatio: 1, fmIndex: 0 },
+};
+
+const PATCH_PARAMS = ['attack', 'decay', 'sustain', 'release', 'cutoff', 'resonance',
+  'detune', 'harmonic2', 'harmonic3', 'harmonic4', 'fmRatio', 'fmIndex'];
+
+function copyPatch(patch) {
+  var copy = { waveform: patch.waveform };
+  PATCH_PARAMS.forEach(function (key) { copy[key] = patch[key]; });
+  return copy;
+}
+
+function playSynthTone(freq, duration, delayStart, gainMultiplier, patch) {
+  patch = patch || state.settings.patch;
   const ctx = ensureAudioContext();
   const vol = state.settings.volume * gainMultiplier;
+  const start = ctx.currentTime + delayStart;
+  const stopAt = start + duration + 0.02;
 
-  // Main oscillator
+  // Sources are summed, then scaled back to the level of the two oscillators
+  // alone so added partials don't make the patch louder
+  const harmonics = [patch.harmonic2, patch.harmonic3, patch.harmonic4];
+  const mix = ctx.createGain();
+  mix.gain.value = 2 / (2 + harmonics.reduce(function (a, b) { return a + b; }, 0));
+
+  // Main oscillator plus a detuned chorus oscillator for richness
   const osc1 = ctx.createOscillator();
-  osc1.type = state.settings.waveform;
+  osc1.type = patch.waveform;
   osc1.frequency.value = freq;
 
-  // Chorus oscillator (slightly detuned for richness)
   const osc2 = ctx.createOscillator();
-  osc2.type = state.settings.waveform;
-  osc2.frequency.value = freq * 1.003;
+  osc2.type = patch.waveform;
+  osc2.frequency.value = freq;
+  osc2.detune.value = patch.detune;
+
+  const sources = [osc1, osc2];
+  osc1.connect(mix);
+  osc2.connect(mix);
+
+  harmonics.forEach(function (level, i) {
+    if (level <= 0) return;
+    const partial = ctx.createOscillator();
+    const partialGain = ctx.createGain();
+    partial.type = 'sine';
+    partial.frequency.value = freq * (i + 2);
+    partialGain.gain.value = level;
+    partial.connect(partialGain);
+    partialGain.connect(mix);
+    sources.push(partial);
+  });
+
+  // FM: the modulation index falls away with the decay, as in a struck bell
+  if (patch.fmIndex > 0) {
+    const mod = ctx.createOscillator();
+    const modGain = ctx.createGain();
+    const depth = patch.fmIndex * freq * patch.fmRatio;
+    mod.frequency.value = freq * patch.fmRatio;
+    modGain.gain.setValueAtTime(depth, start);
+    modGain.gain.setTargetAtTime(depth * 0.2, start, Math.max(patch.decay, 0.01) / 2);
+    mod.connect(modGain);
+    modGain.connect(osc1.frequency);
+    modGain.connect(osc2.frequency);
+    sources.push(mod);
+  }
 
-  // Low-pass filter for warmth
   const filter = ctx.createBiquadFilter();
   filter.type = 'lowpass';
-  filter.frequency.value = Math.min(freq * 4, 8000);
-  filter.Q.value = 0.7;
+  filter.frequency.value = Math.min(freq * patch.cutoff, 8000);
+  filter.Q.value = patch.resonance;
 
-  // Gain with ADSR envelope
+  // ADSR envelope. The decay is exponential toward the sustain level, so the
+  // release starts from wherever the decay has reached on short notes.
   const gain = ctx.createGain();
-  const start = ctx.currentTime + delayStart;
-  const attack = Math.min(0.04, duration * 0.1);
-  const decayEnd = start + attack + 0.1;
+  const attack = Math.max(0.002, Math.min(patch.attack, duration * 0.3));
+  const release = Math.min(patch.release, duration * 0.25);
   const peakLevel = vol * 0.28;
-  const sustainLevel = Math.max(vol * 0.2, 0.001);
-  const release = Math.min(0.15, duration * 0.25);
-  const releaseStart = start + duration - release;
+  const sustainLevel = Math.max(peakLevel * patch.sustain, 0.001);
+  const decayStart = start + attack;
+  const releaseStart = Math.max(decayStart, start + duration - release);
+  const tau = Math.max(patch.decay, 0.001) / 3;
+  const releaseLevel = sustainLevel +
+    (peakLevel - sustainLevel) * Math.exp(-(releaseStart - decayStart) / tau);
 
   gain.gain.setValueAtTime(0, start);
-  gain.gain.linearRampToValueAtTime(peakLevel, start + attack);
-  gain.gain.exponentialRampToValueAtTime(sustainLevel, decayEnd);
-  if (releaseStart > decayEnd) {
-    gain.gain.setValueAtTime(sustainLevel, releaseStart);
-  }
+  gain.gain.linearRampToValueAtTime(peakLevel, decayStart);
+  gain.gain.setTargetAtTime(sustainLevel, decayStart, tau);
+  gain.gain.setValueAtTime(releaseLevel, releaseStart);
   gain.gain.linearRampToValueAtTime(0.0001, start + duration);
 
   // Connect graph
-  osc1.connect(filter);
-  osc2.connect(filter);
+  mix.connect(filter);
   filter.connect(gain);
   gain.connect(ctx.destination);
 
-  osc1.start(start);
-  osc1.stop(start + duration + 0.02);
-  osc2.start(start);
-  osc2.stop(start + duration + 0.02);
+  sources.forEach(function (src) {
+    src.start(start);
+    src.stop(stopAt);
+  });
 }
 
-function playNote(midi, duration, delayStart, gainMult) {
-  playTone(midiToFreq(midi), duration, delayStart, gainMult);
+// Short arpeggio and chord for auditioning a patch in Settings
+function previewPatch(patch) {
+  [60, 64, 67, 72].forEach(function (midi, i) {
+    playSynthTone(midiToFreq(midi), 0.45, i * 0.4, 1, patch);
+  });
+  [60, 64, 67].forEach(function (midi) {
+    playSynthTone(midiToFreq(midi), 1.4, 1.7, 0.6, patch);
+  });
+}
+
+// ── Sampled instruments ──
+// 'custom' plays WAV/OGG files the user picked in Settings (kept in
+// IndexedDB). Display names are the locale strings instrument.<name>.
+
+const INSTRUMENTS = {
+  synth:  {},
+  custom: {},
+};
+
+const SAMPLE_RELEASE = 0.12;
+
+var sampleBanks = {}; // instrument -> { status: 'loading' | 'ready' | 'error', samples: [{ midi, buffer }] }
+
+// "C4", "F#2", "Bb3", optionally followed by anything ("C4-soft.wav")
+function parseNoteLabel(label) {
+  var m = /^([A-Ga-g])([#b]?)(-?\d)/.exec(label);
+  if (!m) return null;
+  var idx = NOTE_NAMES.indexOf(m[1].toUpperCase());
+  if (m[2] === '#') idx++;
+  if (m[2] === 'b') idx--;
+  return (parseInt(m[3], 10) + 1) * 12 + idx;
+}
+
+// Wraps the callback form of decodeAudioData, which older Safari still needs
+function decodeSample(data) {
+  var ctx = ensureAudioContext();
+  return new Promise(function (resolve, reject) {
+    ctx.decodeAudioData(data.slice(0), resolve, reject);
+  });
+}
+
+function loadInstrument(name) {
+  if (!INSTRUMENTS[name] || name === 'synth') {
+    renderAudioStatus();
+    return Promise.resolve();
+  }
+  if (sampleBanks[name] && sampleBanks[name].status !== 'error') {
+    renderAudioStatus();
+    return sampleBanks[name].promise;
+  }
+
+  var bank = { status: 'loading', samples: [] };
+  sampleBanks[name] = bank;
+  renderAudioStatus();
+
+  bank.promise = loadCustomSampleFiles()
+    .then(function (files) {
+      return Promise.all(files.map(function (file) {
+        var midi = parseNoteLabel(file.name);
+        if (midi === null) return null;
+        return decodeSample(file.data).then(function (buffer) {
+          return { midi: midi, buffer: buffer };
+        });
+      }));
+    })
+    .then(function (samples) {
+      bank.samples = samples.filter(Boolean).sort(function (a, b) { return a.midi - b.midi; });
+      if (!bank.samples.length) throw new Error('No usable samples');
+      bank.status = 'ready';
+    })
+    .catch(function () {
+      bank.status = 'error';
+    })
+    .then(renderAudioStatus);
+
+  return bank.promise;
+}
+
+// Pitch-shifts the nearest sampled root by resampling
+function playSample(bank, freq, duration, delayStart, gainMultiplier) {
+  var ctx = ensureAudioContext();
+  var midi = 69 + 12 * Math.log(freq / 440) / Math.LN2;
+  var nearest = bank.samples[0];
+  bank.samples.forEach(function (s) {
+    if (Math.abs(s.midi - midi) < Math.abs(nearest.midi - midi)) nearest = s;
+  });
+
+  var src = ctx.createBufferSource();
+  src.buffer = nearest.buffer;
+  src.playbackRate.value = Math.pow(2, (midi - nearest.midi) / 12);
+
+  var gain = ctx.createGain();
+  var start = ctx.currentTime + delayStart;
+  var level = state.settings.volume * gainMultiplier * 0.8;
+  var releaseStart = Math.max(start + 0.01, start + duration - SAMPLE_RELEASE);
+
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(level, start + 0.005);
+  gain.gain.setValueAtTime(level, releaseStart);
+  gain.gain.linearRampToValueAtTime(0.0001, start + duration);
+
+  src.connect(gain);
+  gain.connect(ctx.destination);
+  src.start(start);
+  src.stop(start + duration + 0.02);
+}
+
+// User-supplied samples live in IndexedDB so they survive a reload
+function openSampleDb() {
+  return new Promise(function (resolve, reject) {
+    var req = indexedDB.open('pitchTrainerSamples', 1);
+    req.onupgradeneeded = function () {
+      req.result.createObjectStore('custom', { keyPath: 'name' });
+    };
+    req.onsuccess = function () { resolve(req.result); };
+    req.onerror = function () { reject(req.error); };
+  });
+}
+
+function sampleStoreRequest(mode, action) {
+  return openSampleDb().then(function (db) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction('custom', mode);
+      var req = action(tx.objectStore('custom'));
+      tx.oncomplete = function () { resolve(req && req.result); };
+      tx.onerror = function () { reject(tx.error); };
+    });
+  });
+}
+
+function loadCustomSampleFiles() {
+  return sampleStoreRequest('readonly', function (store) { return store.getAll(); });
+}
+
+function saveCustomSampleFiles(fileList) {
+  var files = Array.prototype.slice.call(fileList);
+  return Promise.all(files.map(function (file) {
+    return file.arrayBuffer().then(function (data) { return { name: file.name, data: data }; });
+  })).then(function (records) {
+    return sampleStoreRequest('readwrite', function (store) {
+      store.clear();
+      records.forEach(function (r) { store.put(r); });
+    });
+  }).then(function () {
+    delete sampleBanks.custom;
+  });
+}
+
+function clearCustomSampleFiles() {
+  return sampleStoreRequest('readwrite', function (store) { store.clear(); })
+    .then(function () { delete sampleBanks.custom; });
+}
+
+// ── Microphone input ──
+// One stream is kept open for a sing-back session and released on leaving it.
+
+var mic = null; // { stream, source, analyser, buffer }
+var micRequest = null; // the pending getUserMedia promise, while permission is being asked
+
+// Every caller shares one stream: while a request is pending it is returned
+// rather than asking for a second stream.
+function startMicrophone() {
+  if (mic) return Promise.resolve(mic);
+  if (micRequest && !micRequest.cancelled) return micRequest;
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return Promise.reject(new Error('This browser has no microphone access'));
+  }
+  // Voice processing smooths pitch and gain, which skews the detector
+  var constraints = { audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } };
+  var request = navigator.mediaDevices.getUserMedia(constraints).then(function (stream) {
+    if (micRequest === request) micRequest = null;
+    // Sing-back was left while permission was pending
+    if (request.cancelled) {
+      stream.getTracks().forEach(function (track) { track.stop(); });
+      throw new Error('Microphone no longer needed');
+    }
+    var ctx = ensureAudioContext();
+    var analyser = ctx.createAnalyser();
+    analyser.fftSize = 2048;
+    var source = ctx.createMediaStreamSource(stream);
+    source.connect(analyser);
+    mic = { stream: stream, source: source, analyser: analyser, buffer: new Float32Array(analyser.fftSize) };
+    return mic;
+  }, function (err) {
+    if (micRequest === request) micRequest = null;
+    throw err;
+  });
+  micRequest = request;
+  return request;
+}
+
+function isMicrophonePending() {
+  return !!micRequest && !micRequest.cancelled;
+}
+
+function stopMicrophone() {
+  if (micRequest) {
+    micRequest.cancelled = true;
+    micRequest = null;
+  }
+  if (!mic) return;
+  mic.source.disconnect();
+  mic.stream.getTracks().forEach(function (track) { track.stop(); });
+  mic = null;
 }
 
-function playReferenceTone() {
-  playTone(440, 0.8);
+// Latest detected pitch from the microphone, or null
+function readMicPitch() {
+  mic.analyser.getFloatTimeDomainData(mic.buffer);
+  return PitchDetector.detectPitch(mic.buffer, audioCtx.sampleRate);
+}
+
+function playNote(midi, duration, delayStart, gainMult) {
+  playTone(midiToFreq(midi), duration, delayStart, gainMult);
 }
 
 function playMajorScale() {
@@ -162,84 +697,373 @@ function playMajorScale() {
   });
 }
 
-function playCurrentQuestion() {
+// Appends the I–IV–V–I cadence to events; returns the offset after it
+function scheduleKeyCadence(events, tonicMidi, offset) {
+  var chordDur = 0.55;
+  voiceProgression(KEY_CADENCE, tonicMidi).forEach(function (notes, i) {
+    var gain = 0.8 / Math.sqrt(notes.length);
+    notes.forEach(function (m) {
+      events.push({ midi: m, start: offset + i * (chordDur + 0.05), duration: chordDur, gain: gain });
+    });
+  });
+  return offset + KEY_CADENCE.length * (chordDur + 0.05) + 0.4;
+}
+
+// Everything playCurrentQuestion plays, as [{ midi, start, duration, gain }]
+// with start in seconds — also what MIDI export writes out.
+function getQuestionSchedule(q, isReplay) {
   var diff = getEffectiveDifficulty();
   var dur = diff.noteDuration;
   var offset = 0;
+  var events = [];
+
+  function add(midi, duration, start, gain) {
+    events.push({ midi: midi, start: start, duration: duration, gain: gain || 1 });
+  }
 
   if (state.settings.referenceTone) {
-    playReferenceTone();
+    add(69, 0.8, 0); // A4
     offset = 1.0;
   }
 
   if (state.mode === 'note') {
-    playNote(state.currentQuestion.midi, dur, offset);
+    add(q.midi, dur, offset);
   } else if (state.mode === 'interval') {
-    playNote(state.currentQuestion.midi1, dur, offset);
-    playNote(state.currentQuestion.midi2, dur, offset + dur + 0.15);
+    add(q.midi1, dur, offset);
+    add(q.midi2, dur, offset + dur + 0.15);
   } else if (state.mode === 'chord') {
-    var midiNotes = state.currentQuestion.midiNotes;
-    var perNoteGain = 1.0 / Math.sqrt(midiNotes.length);
-    midiNotes.forEach(function (m) {
-      playNote(m, dur * 1.5, offset, perNoteGain);
+    var perNoteGain = 1.0 / Math.sqrt(q.midiNotes.length);
+    q.midiNotes.forEach(function (m) {
+      add(m, dur * 1.5, offset, perNoteGain);
+    });
+  } else if (state.mode === 'scale') {
+    var stepDur = Math.max(0.2, dur * 0.3);
+    q.midiNotes.forEach(function (m, i) {
+      add(m, stepDur, offset + i * (stepDur + 0.04));
+    });
+  } else if (state.mode === 'dictation') {
+    var melodyDur = Math.max(0.25, dur * 0.45);
+    q.midiNotes.forEach(function (m, i) {
+      add(m, melodyDur, offset + i * (melodyDur + 0.1));
+    });
+  } else if (state.mode === 'degree') {
+    var context = state.settings.keyContext;
+    if (context === 'drone') {
+      var droneDur = 0.8 + dur + 0.3;
+      add(q.tonicMidi - 12, droneDur, offset, 0.35);
+      add(q.tonicMidi - 5, droneDur, offset, 0.25);
+      add(q.midi, dur, offset + 0.8);
+    } else {
+      // Replays always re-establish the key, even when the setting skips it
+      if (context === 'cadence' || q.newKey || isReplay) {
+        offset = scheduleKeyCadence(events, q.tonicMidi, offset);
+      }
+      add(q.midi, dur, offset);
+    }
+  } else if (state.mode === 'sing') {
+    // The 'name' prompt only plays the starting note of an interval
+    if (q.semitones > 0) {
+      add(q.startMidi, dur, offset);
+      offset += dur + 0.15;
+    }
+    if (state.settings.singPrompt === 'play') add(q.midi, dur, offset);
+  } else if (state.mode === 'progression') {
+    var chordDur = Math.max(0.5, dur * 0.8);
+    q.chords.forEach(function (notes, i) {
+      var gain = 1.0 / Math.sqrt(notes.length);
+      notes.forEach(function (m) {
+        add(m, chordDur, offset + i * (chordDur + 0.1), gain);
+      });
     });
   }
+  return events;
+}
+
+function playCurrentQuestion() {
+  var events = getQuestionSchedule(state.currentQuestion, state.replaysUsed > 0);
+  if (state.replaysUsed === 0) {
+    var end = events.reduce(function (t, e) { return Math.max(t, e.start + e.duration); }, 0);
+    state.playbackEndsAt = Date.now() + end * 1000;
+    logSessionQuestion(events);
+  }
+  events.forEach(function (e) {
+    playNote(e.midi, e.duration, e.start, e.gain);
+  });
 }
 
 // ── 3. State ─────────────────────────────────
 
+function defaultSettings() {
+  return {
+    octaveMin: 3,
+    octaveMax: 5,
+    synthPreset: 'classic',  // key of SYNTH_PRESETS, or 'custom' once edited
+    patch: copyPatch(SYNTH_PRESETS.classic),
+    instrument: 'synth',  // key of INSTRUMENTS
+    volume: 0.6,
+    referenceTone: false,
+    nameInversions: false, // Chord ID answers include the inversion, e.g. "Major (1st inv)"
+    progressionAnswer: 'whole', // 'whole' | 'chords' (Roman numeral per chord)
+    degreeLabels: 'numbers',    // 'numbers' | 'solfege'
+    keyContext: 'cadence',      // 'cadence' | 'drone' | 'keyChange' (cadence only in a new key)
+    spacedRepetition: true,     // bias question selection toward due and weak items
+    singPrompt: 'play',         // 'play' | 'name' — sing-back plays the target or only names it
+    language: 'en',             // a language registered with I18n (see locales/)
+    noteNames: 'english',       // key of NOTE_SYSTEMS
+    accidentals: 'sharps',      // one of ACCIDENTAL_STYLES; 'context' spells black keys for the key
+    challengeFormat: DEFAULT_CHALLENGE, // key of CHALLENGE_FORMATS
+    timedScoring: 'count',      // 'count' | 'speed' — clock formats score answers or fast answers
+    midiDevice: '',             // id of the MIDI input to answer from, '' for none
+    midiSound: true,            // play incoming MIDI notes through the app's own sound
+    useCustomSource: false,     // draw Note ID, Interval ID and dictation material from customSource
+    drillPresets: [],           // custom drills, see defaultDrillPreset
+    drillPreset: '',            // id of the preset the Custom difficulty plays
+  };
+}
+
 var state = {
-  mode: null,           // 'note' | 'interval' | 'chord'
-  difficulty: 'easy',   // 'easy' | 'medium' | 'hard' | 'adaptive'
+  mode: null,           // one of MODES
+  difficulty: 'easy',   // 'easy' | 'medium' | 'hard' | 'adaptive' | 'custom'
   screen: 'menu',
   previousScreen: 'menu',
-  score: { correct: 0, total: 0 },
+  score: { correct: 0, total: 0, points: 0 }, // points only count under speed scoring
   streak: 0,
-  bestStreak: { note: 0, interval: 0, chord: 0 },
+  bestStreak: zeroPerMode(),
   replaysUsed: 0,
   currentQuestion: null,
   userAnswer: null,
+  sequenceEntry: [],    // answers entered one by one (dictation notes, progression numerals)
+  degreeKey: null,      // { tonicMidi, remaining } — current key in scale-degree mode
   hintUsed: false,
   timedMode: false,
   timerInterval: null,
-  timerRemaining: TIMED_DURATION,
+  timerRemaining: 0,       // seconds left in a clock format
+  livesLeft: 0,            // lives left in sudden death
+  challengeStartedAt: 0,
+  challengeMs: 0,          // how long a finished sprint took
   timedAnswering: false,   // prevents double-answers in timed mode
-  adaptive: {
-    tier: 0,
-    history: [],
-  },
-  settings: {
-    octaveMin: 3,
-    octaveMax: 5,
-    waveform: 'triangle',
-    volume: 0.6,
-    referenceTone: false,
-  },
+  responseTimes: [],       // ms for each correct answer since the mode was picked
+  newlyUnlocked: null,     // adaptive item introduced by the last answer
+  shownResult: null,       // what the result screen on show was rendered from, to redraw it (see renderCurrentScreen)
+  singTake: null,       // { readings, timer, startedAt } while listening in sing-back mode
+  midiGesture: { held: [], notes: [], lastAt: 0 }, // MIDI notes collected toward one answer
+  sessionLog: [],       // [{ answer, events }] for each question played this session, for MIDI export
+  playbackEndsAt: 0,    // when the current question's first playback finishes (for response times)
+  customSource: null,   // { name, notes } — melody line of an imported MIDI file
+  drill: null,          // { mode, items: [heard, answered] } while drilling a confused pair
+  daily: null,          // { date, modes, index, startedAt } while playing the daily challenge
+  seed: '',             // seed of the current session's questions
+  linkDrill: null,      // drill opened from a link (see parseDrillLink) while it is being played
+  settings: defaultSettings(),
 };
 
 // ── 4. Stats ─────────────────────────────────
 
+function zeroPerMode() {
+  var map = {};
+  MODES.forEach(function (mode) { map[mode] = 0; });
+  return map;
+}
+
+// items[mode][itemKey] = [correct, total] plus overall totals, and
+// confusions[mode][heard][answered] = count (see confusionLabel)
+function emptyAggregates() {
+  var items = {};
+  var confusions = {};
+  MODES.forEach(function (mode) {
+    items[mode] = {};
+    confusions[mode] = {};
+  });
+  return { items: items, confusions: confusions, totalCorrect: 0, totalQuestions: 0 };
+}
+
 function defaultStats() {
+  var review = {};
+  var skill = {};
+  MODES.forEach(function (mode) {
+    review[mode] = {};
+    skill[mode] = {};
+  });
+  var aggregates = emptyAggregates();
   return {
-    items: { note: {}, interval: {}, chord: {} },
-    timedBest: { note: 0, interval: 0, chord: 0 },
+    log: [],         // one entry per answer, oldest first (see recordAnswer)
+    compacted: emptyAggregates(), // counts of answers folded out of the log
+    // items and the totals are derived from compacted + log, never saved
+    items: aggregates.items,
+    confusions: aggregates.confusions,
     totalCorrect: 0,
     totalQuestions: 0,
+    review: review,  // review[mode][itemKey] = { box, due } (see REVIEW_INTERVALS)
+    skill: skill,    // skill[mode][itemKey] = { a, b, n } (see SKILL_DECAY)
+    frontier: zeroPerMode(), // adaptive items unlocked per mode (0 = curriculum start)
+    challengeBests: {}, // challengeBests[key][mode][difficulty] = best score (see getChallengeKey)
+    timedHistory: [], // [{ time, mode, score, total, format, difficulty }] per finished challenge
+    daily: {},        // daily[date] = { correct, total, ms? } per daily challenge played (ms once finished)
   };
 }
 
 var stats = defaultStats();
 
-function recordStat(mode, itemKey, isCorrect) {
-  if (!stats.items[mode]) stats.items[mode] = {};
-  if (!stats.items[mode][itemKey]) stats.items[mode][itemKey] = [0, 0];
-  stats.items[mode][itemKey][1]++;
-  if (isCorrect) stats.items[mode][itemKey][0]++;
-  stats.totalQuestions++;
-  if (isCorrect) stats.totalCorrect++;
+function recordStat(mode, itemKey, isCorrect, answer) {
+  recordAnswer(mode, itemKey, isCorrect ? 1 : 0, 1, answer);
+  updateReview(mode, itemKey, isCorrect);
+  updateSkill(mode, itemKey, isCorrect ? 1 : 0);
+  saveData();
+}
+
+// Partial credit: the item accumulates every graded part (e.g. each note of a
+// melody) while the question only counts as correct if all parts were right.
+function recordPartialStat(mode, itemKey, partsCorrect, partsTotal, answer) {
+  recordAnswer(mode, itemKey, partsCorrect, partsTotal, answer);
+  updateSkill(mode, itemKey, partsCorrect / partsTotal);
   saveData();
 }
 
+// Appends to the answer log. The question on screen supplies the context:
+// difficulty, response time (see getResponseMs), replays and hint use.
+// The given answer is kept only when it was wrong (sing-back keeps the
+// cents off target; sequence modes keep everything that was entered), and
+// `heard` only when the question's answer doesn't match the item key.
+function recordAnswer(mode, itemKey, correct, total, answer) {
+  var entry = {
+    time: Date.now(),
+    mode: mode,
+    item: itemKey,
+    correct: correct,
+    total: total,
+    // The daily round is always played at DAILY_DIFFICULTY, whatever is selected
+    difficulty: state.daily ? DAILY_DIFFICULTY : state.difficulty,
+    ms: getResponseMs(),
+    replays: state.replaysUsed,
+    hint: state.hintUsed,
+  };
+  if (state.timedMode) entry.timed = true;
+  if (state.daily) entry.daily = true;
+  if (correct < total && answer !== undefined) entry.answer = answer;
+  if (typeof answer === 'string' && CONFUSION_MODES.indexOf(mode) !== -1) {
+    var heard = confusionLabel(mode, state.currentQuestion.answer);
+    if (heard !== itemKey) entry.heard = heard;
+  }
+
+  stats.log.push(entry);
+  foldAnswer(stats, entry);
+  if (stats.log.length > ANSWER_LOG_LIMIT) compactAnswerLog();
+}
+
+// Milliseconds from the end of the first playback to now; answering before
+// it finishes counts as 0. Entries logged before this measure started
+// counted from the start of playback instead.
+function getResponseMs() {
+  if (!state.playbackEndsAt) return null;
+  return Math.max(0, Date.now() - state.playbackEndsAt);
+}
+
+// Adds one log entry to an aggregates object (stats itself, or stats.compacted)
+function foldAnswer(agg, entry) {
+  if (!agg.items[entry.mode]) agg.items[entry.mode] = {};
+  var item = agg.items[entry.mode][entry.item];
+  if (!item) item = agg.items[entry.mode][entry.item] = [0, 0];
+  item[0] += entry.correct;
+  item[1] += entry.total;
+  agg.totalQuestions++;
+  if (entry.correct === entry.total) agg.totalCorrect++;
+
+  // Single-answer questions: correct ones land on the matrix diagonal
+  if (CONFUSION_MODES.indexOf(entry.mode) === -1 || entry.total !== 1) return;
+  if (!entry.correct && typeof entry.answer !== 'string') return;
+  var heard = entry.heard || entry.item;
+  var answered = entry.correct ? heard : confusionLabel(entry.mode, entry.answer);
+  if (!agg.confusions) agg.confusions = {};
+  if (!agg.confusions[entry.mode]) agg.confusions[entry.mode] = {};
+  var row = agg.confusions[entry.mode][heard];
+  if (!row) row = agg.confusions[entry.mode][heard] = {};
+  row[answered] = (row[answered] || 0) + 1;
+}
+
+// Answer button labels as matrix labels: scale degrees always by number, and
+// chords in root position by the plain quality, matching their item keys.
+function confusionLabel(mode, label) {
+  if (mode === 'degree') {
+    var deg = SCALE_DEGREES.filter(function (d) { return d.solfege === label; })[0];
+    return deg ? deg.degree : label;
+  }
+  if (mode === 'chord') return label.replace(' (' + INVERSION_NAMES[0] + ')', '');
+  return label;
+}
+
+function compactAnswerLog() {
+  stats.log.splice(0, ANSWER_LOG_COMPACT).forEach(function (entry) {
+    foldAnswer(stats.compacted, entry);
+  });
+}
+
+function rebuildAggregates() {
+  var agg = JSON.parse(JSON.stringify(stats.compacted));
+  if (!agg.confusions) agg.confusions = {};
+  MODES.forEach(function (mode) {
+    if (!agg.items[mode]) agg.items[mode] = {};
+    if (!agg.confusions[mode]) agg.confusions[mode] = {};
+  });
+  stats.log.forEach(function (entry) { foldAnswer(agg, entry); });
+  stats.items = agg.items;
+  stats.confusions = agg.confusions;
+  stats.totalCorrect = agg.totalCorrect;
+  stats.totalQuestions = agg.totalQuestions;
+}
+
+function updateReview(mode, itemKey, isCorrect) {
+  if (!stats.review[mode]) stats.review[mode] = {};
+  var entry = stats.review[mode][itemKey] || { box: 0, due: 0 };
+  entry.box = isCorrect ? Math.min(entry.box + 1, REVIEW_INTERVALS.length - 1) : 0;
+  entry.due = Date.now() + REVIEW_INTERVALS[entry.box];
+  stats.review[mode][itemKey] = entry;
+}
+
+// Due items outweigh new ones, which outweigh items still resting; low
+// boxes and low accuracy push the weight up further.
+function reviewWeight(mode, itemKey, now) {
+  var entry = (stats.review[mode] || {})[itemKey];
+  var weight;
+
+  if (!entry) {
+    weight = 2;
+  } else if (entry.due <= now) {
+    weight = 3 + (REVIEW_INTERVALS.length - 1 - entry.box);
+  } else {
+    weight = 0.5;
+  }
+
+  var item = (stats.items[mode] || {})[itemKey];
+  if (item && item[1] >= 3) weight *= 2 - item[0] / item[1];
+  return weight;
+}
+
+// Candidates are { key, share } objects; share (default 1) scales an item's
+// base weight, e.g. so each inversion of a chord gets a slice of its quality.
+function pickForReview(mode, candidates) {
+  var now = Date.now();
+  var weights = candidates.map(function (c) {
+    var share = c.share || 1;
+    // Review weights are personal, so drill links and the daily challenge leave them out
+    var personal = state.settings.spacedRepetition && !state.linkDrill && !state.daily;
+    return personal ? share * reviewWeight(mode, c.key, now) : share;
+  });
+  var total = weights.reduce(function (a, b) { return a + b; }, 0);
+  var r = random() * total;
+
+  for (var i = 0; i < candidates.length; i++) {
+    r -= weights[i];
+    if (r < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+function countDueItems(mode) {
+  var now = Date.now();
+  var review = stats.review[mode] || {};
+  return Object.keys(review).filter(function (key) { return review[key].due <= now; }).length;
+}
+
 function getItemStats(mode) {
   var items = stats.items[mode] || {};
   return Object.keys(items).map(function (name) {
@@ -259,212 +1083,1535 @@ function getWeakest(mode, n) {
   return getItemStats(mode).filter(function (s) { return s.total >= 3; }).slice(0, n);
 }
 
-// ── 5. Persistence ───────────────────────────
+// Wrong answers as { heard, answered, count, total, pct }, most frequent
+// confusion (as a share of the times the item was heard) first
+function getConfusions(mode) {
+  var matrix = stats.confusions[mode] || {};
+  var pairs = [];
+  Object.keys(matrix).forEach(function (heard) {
+    var row = matrix[heard];
+    var total = 0;
+    Object.keys(row).forEach(function (answered) { total += row[answered]; });
+    Object.keys(row).forEach(function (answered) {
+      if (answered === heard) return;
+      pairs.push({
+        heard: heard,
+        answered: answered,
+        count: row[answered],
+        total: total,
+        pct: Math.round((row[answered] / total) * 100),
+      });
+    });
+  });
+  return pairs.sort(function (a, b) { return b.pct - a.pct || b.count - a.count; });
+}
 
-function saveData() {
-  try {
-    localStorage.setItem('pitchTrainer', JSON.stringify({
-      bestStreak: state.bestStreak,
-      settings: state.settings,
-      stats: stats,
-    }));
-  } catch (e) { /* ignore */ }
+// Median response time per item over correct answers: { itemKey: ms }
+function getMedianResponseTimes(mode) {
+  var times = {};
+  stats.log.forEach(function (entry) {
+    if (entry.mode !== mode || entry.correct !== entry.total || typeof entry.ms !== 'number') return;
+    (times[entry.item] = times[entry.item] || []).push(entry.ms);
+  });
+  Object.keys(times).forEach(function (item) { times[item] = median(times[item]); });
+  return times;
 }
 
-function loadData() {
-  try {
-    var raw = localStorage.getItem('pitchTrainer');
-    if (!raw) return;
-    var data = JSON.parse(raw);
+function getTopConfusions(mode, n) {
+  return getConfusions(mode).filter(function (c) {
+    return c.count >= CONFUSION_MIN_COUNT && c.total >= CONFUSION_MIN_HEARD;
+  }).slice(0, n || 3);
+}
 
-    // Handle old format (single bestStreak number)
+// ── 5. Persistence ───────────────────────────
+// Each profile's data lives under its own localStorage key as a versioned
+// blob. Loading runs it through MIGRATIONS up to SCHEMA_VERSION, then
+// repairData, which fixes or drops anything malformed and reports what it
+// changed.
+
+const STORAGE_KEY = 'pitchTrainer';         // the first profile's data, as before profiles
+const PROFILES_KEY = 'pitchTrainer.profiles'; // { active, list: [{ id, name }] }
+const DEFAULT_PROFILE_ID = 'default';
+const SCHEMA_VERSION = 2;
+const BACKUP_APP = 'Pitch Trainer';
+
+// MIGRATIONS[n] turns a version n blob into version n + 1
+const MIGRATIONS = [
+  // 0 → 1: unversioned saves, from whichever release wrote them
+  function (data) {
+    // A single best streak shared by the first two modes
     if (typeof data.bestStreak === 'number') {
-      state.bestStreak = { note: data.bestStreak, interval: data.bestStreak, chord: 0 };
-    } else if (data.bestStreak) {
-      state.bestStreak.note = data.bestStreak.note || 0;
-      state.bestStreak.interval = data.bestStreak.interval || 0;
-      state.bestStreak.chord = data.bestStreak.chord || 0;
+      data.bestStreak = { note: data.bestStreak, interval: data.bestStreak };
     }
-
-    if (data.settings) {
-      Object.assign(state.settings, data.settings);
-      // Ensure volume exists (old saves may not have it)
-      if (typeof state.settings.volume !== 'number') {
-        state.settings.volume = 0.6;
+    // Saves from before patches kept only the oscillator waveform
+    var settings = data.settings;
+    if (settings && !settings.patch) {
+      settings.patch = copyPatch(SYNTH_PRESETS.classic);
+      if (settings.waveform) {
+        settings.patch.waveform = settings.waveform;
+        settings.synthPreset = settings.waveform === 'triangle' ? 'classic' : 'custom';
       }
     }
-
+    if (settings) delete settings.waveform;
+    // Saves from before the answer log only have counts: keep them as compacted
+    if (data.stats && !data.stats.log) {
+      data.stats.compacted = {
+        items: data.stats.items || {},
+        totalCorrect: data.stats.totalCorrect || 0,
+        totalQuestions: data.stats.totalQuestions || 0,
+      };
+      data.stats.log = [];
+    }
     if (data.stats) {
-      stats = Object.assign(defaultStats(), data.stats);
-      // Ensure sub-objects
-      if (!stats.items) stats.items = { note: {}, interval: {}, chord: {} };
-      if (!stats.items.note) stats.items.note = {};
-      if (!stats.items.interval) stats.items.interval = {};
-      if (!stats.items.chord) stats.items.chord = {};
-      if (!stats.timedBest) stats.timedBest = { note: 0, interval: 0, chord: 0 };
+      delete data.stats.items;
+      delete data.stats.totalCorrect;
+      delete data.stats.totalQuestions;
+    }
+    return data;
+  },
+  // 1 → 2: one timed best per mode becomes bests per challenge format, mode and difficulty
+  function (data) {
+    var saved = data.stats;
+    if (!isPlainObject(saved)) return data;
+    var bests = {};
+    [['timedBest', 'timed60'], ['timedBestSpeed', 'timed60-speed']].forEach(function (pair) {
+      var old = saved[pair[0]];
+      if (isPlainObject(old)) {
+        Object.keys(old).forEach(function (mode) {
+          if (!old[mode]) return;
+          if (!bests[pair[1]]) bests[pair[1]] = {};
+          bests[pair[1]][mode] = {};
+          bests[pair[1]][mode][UNKNOWN_DIFFICULTY] = old[mode];
+        });
+      }
+      delete saved[pair[0]];
+    });
+    saved.challengeBests = bests;
+    if (Array.isArray(saved.timedHistory)) {
+      saved.timedHistory.forEach(function (run) {
+        if (!isPlainObject(run)) return;
+        run.format = run.scoring === 'speed' ? 'timed60-speed' : 'timed60';
+        delete run.scoring;
+      });
     }
-  } catch (e) { /* ignore */ }
+    return data;
+  },
+];
+
+function serializeData() {
+  return {
+    version: SCHEMA_VERSION,
+    bestStreak: state.bestStreak,
+    settings: state.settings,
+    stats: savedStats(),
+    customSource: state.customSource,
+  };
 }
 
-// ── 6. Difficulty & Adaptive ─────────────────
+var saveError = null; // message: why the last save failed, until one succeeds; shown in the header and Settings
 
-function getEffectiveDifficulty() {
-  if (state.difficulty !== 'adaptive') {
-    return DIFFICULTY[state.difficulty];
+function saveData() {
+  for (;;) {
+    try {
+      localStorage.setItem(profileStorageKey(profiles.active), JSON.stringify(serializeData()));
+      break;
+    } catch (e) {
+      var full = e && e.name === 'QuotaExceededError';
+      // The answer log and an imported MIDI source can fill the ~5 MB quota;
+      // the log gives way first, a block at a time, before saving is given up
+      if (full && stats.log.length) {
+        compactAnswerLog();
+        continue;
+      }
+      saveError = message(full ? 'data.saveFull' : 'data.saveUnavailable');
+      renderSaveStatus();
+      return;
+    }
+  }
+  if (saveError) {
+    saveError = null;
+    renderSaveStatus();
   }
-  var tiers = ADAPTIVE_TIERS[state.mode];
-  if (!tiers) return DIFFICULTY.easy;
-  var tier = Math.min(state.adaptive.tier, tiers.length - 1);
-  var tc = tiers[tier];
-  return {
-    noteDuration: tc.noteDuration,
-    replayLimit: tc.replayLimit,
-    notePool: tc.notePool || 'natural',
-    intervalPool: tc.intervalPool || 'easy',
-    chordPool: tc.chordPool || 'basic',
-  };
 }
 
-function getAdaptiveLabel() {
-  var tiers = ADAPTIVE_TIERS[state.mode];
-  if (!tiers) return '';
-  var tier = Math.min(state.adaptive.tier, tiers.length - 1);
-  return tiers[tier].label;
+// Everything but the aggregates, which rebuildAggregates derives on load
+function savedStats() {
+  var saved = Object.assign({}, stats);
+  delete saved.items;
+  delete saved.confusions;
+  delete saved.totalCorrect;
+  delete saved.totalQuestions;
+  return saved;
 }
 
-function updateAdaptive(isCorrect) {
-  if (state.difficulty !== 'adaptive') return;
+function migrateData(data) {
+  var version = data.version || 0;
+  if (typeof version !== 'number' || version > SCHEMA_VERSION) {
+    throw new Error(I18n.t('data.newerVersion'));
+  }
+  while (version < SCHEMA_VERSION) {
+    data = MIGRATIONS[version](data);
+    version++;
+  }
+  data.version = SCHEMA_VERSION;
+  return data;
+}
 
-  state.adaptive.history.push(isCorrect);
-  if (state.adaptive.history.length > 10) state.adaptive.history.shift();
+// ── Validation ──
 
-  if (state.adaptive.history.length >= 5) {
-    var correct = state.adaptive.history.filter(Boolean).length;
-    var acc = correct / state.adaptive.history.length;
-    var maxTier = (ADAPTIVE_TIERS[state.mode] || []).length - 1;
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-    if (acc >= 0.8 && state.adaptive.tier < maxTier) {
-      state.adaptive.tier++;
-      state.adaptive.history = [];
-    } else if (acc < 0.4 && state.adaptive.tier > 0) {
-      state.adaptive.tier--;
-      state.adaptive.history = [];
-    }
-  }
+function isCount(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
 }
 
-// ── 7. Question Generation ───────────────────
+function isLogEntry(entry) {
+  return isPlainObject(entry) && MODES.indexOf(entry.mode) !== -1 && typeof entry.item === 'string' &&
+    (entry.heard === undefined || typeof entry.heard === 'string') && isCount(entry.time) && isCount(entry.correct) && isCount(entry.total) &&
+    entry.total > 0 && entry.correct <= entry.total;
+}
 
-function getMidiRange() {
-  var low = (state.settings.octaveMin + 1) * 12;
-  var high = (state.settings.octaveMax + 1) * 12 + 11;
-  return { low: low, high: high };
+function isStringList(value) {
+  return Array.isArray(value) && value.every(function (v) { return typeof v === 'string'; });
 }
 
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function isDrillPreset(preset) {
+  return isPlainObject(preset) && typeof preset.id === 'string' && typeof preset.name === 'string' &&
+    isStringList(preset.notes) && isStringList(preset.intervals) && isStringList(preset.chords) &&
+    typeof preset.inversions === 'boolean' && isCount(preset.noteDuration) && preset.noteDuration > 0 &&
+    (preset.replayLimit === null || isCount(preset.replayLimit)) &&
+    isCount(preset.octaveMin) && isCount(preset.octaveMax) && preset.octaveMin < preset.octaveMax;
 }
 
-function generateNoteQuestion() {
-  var range = getMidiRange();
-  var diff = getEffectiveDifficulty();
-  var midi;
+// Keeps the entries of obj[key] that pass test; returns how many were dropped
+function keepValid(obj, key, test) {
+  var before = obj[key].length;
+  obj[key] = obj[key].filter(test);
+  return before - obj[key].length;
+}
+
+// Replaces a missing or mistyped field with its default; returns the repair
+// made. label is a message naming the field.
+function repairField(obj, key, fallback, label) {
+  var value = obj[key];
+  var ok = Array.isArray(fallback) ? Array.isArray(value)
+    : isPlainObject(fallback) ? isPlainObject(value)
+      : typeof value === typeof fallback && (typeof value !== 'number' || isFinite(value));
+  if (ok) return null;
+  var hadValue = value !== undefined;
+  obj[key] = fallback;
+  return hadValue ? message('repair.reset', { field: label }) : null;
+}
+
+// Checks a migrated blob field by field. Throws when it isn't save data at
+// all; otherwise repairs it in place and returns a list of messages saying
+// what was fixed.
+function repairData(data) {
+  if (!isPlainObject(data)) throw new Error(I18n.t('data.notData'));
+  var repairs = [];
+  function note(repair) { if (repair) repairs.push(repair); }
+
+  note(repairField(data, 'bestStreak', zeroPerMode(), message('repair.bestStreak')));
+  MODES.forEach(function (mode) {
+    if (!isCount(data.bestStreak[mode])) data.bestStreak[mode] = 0;
+  });
+
+  note(repairField(data, 'settings', defaultSettings(), message('repair.settings')));
+  var defaults = defaultSettings();
+  Object.keys(defaults).forEach(function (key) {
+    note(repairField(data.settings, key, defaults[key], message('repair.setting', { name: key })));
+  });
+  Object.keys(data.settings).forEach(function (key) {
+    if (!(key in defaults)) delete data.settings[key];
+  });
+  data.settings.patch = copyPatch(Object.assign({}, SYNTH_PRESETS.classic, data.settings.patch));
+  PATCH_PARAMS.forEach(function (param) {
+    if (typeof data.settings.patch[param] !== 'number' || !isFinite(data.settings.patch[param])) {
+      data.settings.patch[param] = SYNTH_PRESETS.classic[param];
+      note(message('repair.reset', { field: message('repair.patch', { name: param }) }));
+    }
+  });
+
+  var presets = data.settings.drillPresets;
+  data.settings.drillPresets = presets.filter(isDrillPreset);
+  if (data.settings.drillPresets.length < presets.length) {
+    note(message('repair.drills', { count: presets.length - data.settings.drillPresets.length }));
+  }
+  if (!getDrillPresetFrom(data.settings.drillPresets, data.settings.drillPreset)) data.settings.drillPreset = '';
+  if (!isLanguage(data.settings.language)) data.settings.language = defaults.language;
+  if (!NOTE_SYSTEMS.hasOwnProperty(data.settings.noteNames)) data.settings.noteNames = defaults.noteNames;
+  if (ACCIDENTAL_STYLES.indexOf(data.settings.accidentals) === -1) data.settings.accidentals = defaults.accidentals;
+  if (!INSTRUMENTS.hasOwnProperty(data.settings.instrument)) data.settings.instrument = defaults.instrument;
+
+  var source = data.customSource;
+  if (source && !(isPlainObject(source) && typeof source.name === 'string' && Array.isArray(source.notes) &&
+      source.notes.every(function (m) { return isCount(m) && m <= 127; }))) {
+    note(message('repair.source'));
+    data.customSource = null;
+  }
+  if (!source) data.customSource = null;
+
+  note(repairField(data, 'stats', defaultStats(), message('repair.stats')));
+  var saved = data.stats;
+  var fresh = defaultStats();
+  ['log', 'compacted', 'review', 'skill', 'frontier', 'challengeBests', 'timedHistory', 'daily'].forEach(function (key) {
+    note(repairField(saved, key, fresh[key], message('repair.statsPart', { name: key })));
+  });
 
-  if (diff.notePool === 'natural') {
-    var naturals = [];
-    for (var m = range.low; m <= range.high; m++) {
-      if (NATURAL_NOTES.indexOf(NOTE_NAMES[m % 12]) !== -1) {
-        naturals.push(m);
+  var dropped = keepValid(saved, 'log', isLogEntry);
+  if (dropped) note(message('repair.log', { count: dropped }));
+  dropped = keepValid(saved, 'timedHistory', function (run) {
+    return isPlainObject(run) && MODES.indexOf(run.mode) !== -1 && isCount(run.time) && isCount(run.score) &&
+      isChallengeKey(run.format);
+  });
+  if (dropped) note(message('repair.runs', { count: dropped }));
+  dropped = 0;
+  Object.keys(saved.challengeBests).forEach(function (key) {
+    var byMode = saved.challengeBests[key];
+    if (!isChallengeKey(key) || !isPlainObject(byMode)) {
+      delete saved.challengeBests[key];
+      dropped++;
+      return;
+    }
+    Object.keys(byMode).forEach(function (mode) {
+      var byDifficulty = byMode[mode];
+      var valid = MODES.indexOf(mode) !== -1 && isPlainObject(byDifficulty) &&
+        Object.keys(byDifficulty).every(function (d) { return isCount(byDifficulty[d]); });
+      if (!valid) {
+        delete byMode[mode];
+        dropped++;
       }
+    });
+  });
+  if (dropped) note(message('repair.bests', { count: dropped }));
+  Object.keys(saved.daily).forEach(function (date) {
+    var day = saved.daily[date];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isPlainObject(day) || !isCount(day.correct) ||
+        !isCount(day.total) || day.correct > day.total) {
+      delete saved.daily[date];
+      note(message('repair.daily'));
     }
-    midi = naturals[randomInt(0, naturals.length - 1)];
+  });
+
+  var compacted = saved.compacted;
+  if (!isPlainObject(compacted.items) || !isCount(compacted.totalCorrect) || !isCount(compacted.totalQuestions)) {
+    saved.compacted = emptyAggregates();
+    note(message('repair.compacted'));
   } else {
-    midi = randomInt(range.low, range.high);
+    if (compacted.confusions !== undefined && !isPlainObject(compacted.confusions)) delete compacted.confusions;
+    Object.keys(compacted.items).forEach(function (mode) {
+      var items = compacted.items[mode];
+      if (!isPlainObject(items)) items = compacted.items[mode] = {};
+      Object.keys(items).forEach(function (key) {
+        var counts = items[key];
+        if (!Array.isArray(counts) || !isCount(counts[0]) || !isCount(counts[1])) delete items[key];
+      });
+    });
   }
 
-  return { midi: midi, answer: noteNameFromMidi(midi) };
+  // Per-mode maps (saves from before a mode existed lack its keys)
+  MODES.forEach(function (mode) {
+    if (!isPlainObject(saved.review[mode])) saved.review[mode] = {};
+    if (!isPlainObject(saved.skill[mode])) saved.skill[mode] = {};
+    if (!isCount(saved.frontier[mode])) saved.frontier[mode] = 0;
+  });
+
+  return repairs;
 }
 
-function generateIntervalQuestion() {
-  var range = getMidiRange();
+// Makes a migrated, repaired blob the live state
+function applyData(data) {
+  state.bestStreak = data.bestStreak;
+  state.settings = data.settings;
+  state.customSource = data.customSource;
+  stats = Object.assign(defaultStats(), data.stats);
+  rebuildAggregates();
+}
+
+// Parses, migrates and repairs saved data: returns { data, repairs }
+function readSaveData(raw) {
+  var data = migrateData(JSON.parse(raw));
+  var repairs = repairData(data);
+  return { data: data, repairs: repairs };
+}
+
+var dataNotice = null; // message: what happened to the saved data on load, shown in Settings
+
+// Loads the active profile over a fresh state (see resetData)
+function loadData() {
+  var key = profileStorageKey(profiles.active);
+  var raw = localStorage.getItem(key);
+  if (!raw) return;
+  try {
+    var loaded = readSaveData(raw);
+    applyData(loaded.data);
+    if (loaded.repairs.length) {
+      dataNotice = message('data.repaired', { repairs: loaded.repairs });
+      saveData();
+    }
+  } catch (e) {
+    // Keep the unreadable save aside rather than overwrite it with a fresh one
+    try { localStorage.setItem(key + '.unreadable', raw); } catch (e2) { /* ignore */ }
+    dataNotice = message('data.unreadable', { reason: e.message, key: key + '.unreadable' });
+  }
+}
+
+function resetData() {
+  state.bestStreak = zeroPerMode();
+  state.settings = defaultSettings();
+  state.customSource = null;
+  stats = defaultStats();
+  dataNotice = null;
+}
+
+// ── Backups ──
+
+function buildBackup() {
+  return Object.assign({ app: BACKUP_APP, exportedAt: new Date().toISOString() }, serializeData());
+}
+
+// Resolves to the list of repairs made; rejects without touching the
+// current data when the file isn't a usable backup.
+function restoreBackup(file) {
+  return file.text().then(function (text) {
+    var backup = JSON.parse(text);
+    if (!isPlainObject(backup) || backup.app !== BACKUP_APP) throw new Error(I18n.t('data.notBackup'));
+    delete backup.app;
+    delete backup.exportedAt;
+    var loaded = readSaveData(JSON.stringify(backup));
+    applyData(loaded.data);
+    saveData();
+    return loaded.repairs;
+  });
+}
+
+// ── Profiles ──
+// Everyone sharing the device gets their own stats, streaks, settings and
+// adaptive progress; the list and the active profile are stored separately.
+
+var profiles = { active: DEFAULT_PROFILE_ID, list: [{ id: DEFAULT_PROFILE_ID, name: 'Player 1' }] };
+
+function profileStorageKey(id) {
+  return id === DEFAULT_PROFILE_ID ? STORAGE_KEY : STORAGE_KEY + '.profile.' + id;
+}
+
+function getProfile(id) {
+  return profiles.list.filter(function (p) { return p.id === id; })[0];
+}
+
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (e) { /* storage full or unavailable: nothing more to do */ }
+}
+
+function loadProfiles() {
+  try {
+    var saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (!isPlainObject(saved) || !Array.isArray(saved.list)) return;
+    var list = saved.list.filter(function (p) {
+      return isPlainObject(p) && typeof p.id === 'string' && typeof p.name === 'string';
+    });
+    if (!list.length) return;
+    profiles.list = list;
+    profiles.active = getProfile(saved.active) ? saved.active : list[0].id;
+  } catch (e) { /* unreadable list: keep the default profile */ }
+}
+
+// Saves the current profile, then makes `id` the live dataset
+function switchProfile(id) {
+  if (!getProfile(id)) return;
+  saveData();
+  profiles.active = id;
+  saveProfiles();
+  resetData();
+  loadData();
+}
+
+function createProfile(name) {
+  var profile = { id: Date.now().toString(36), name: name };
+  profiles.list.push(profile);
+  switchProfile(profile.id);
+  saveData();
+  return profile;
+}
+
+function renameProfile(id, name) {
+  var profile = getProfile(id);
+  if (!profile) return;
+  profile.name = name;
+  saveProfiles();
+}
+
+// The last remaining profile can't be deleted
+function deleteProfile(id) {
+  if (profiles.list.length < 2 || !getProfile(id)) return false;
+  profiles.list = profiles.list.filter(function (p) { return p.id !== id; });
+  try { localStorage.removeItem(profileStorageKey(id)); } catch (e) { /* ignore */ }
+  if (profiles.active === id) {
+    profiles.active = profiles.list[0].id;
+    resetData();
+    loadData();
+  }
+  saveProfiles();
+  return true;
+}
+
+// ── MIDI files ──
+// Export writes what playCurrentQuestion plays, one question after another
+// with a marker naming each answer. Import keeps the file's top melody line
+// as material for Note ID, Interval ID and dictation questions.
+
+function logSessionQuestion(events) {
+  state.sessionLog.push({ answer: state.currentQuestion.answer, events: events });
+  if (state.sessionLog.length > SESSION_LOG_LIMIT) state.sessionLog.shift();
+}
+
+function buildQuestionSetFile(entries, title) {
+  var notes = [];
+  var markers = [];
+  var offset = 0;
+
+  entries.forEach(function (entry, i) {
+    markers.push({ time: offset, text: (i + 1) + '. ' + entry.answer });
+    var end = 0;
+    entry.events.forEach(function (e) {
+      notes.push({ note: e.midi, start: offset + e.start, duration: e.duration, velocity: e.gain * 100 });
+      end = Math.max(end, e.start + e.duration);
+    });
+    offset += end + MIDI_EXPORT_GAP;
+  });
+
+  return MidiFile.write({ name: title, notes: notes, markers: markers });
+}
+
+// Fresh questions for the current mode and difficulty, leaving the one on
+// screen (and the scale-degree key) as they were
+// Drawn from a seed of its own, so exporting doesn't change (or reveal) the
+// questions still to come in this session
+function generateQuestionBatch(count) {
+  var savedKey = state.degreeKey;
+  var savedRng = rngState;
+  seedRandom(newSeed());
+  var entries = [];
+  for (var i = 0; i < count; i++) {
+    var q = createQuestion();
+    entries.push({ answer: q.answer, events: getQuestionSchedule(q, false) });
+  }
+  state.degreeKey = savedKey;
+  rngState = savedRng;
+  return entries;
+}
+
+function downloadFile(bytes, filename, type) {
+  var url = URL.createObjectURL(new Blob([bytes], { type: type }));
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+}
+
+// Highest note of each onset across all tracks, drums (channel 10) excluded
+function extractMelodyLine(song) {
+  var all = [];
+  song.tracks.forEach(function (track) {
+    track.notes.forEach(function (n) {
+      if (n.channel !== 9) all.push(n);
+    });
+  });
+  all.sort(function (a, b) { return a.start - b.start; });
+
+  // Onsets within 30 ms count as one chord
+  var line = [];
+  var onset = -1;
+  all.forEach(function (n) {
+    if (line.length && n.start - onset < 0.03) {
+      line[line.length - 1] = Math.max(line[line.length - 1], n.note);
+      return;
+    }
+    line.push(n.note);
+    onset = n.start;
+  });
+  return line.slice(0, MIDI_SOURCE_LIMIT);
+}
+
+function importMidiSource(file) {
+  return file.arrayBuffer().then(function (data) {
+    var notes = extractMelodyLine(MidiFile.parse(data));
+    if (notes.length < 2) throw new Error(I18n.t('midiFile.noMelody', { name: file.name }));
+    state.customSource = { name: file.name, notes: notes };
+    state.settings.useCustomSource = true;
+    saveData();
+    return state.customSource;
+  });
+}
+
+function usingCustomSource() {
+  return !!(state.settings.useCustomSource && state.customSource && state.customSource.notes.length > 1) &&
+    !state.linkDrill && !state.daily;
+}
+
+// ── 6. Difficulty & Adaptive ─────────────────
+
+function getEffectiveDifficulty() {
+  var diff;
+  if (state.difficulty === 'adaptive') diff = getAdaptiveDifficulty();
+  else if (state.difficulty === 'custom') diff = getCustomDifficulty();
+  else diff = DIFFICULTY[state.difficulty];
+  if (state.drill) diff = Object.assign({}, diff, DRILL_POOLS, { allowedItems: getDrillItems() });
+  if (state.daily) diff = DIFFICULTY[DAILY_DIFFICULTY];
+  return diff;
+}
+
+function getAdaptiveDifficulty() {
+  var curriculum = ADAPTIVE_CURRICULUM[state.mode];
+  if (!curriculum) return DIFFICULTY.easy;
+
+  // Pools are wide open; allowedItems narrows them to what has been introduced.
+  // Tempo and replays tighten as more of the curriculum is unlocked.
+  var unlocked = getUnlockedItems(state.mode);
+  var progress = unlocked.length / curriculum.items.length;
+  // Dictation items are melody lengths ('5 notes'); the longest unlocked one is played
+  var longest = state.mode === 'dictation'
+    ? Math.max.apply(null, unlocked.map(function (k) { return parseInt(k, 10); }))
+    : DIFFICULTY.medium.melodyLength;
+
+  return {
+    noteDuration: Math.round((1.5 - 0.7 * progress) * 10) / 10,
+    replayLimit: progress >= 0.75 ? 3 : Infinity,
+    notePool: state.mode === 'dictation' && longest <= 5 ? 'natural' : 'chromatic',
+    intervalPool: 'all+descending',
+    chordPool: 'all',
+    // Drop-2 and open voicings join once most chord items are in play
+    voicingPool: progress >= 0.75 ? 'all' : 'inversions',
+    scalePool: 'all+descending',
+    melodyLength: longest,
+    progressionPool: 'all',
+    degreePool: 'chromatic',
+    singTolerance: Math.round(50 - 30 * progress),
+    allowedItems: unlocked,
+  };
+}
+
+function getUnlockedItems(mode) {
+  var curriculum = ADAPTIVE_CURRICULUM[mode];
+  if (!curriculum) return [];
+  var count = Math.max(curriculum.start, stats.frontier[mode] || 0);
+  return curriculum.items.slice(0, Math.min(count, curriculum.items.length));
+}
+
+// Keeps only the items adaptive difficulty has introduced (all items otherwise)
+function filterAllowed(diff, list, keyFn) {
+  if (!diff.allowedItems) return list;
+  return list.filter(function (x) { return diff.allowedItems.indexOf(keyFn(x)) !== -1; });
+}
+
+function getSkill(mode, itemKey) {
+  var entry = (stats.skill[mode] || {})[itemKey];
+  if (!entry) return { mastery: 0.5, answers: 0 };
+  return { mastery: entry.a / (entry.a + entry.b), answers: entry.n };
+}
+
+function isMastered(mode, itemKey) {
+  var skill = getSkill(mode, itemKey);
+  return skill.answers >= MASTERY_MIN_ANSWERS && skill.mastery >= MASTERY_THRESHOLD;
+}
+
+// score is the fraction of the question answered correctly (0..1)
+function updateSkill(mode, itemKey, score) {
+  if (!stats.skill[mode]) stats.skill[mode] = {};
+  var entry = stats.skill[mode][itemKey] || { a: 1, b: 1, n: 0 };
+  entry.a = entry.a * SKILL_DECAY + score;
+  entry.b = entry.b * SKILL_DECAY + (1 - score);
+  entry.n++;
+  stats.skill[mode][itemKey] = entry;
+  advanceFrontier(mode);
+}
+
+// Introduces the next curriculum item once everything in play is mastered.
+// Only adaptive play moves the frontier: other difficulties, pair drills and
+// the daily round update skill but never unlock anything.
+function advanceFrontier(mode) {
+  var curriculum = ADAPTIVE_CURRICULUM[mode];
+  if (!curriculum || state.difficulty !== 'adaptive' || state.drill || state.daily) return;
+  var unlocked = getUnlockedItems(mode);
+  if (unlocked.length >= curriculum.items.length) return;
+
+  var allMastered = unlocked.every(function (key) { return isMastered(mode, key); });
+  if (allMastered) {
+    stats.frontier[mode] = unlocked.length + 1;
+    state.newlyUnlocked = curriculum.items[unlocked.length];
+  }
+}
+
+// ── Custom drills ──
+
+function defaultDrillPreset() {
+  return {
+    id: '',
+    name: '',
+    notes: [],      // NOTE_NAMES
+    intervals: [],  // interval keys, e.g. 'Minor 3rd' or 'Minor 3rd (desc)'
+    chords: [],     // CHORDS names
+    inversions: false, // chords also come in every inversion
+    noteDuration: 1.0,
+    replayLimit: null, // null = unlimited
+    octaveMin: 3,
+    octaveMax: 5,
+  };
+}
+
+function getDrillPresetFrom(presets, id) {
+  return presets.filter(function (p) { return p.id === id; })[0];
+}
+
+function getDrillPreset(id) {
+  return getDrillPresetFrom(state.settings.drillPresets, id);
+}
+
+function getActiveDrillPreset() {
+  if (state.difficulty !== 'custom') return null;
+  if (state.linkDrill) return state.linkDrill.preset;
+  return getDrillPreset(state.settings.drillPreset);
+}
+
+// Item keys a preset picks for a mode, in the form filterAllowed expects
+function getDrillPresetItems(preset, mode) {
+  if (mode === 'note') return preset.notes.slice();
+  if (mode === 'interval') return preset.intervals.slice();
+  if (mode !== 'chord') return [];
+  var items = [];
+  preset.chords.forEach(function (name) {
+    var chord = findChord(name);
+    if (!chord) return;
+    var count = preset.inversions ? getInversionCount(chord, 'inversions') : 1;
+    for (var inv = 0; inv < count; inv++) items.push(chordStatKey(chord, inv));
+  });
+  return items;
+}
+
+function getCustomDifficulty() {
+  var preset = getActiveDrillPreset();
+  if (!preset) return DIFFICULTY.medium;
+  var timing = {
+    noteDuration: preset.noteDuration,
+    replayLimit: preset.replayLimit === null ? Infinity : preset.replayLimit,
+  };
+  var items = getDrillPresetItems(preset, state.mode);
+  if (!items.length) return Object.assign({}, DIFFICULTY.medium, timing);
+  // Close voicings only; allowedItems decides which inversions come up
+  return Object.assign({}, DIFFICULTY.medium, DRILL_POOLS, timing, { allowedItems: items });
+}
+
+// ── Daily challenge ──
+
+// Local calendar date, e.g. '2026-10-19'
+function dateKey(time) {
+  var d = new Date(time);
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' +
+    String(d.getDate()).padStart(2, '0');
+}
+
+function parseDateKey(date) {
+  var parts = date.split('-');
+  return new Date(+parts[0], parts[1] - 1, +parts[2]);
+}
+
+function addDays(date, days) {
+  var d = parseDateKey(date);
+  d.setDate(d.getDate() + days);
+  return dateKey(d.getTime());
+}
+
+// The round's mode order: an even mix of DAILY_MODES, shuffled by the date
+function getDailyModes(date) {
+  seedRandom('daily:' + date);
+  var modes = [];
+  for (var i = 0; i < DAILY_LENGTH; i++) modes.push(DAILY_MODES[i % DAILY_MODES.length]);
+  for (var j = modes.length - 1; j > 0; j--) {
+    var k = randomInt(0, j);
+    var tmp = modes[j];
+    modes[j] = modes[k];
+    modes[k] = tmp;
+  }
+  return modes;
+}
+
+// Each question has its own seed, so replays and hints can't shift the rest
+function prepareDailyQuestion() {
+  var daily = state.daily;
+  state.mode = daily.modes[daily.index];
+  seedRandom('daily:' + daily.date + ':' + daily.index);
+}
+
+function isLastDailyQuestion() {
+  return !!state.daily && state.daily.index >= DAILY_LENGTH - 1;
+}
+
+function recordDailyProgress() {
+  var day = stats.daily[state.daily.date];
+  day.correct = state.score.correct;
+  day.total = state.score.total;
+  saveData();
+}
+
+// Consecutive days played: the current run stays alive until a day is missed
+function getDailyStreaks(today) {
+  var best = 0;
+  var run = 0;
+  var last = null;
+  Object.keys(stats.daily).sort().forEach(function (date) {
+    run = last && addDays(last, 1) === date ? run + 1 : 1;
+    best = Math.max(best, run);
+    last = date;
+  });
+  var current = last && (last === today || addDays(last, 1) === today) ? run : 0;
+  return { current: current, best: best };
+}
+
+// ── Drill links ──
+// A URL hash such as #mode=interval&diff=hard&oct=3-5&seed=k2x9q1 starts the
+// same questions for everyone who opens it. Custom drills spell out their
+// preset; Adaptive depends on each player's progress, so it is shared as Medium.
+
+const LINK_DIFFICULTIES = ['easy', 'medium', 'hard', 'custom'];
+
+function buildDrillLink() {
+  return location.origin + location.pathname + buildDrillLinkHash();
+}
+
+function buildDrillLinkHash() {
+  var params = new URLSearchParams();
+  var preset = getActiveDrillPreset();
+  var octaves = getOctaveRange();
+  params.set('mode', state.mode);
+  params.set('diff', preset ? 'custom' : (state.difficulty === 'adaptive' ? 'medium' : state.difficulty));
+  params.set('oct', octaves.min + '-' + octaves.max);
+  if (preset) {
+    if (preset.notes.length) params.set('notes', preset.notes.join(','));
+    if (preset.intervals.length) params.set('intervals', preset.intervals.join(','));
+    if (preset.chords.length) params.set('chords', preset.chords.join(','));
+    if (preset.inversions) params.set('inv', '1');
+    params.set('dur', String(preset.noteDuration));
+    if (preset.replayLimit !== null) params.set('replays', String(preset.replayLimit));
+  }
+  if (state.timedMode) params.set('timed', getChallengeId());
+  params.set('seed', state.seed);
+  return '#' + params.toString();
+}
+
+// Hash -> { seed, mode, difficulty, octaveMin, octaveMax, timed, preset }, or
+// null when it isn't a (valid) drill link. Unknown items are dropped.
+function parseDrillLink(hash) {
+  var params = new URLSearchParams(hash.replace(/^#/, ''));
+  var mode = params.get('mode');
+  var difficulty = params.get('diff');
+  var seed = params.get('seed');
+  var octaves = /^(\d)-(\d)$/.exec(params.get('oct') || '');
+  if (MODES.indexOf(mode) === -1 || LINK_DIFFICULTIES.indexOf(difficulty) === -1) return null;
+  if (!seed || seed.length > 32 || !octaves || +octaves[1] >= +octaves[2]) return null;
+
+  var link = {
+    seed: seed,
+    mode: mode,
+    difficulty: difficulty,
+    octaveMin: Math.max(1, +octaves[1]),
+    octaveMax: Math.min(7, +octaves[2]),
+    timed: false,
+    format: null, // key of CHALLENGE_FORMATS when timed
+    preset: null,
+  };
+  // Links from before challenge formats say timed=1
+  var timed = params.get('timed') === '1' ? DEFAULT_CHALLENGE : params.get('timed');
+  if (CHALLENGE_FORMATS.hasOwnProperty(timed)) {
+    link.timed = true;
+    link.format = timed;
+  }
+  if (difficulty !== 'custom') return link;
+
+  function list(key, valid) {
+    return (params.get(key) || '').split(',').filter(function (v) { return valid.indexOf(v) !== -1; });
+  }
+  var intervalKeys = getIntervalCandidates({ intervalPool: 'all+descending' }).map(function (c) { return c.key; });
+  var duration = parseFloat(params.get('dur'));
+  var replays = parseInt(params.get('replays'), 10);
+  link.preset = Object.assign(defaultDrillPreset(), {
+    name: 'Shared drill',
+    notes: list('notes', NOTE_NAMES),
+    intervals: list('intervals', intervalKeys),
+    chords: list('chords', CHORDS.map(function (c) { return c.name; })),
+    inversions: params.get('inv') === '1',
+    noteDuration: duration >= 0.2 && duration <= 3 ? duration : 1.0,
+    replayLimit: replays >= 0 ? replays : null,
+    octaveMin: link.octaveMin,
+    octaveMax: link.octaveMax,
+  });
+  return link;
+}
+
+function describeDrillLink(link) {
+  var parts = [modeLabel(link.mode), difficultyLabel(link.difficulty),
+    I18n.t('link.octaves', { min: link.octaveMin, max: link.octaveMax })];
+  if (link.timed) parts.push(I18n.t('link.challenge', { format: describeChallengeKey(link.format) }));
+  return parts.join(' · ');
+}
+
+// Item keys of the drilled pair. A chord named without its inversion stands
+// for every inversion when inversions aren't being named.
+function getDrillItems() {
+  var items = [];
+  state.drill.items.forEach(function (label) {
+    var chord = state.drill.mode === 'chord' && !state.settings.nameInversions && findChord(label);
+    if (!chord) {
+      items.push(label);
+      return;
+    }
+    for (var inv = 0; inv < getInversionCount(chord, 'inversions'); inv++) {
+      items.push(chordStatKey(chord, inv));
+    }
+  });
+  return items;
+}
+
+function getDrillLabel() {
+  return I18n.t('play.drill', { items: state.drill.items.map(function (item) {
+    return answerLabel(state.mode, item);
+  }).join(' vs ') });
+}
+
+function getAdaptiveLabel() {
+  var curriculum = ADAPTIVE_CURRICULUM[state.mode];
+  if (!curriculum) return '';
+  var unlocked = getUnlockedItems(state.mode);
+  return I18n.t('play.adaptive', {
+    count: unlocked.length, total: curriculum.items.length, newest: answerLabel(state.mode, unlocked[unlocked.length - 1]),
+  });
+}
+
+// ── 7. Question Generation ───────────────────
+
+// The daily challenge, a drill link or a custom drill preset brings its own octave range
+function getOctaveRange() {
+  var source = state.daily ? DAILY_RANGE : state.linkDrill || getActiveDrillPreset() || state.settings;
+  return { min: source.octaveMin, max: source.octaveMax };
+}
+
+function getMidiRange() {
+  var octaves = getOctaveRange();
+  var low = (octaves.min + 1) * 12;
+  var high = (octaves.max + 1) * 12 + 11;
+  return { low: low, high: high };
+}
+
+// ── Seeded random ──
+// Question generators draw from random() rather than Math.random, so the
+// same seed gives the same questions in every browser. Each session is
+// seeded when its mode starts (see handleModeSelect); a drill link carries
+// its seed. Anything that isn't question generation (hints) keeps Math.random
+// so it can't shift the sequence.
+
+var rngState = 0;
+
+// FNV-1a, to turn any seed string into 32 bits of state
+function hashSeed(seed) {
+  var h = 2166136261;
+  for (var i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function seedRandom(seed) {
+  rngState = hashSeed(String(seed));
+}
+
+function newSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+// mulberry32: a float in [0, 1)
+function random() {
+  rngState = (rngState + 0x6d2b79f5) | 0;
+  var t = rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+seedRandom(newSeed());
+
+function randomInt(min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+function generateNoteQuestion() {
+  if (usingCustomSource()) {
+    var fromSource = generateSourceNoteQuestion();
+    if (fromSource) return fromSource;
+  }
+
+  var range = getMidiRange();
+  var diff = getEffectiveDifficulty();
+  var names = filterAllowed(diff, diff.notePool === 'natural' ? NATURAL_NOTES : NOTE_NAMES, String);
+
+  var name = pickForReview('note', names.map(function (n) { return { key: n }; })).key;
+  var candidates = [];
+  for (var m = range.low; m <= range.high; m++) {
+    if (NOTE_NAMES[m % 12] === name) candidates.push(m);
+  }
+  var midi = candidates[randomInt(0, candidates.length - 1)];
+
+  return { midi: midi, answer: noteNameFromMidi(midi) };
+}
+
+// Questions from an imported file fall back to random ones when nothing in
+// the file fits the current answer choices.
+function generateSourceNoteQuestion() {
+  var choices = getNoteChoices();
+  var notes = state.customSource.notes.filter(function (m) {
+    return choices.indexOf(noteNameFromMidi(m)) !== -1;
+  });
+  if (!notes.length) return null;
+  var midi = notes[randomInt(0, notes.length - 1)];
+  return { midi: midi, answer: noteNameFromMidi(midi) };
+}
+
+function generateSourceIntervalQuestion() {
+  var choices = getIntervalChoices();
+  var notes = state.customSource.notes;
+  var pairs = [];
+  for (var i = 1; i < notes.length; i++) {
+    var semitones = Math.abs(notes[i] - notes[i - 1]);
+    if (semitones > 12) continue;
+    var ascending = notes[i] >= notes[i - 1];
+    var answer = INTERVALS[semitones].name + (ascending ? '' : ' (desc)');
+    if (choices.indexOf(answer) !== -1) {
+      pairs.push({ midi1: notes[i - 1], midi2: notes[i], semitones: semitones, ascending: ascending, answer: answer });
+    }
+  }
+  return pairs.length ? pairs[randomInt(0, pairs.length - 1)] : null;
+}
+
+// A run of `length` consecutive notes, moved by octaves onto the on-screen piano
+function generateSourceDictationQuestion(length) {
+  var range = getPianoRange();
+  var notes = state.customSource.notes;
+  var windows = [];
+  for (var i = 0; i + length <= notes.length; i++) {
+    var run = notes.slice(i, i + length);
+    var low = Math.min.apply(null, run);
+    var high = Math.max.apply(null, run);
+    if (high - low > range.high - range.low) continue;
+    var shift = 0;
+    while (low + shift < range.low) shift += 12;
+    while (high + shift > range.high) shift -= 12;
+    if (low + shift >= range.low) windows.push(run.map(function (m) { return m + shift; }));
+  }
+  if (!windows.length) return null;
+
+  var midiNotes = windows[randomInt(0, windows.length - 1)];
+  return {
+    midiNotes: midiNotes,
+    sequence: midiNotes,
+    statKey: midiNotes.length + ' notes',
+    answer: midiNotes.map(noteLabelFromMidi).join(' '),
+  };
+}
+
+function generateIntervalQuestion() {
+  if (usingCustomSource()) {
+    var fromSource = generateSourceIntervalQuestion();
+    if (fromSource) return fromSource;
+  }
+
+  var range = getMidiRange();
+  var diff = getEffectiveDifficulty();
+  var candidates = getIntervalCandidates(diff);
+
+  var picked = pickForReview('interval', filterAllowed(diff, candidates, function (c) { return c.key; }));
+  var interval = picked.interval;
+  var ascending = picked.ascending;
+
+  var midi1, midi2;
+  if (ascending) {
+    midi1 = randomInt(range.low, Math.max(range.low, range.high - interval.semitones));
+    midi2 = midi1 + interval.semitones;
+  } else {
+    midi1 = randomInt(Math.min(range.high, range.low + interval.semitones), range.high);
+    midi2 = midi1 - interval.semitones;
+  }
+
+  var dirLabel = ascending ? '' : ' (desc)';
+  return {
+    midi1: midi1,
+    midi2: midi2,
+    semitones: interval.semitones,
+    ascending: ascending,
+    answer: interval.name + dirLabel,
+  };
+}
+
+// Interval candidates shared by interval ID and sing-back
+function getIntervalCandidates(diff) {
+  var pool;
+  if (diff.intervalPool === 'easy') {
+    pool = INTERVALS.filter(function (i) { return EASY_INTERVALS.indexOf(i.semitones) !== -1; });
+  } else {
+    pool = INTERVALS.slice();
+  }
+
+  var candidates = [];
+  pool.forEach(function (i) {
+    if (diff.intervalPool === 'all+descending' && i.semitones > 0) {
+      candidates.push({ key: i.name, interval: i, ascending: true, share: 0.5 });
+      candidates.push({ key: i.name + ' (desc)', interval: i, ascending: false, share: 0.5 });
+    } else {
+      candidates.push({ key: i.name, interval: i, ascending: true });
+    }
+  });
+  return candidates;
+}
+
+function generateSingQuestion() {
+  var diff = getEffectiveDifficulty();
+  var range = getMidiRange();
+  var low = Math.max(range.low, SING_RANGE.low);
+  var high = Math.min(range.high, SING_RANGE.high);
+  // Octave settings narrower than an octave of singable range are ignored
+  if (high - low < 12) {
+    low = SING_RANGE.low;
+    high = SING_RANGE.high;
+  }
+
+  var candidates = getIntervalCandidates(diff);
+  var picked = pickForReview('sing', filterAllowed(diff, candidates, function (c) { return c.key; }));
+  var semitones = picked.interval.semitones;
+
+  var startMidi, midi;
+  if (picked.ascending) {
+    startMidi = randomInt(low, high - semitones);
+    midi = startMidi + semitones;
+  } else {
+    startMidi = randomInt(low + semitones, high);
+    midi = startMidi - semitones;
+  }
+
+  return {
+    startMidi: startMidi,
+    midi: midi,
+    semitones: semitones,
+    ascending: picked.ascending,
+    intervalName: picked.interval.name,
+    statKey: picked.key,
+    answer: noteLabelFromMidi(midi),
+  };
+}
+
+// Distance in cents from the target's pitch class: singing in another octave
+// (a lower voice answering a high prompt) still counts.
+function singCents(freq, targetMidi) {
+  var cents = PitchDetector.centsBetween(freq, midiToFreq(targetMidi));
+  return ((cents % 1200) + 1800) % 1200 - 600;
+}
+
+function getChordPool(chordPool) {
+  if (chordPool === 'basic') {
+    return CHORDS.filter(function (c) { return c.pool === 'basic'; });
+  }
+  if (chordPool === 'triads') {
+    return CHORDS.filter(function (c) { return c.pool === 'basic' || c.pool === 'triads'; });
+  }
+  return CHORDS.slice();
+}
+
+function getInversionCount(chord, voicingPool) {
+  return (voicingPool === 'root' || !chord.invertible) ? 1 : chord.semitones.length;
+}
+
+function chordAnswerName(chord, inversion, namesInversions) {
+  if (!namesInversions) return chord.name;
+  return chord.name + ' (' + INVERSION_NAMES[inversion] + ')';
+}
+
+// Stats always separate inversions; root position keeps the plain quality name
+function chordStatKey(chord, inversion) {
+  return inversion === 0 ? chord.name : chord.name + ' (' + INVERSION_NAMES[inversion] + ')';
+}
+
+// Every CHORDS reading of a set of notes, octave and voicing aside: returns
+// [{ chord, inversion }] where inversion is the chord tone in the bass.
+function identifyChord(midis) {
+  var bassPc = Math.min.apply(null, midis) % 12;
+  var pcs = [];
+  midis.forEach(function (m) {
+    if (pcs.indexOf(m % 12) === -1) pcs.push(m % 12);
+  });
+
+  var matches = [];
+  CHORDS.forEach(function (chord) {
+    if (chord.semitones.length !== pcs.length) return;
+    for (var root = 0; root < 12; root++) {
+      var tones = chord.semitones.map(function (s) { return (root + s) % 12; });
+      var same = pcs.every(function (pc) { return tones.indexOf(pc) !== -1; });
+      var inversion = tones.indexOf(bassPc);
+      // Symmetric chords are only named from the bass, like their questions
+      if (same && (chord.invertible || inversion === 0)) {
+        matches.push({ chord: chord, inversion: inversion });
+      }
+    }
+  });
+  return matches;
+}
+
+// Returns semitone offsets above the bass, which is always chord tone `inversion`.
+function buildVoicing(semitones, inversion, voicing) {
+  var n = semitones.length;
+
+  function closeFrom(start) {
+    var notes = [];
+    for (var i = 0; i < n; i++) {
+      var s = semitones[(start + i) % n];
+      while (notes.length && s <= notes[notes.length - 1]) s += 12;
+      notes.push(s);
+    }
+    return notes;
+  }
+
+  var notes;
+  if (voicing === 'drop2') {
+    // Start from the close voicing whose second-highest note is the wanted
+    // bass tone, then drop that note an octave below the rest.
+    notes = closeFrom((inversion - 2 + n) % n);
+    notes[n - 2] -= 12;
+  } else if (voicing === 'open') {
+    notes = closeFrom(inversion);
+    notes[1] += 12;
+  } else {
+    notes = closeFrom(inversion);
+  }
+
+  notes.sort(function (a, b) { return a - b; });
+  return notes.map(function (s) { return s - notes[0]; });
+}
+
+function generateChordQuestion() {
+  var range = getMidiRange();
   var diff = getEffectiveDifficulty();
-  var pool;
+  var pool = getChordPool(diff.chordPool);
 
-  if (diff.intervalPool === 'easy') {
-    pool = INTERVALS.filter(function (i) { return EASY_INTERVALS.indexOf(i.semitones) !== -1; });
-  } else {
-    pool = INTERVALS.slice();
+  var candidates = [];
+  pool.forEach(function (c) {
+    var count = getInversionCount(c, diff.voicingPool);
+    for (var inv = 0; inv < count; inv++) {
+      candidates.push({ key: chordStatKey(c, inv), chord: c, inversion: inv, share: 1 / count });
+    }
+  });
+
+  var picked = pickForReview('chord', filterAllowed(diff, candidates, function (c) { return c.key; }));
+  var chord = picked.chord;
+  var inversion = picked.inversion;
+  var voicing = 'close';
+
+  if (diff.voicingPool === 'all') {
+    var voicings = chord.semitones.length >= 4 ? ['close', 'drop2', 'open'] : ['close', 'open'];
+    voicing = voicings[randomInt(0, voicings.length - 1)];
   }
 
-  var interval = pool[randomInt(0, pool.length - 1)];
-  var ascending = true;
+  var offsets = buildVoicing(chord.semitones, inversion, voicing);
+  var span = offsets[offsets.length - 1];
+  var bassMidi = randomInt(range.low, Math.max(range.low, range.high - span));
+  var midiNotes = offsets.map(function (s) { return bassMidi + s; });
+
+  return {
+    rootMidi: bassMidi - chord.semitones[inversion],
+    midiNotes: midiNotes,
+    inversion: inversion,
+    voicing: voicing,
+    statKey: chordStatKey(chord, inversion),
+    answer: chordAnswerName(chord, inversion, state.settings.nameInversions),
+    // Toggling the setting mid-question must not change how this one is graded
+    nameInversions: state.settings.nameInversions,
+  };
+}
 
-  if (diff.intervalPool === 'all+descending' && interval.semitones > 0) {
-    ascending = Math.random() < 0.5;
+function getScalePool(scalePool) {
+  if (scalePool === 'basic') {
+    return SCALES.filter(function (s) { return s.pool === 'basic'; });
+  }
+  if (scalePool === 'common') {
+    return SCALES.filter(function (s) { return s.pool === 'basic' || s.pool === 'common'; });
   }
+  return SCALES.slice();
+}
 
-  var midi1, midi2;
-  if (ascending) {
-    midi1 = randomInt(range.low, Math.max(range.low, range.high - interval.semitones));
-    midi2 = midi1 + interval.semitones;
-  } else {
-    midi1 = randomInt(Math.min(range.high, range.low + interval.semitones), range.high);
-    midi2 = midi1 - interval.semitones;
+function generateScaleQuestion() {
+  var range = getMidiRange();
+  var diff = getEffectiveDifficulty();
+  var pool = filterAllowed(diff, getScalePool(diff.scalePool), function (sc) { return sc.name; });
+
+  var scale = pool[randomInt(0, pool.length - 1)];
+  var ascending = true;
+
+  if (diff.scalePool === 'all+descending') {
+    ascending = random() < 0.5;
   }
 
-  var dirLabel = ascending ? '' : ' (desc)';
+  var span = scale.steps[scale.steps.length - 1];
+  var tonicMidi = randomInt(range.low, Math.max(range.low, range.high - span));
+  var midiNotes = scale.steps.map(function (s) { return tonicMidi + s; });
+  if (!ascending) midiNotes.reverse();
+
   return {
-    midi1: midi1,
-    midi2: midi2,
-    semitones: interval.semitones,
+    rootMidi: tonicMidi,
+    midiNotes: midiNotes,
     ascending: ascending,
-    answer: interval.name + dirLabel,
+    answer: scale.name,
   };
 }
 
-function generateChordQuestion() {
-  var range = getMidiRange();
+function generateDictationQuestion() {
+  var range = getPianoRange();
   var diff = getEffectiveDifficulty();
-  var pool;
+  var candidates = [];
 
-  if (diff.chordPool === 'basic') {
-    pool = CHORDS.filter(function (c) { return c.pool === 'basic'; });
-  } else if (diff.chordPool === 'triads') {
-    pool = CHORDS.filter(function (c) { return c.pool === 'basic' || c.pool === 'triads'; });
-  } else {
-    pool = CHORDS.slice();
+  for (var m = range.low; m <= range.high; m++) {
+    if (diff.notePool !== 'natural' || NATURAL_NOTES.indexOf(NOTE_NAMES[m % 12]) !== -1) {
+      candidates.push(m);
+    }
+  }
+
+  var length = diff.melodyLength;
+  if (diff.allowedItems) {
+    length = parseInt(diff.allowedItems[randomInt(0, diff.allowedItems.length - 1)], 10);
+  }
+
+  if (usingCustomSource()) {
+    var fromSource = generateSourceDictationQuestion(length);
+    if (fromSource) return fromSource;
   }
 
-  var chord = pool[randomInt(0, pool.length - 1)];
-  var maxSemitone = Math.max.apply(null, chord.semitones);
-  var rootMidi = randomInt(range.low, Math.max(range.low, range.high - maxSemitone));
-  var midiNotes = chord.semitones.map(function (s) { return rootMidi + s; });
+  var midiNotes = [candidates[randomInt(0, candidates.length - 1)]];
+  while (midiNotes.length < length) {
+    var prev = midiNotes[midiNotes.length - 1];
+    var nearby = candidates.filter(function (c) {
+      return c !== prev && Math.abs(c - prev) <= MELODY_MAX_LEAP;
+    });
+    midiNotes.push(nearby[randomInt(0, nearby.length - 1)]);
+  }
 
   return {
-    rootMidi: rootMidi,
     midiNotes: midiNotes,
-    answer: chord.name,
+    sequence: midiNotes,
+    statKey: midiNotes.length + ' notes',
+    answer: midiNotes.map(noteLabelFromMidi).join(' '),
   };
 }
 
-function generateQuestion() {
-  if (state.mode === 'note') {
-    state.currentQuestion = generateNoteQuestion();
-  } else if (state.mode === 'interval') {
-    state.currentQuestion = generateIntervalQuestion();
-  } else {
-    state.currentQuestion = generateChordQuestion();
+function findChord(name) {
+  return CHORDS.filter(function (c) { return c.name === name; })[0];
+}
+
+function findNumeral(numeral) {
+  return ROMAN_NUMERALS.filter(function (r) { return r.numeral === numeral; })[0];
+}
+
+function progressionName(progression) {
+  return progression.numerals.join('–');
+}
+
+function getProgressionPool(progressionPool) {
+  if (progressionPool === 'primary') {
+    return PROGRESSIONS.filter(function (p) { return p.pool === 'primary'; });
+  }
+  if (progressionPool === 'diatonic') {
+    return PROGRESSIONS.filter(function (p) { return p.pool === 'primary' || p.pool === 'diatonic'; });
+  }
+  return PROGRESSIONS.slice();
+}
+
+function getNumeralPool(progressionPool) {
+  if (progressionPool === 'primary') {
+    return ROMAN_NUMERALS.filter(function (r) { return r.pool === 'primary'; });
+  }
+  if (progressionPool === 'diatonic') {
+    return ROMAN_NUMERALS.filter(function (r) { return r.pool === 'primary' || r.pool === 'diatonic'; });
   }
+  return ROMAN_NUMERALS.slice();
+}
+
+function average(values) {
+  return values.reduce(function (a, b) { return a + b; }, 0) / values.length;
+}
+
+// Voices each chord as a bass note plus a close upper structure, picking the
+// inversion and octave of the upper structure closest to the previous chord.
+function voiceProgression(numerals, tonicMidi) {
+  var prevUpper = null;
+
+  return numerals.map(function (numeral) {
+    var rn = findNumeral(numeral);
+    var chord = findChord(rn.chord);
+    var rootMidi = tonicMidi + (rn.root > 6 ? rn.root - 12 : rn.root);
+    var best = null;
+
+    for (var inv = 0; inv < chord.semitones.length; inv++) {
+      var offsets = buildVoicing(chord.semitones, inv, 'close');
+      [-12, 0, 12].forEach(function (shift) {
+        var upper = offsets.map(function (o) { return rootMidi + chord.semitones[inv] + shift + o; });
+        var dist = prevUpper ? Math.abs(average(upper) - average(prevUpper)) : (inv === 0 && shift === 0 ? 0 : Infinity);
+        if (!best || dist < best.dist) best = { upper: upper, dist: dist };
+      });
+    }
+
+    prevUpper = best.upper;
+    return [rootMidi - 12].concat(best.upper);
+  });
+}
+
+function generateProgressionQuestion() {
+  var range = getMidiRange();
+  var diff = getEffectiveDifficulty();
+  var pool = filterAllowed(diff, getProgressionPool(diff.progressionPool), progressionName);
+
+  var progression = pool[randomInt(0, pool.length - 1)];
+  var low = range.low + 12;
+  var tonicMidi = randomInt(low, Math.max(low, range.high - 12));
+  var name = progressionName(progression);
+
+  return {
+    tonicMidi: tonicMidi,
+    chords: voiceProgression(progression.numerals, tonicMidi),
+    sequence: progression.numerals.slice(),
+    statKey: name,
+    answer: name,
+    // Changing the setting mid-question must not change how this one is graded
+    answerStyle: state.settings.progressionAnswer,
+  };
+}
+
+function getDegreePool(degreePool) {
+  if (degreePool === 'triad') {
+    return SCALE_DEGREES.filter(function (d) { return d.pool === 'triad'; });
+  }
+  if (degreePool === 'diatonic') {
+    return SCALE_DEGREES.filter(function (d) { return d.pool === 'triad' || d.pool === 'diatonic'; });
+  }
+  return SCALE_DEGREES.slice();
+}
+
+function degreeLabel(deg, style) {
+  return style === 'solfege' ? deg.solfege : deg.degree;
+}
+
+function generateDegreeQuestion() {
+  var range = getMidiRange();
+  var diff = getEffectiveDifficulty();
+  var pool = filterAllowed(diff, getDegreePool(diff.degreePool), function (d) { return d.degree; });
+  var newKey = !state.degreeKey || state.degreeKey.remaining <= 0;
+
+  if (newKey) {
+    var low = range.low + 12;
+    state.degreeKey = {
+      tonicMidi: randomInt(low, Math.max(low, range.high - 12)),
+      remaining: DEGREE_KEY_LENGTH,
+    };
+  }
+  state.degreeKey.remaining--;
+
+  var tonicMidi = state.degreeKey.tonicMidi;
+  var deg = pool[randomInt(0, pool.length - 1)];
+
+  // Any octave of the degree within an octave either side of the tonic
+  var candidates = [];
+  for (var m = Math.max(range.low, tonicMidi - 12); m <= Math.min(range.high, tonicMidi + 12); m++) {
+    if ((m - tonicMidi + 12) % 12 === deg.semitones) candidates.push(m);
+  }
+
+  return {
+    tonicMidi: tonicMidi,
+    newKey: newKey,
+    midi: candidates[randomInt(0, candidates.length - 1)],
+    statKey: deg.degree,
+    answer: degreeLabel(deg, state.settings.degreeLabels),
+    labelStyle: state.settings.degreeLabels,
+  };
+}
+
+// The style the current progression question was asked in (the setting
+// until one has been generated)
+function progressionAnswerStyle() {
+  var q = state.currentQuestion;
+  return q && q.answerStyle ? q.answerStyle : state.settings.progressionAnswer;
+}
+
+// Whether the current chord question names inversions (likewise frozen)
+function chordNamesInversions() {
+  var q = state.currentQuestion;
+  return q && q.nameInversions !== undefined ? q.nameInversions : state.settings.nameInversions;
+}
+
+// The labels the current degree question was asked with (likewise frozen)
+function degreeLabelStyle() {
+  var q = state.currentQuestion;
+  return q && q.labelStyle ? q.labelStyle : state.settings.degreeLabels;
+}
+
+// Dictation and chord-by-chord progressions are answered one item at a time
+function usesSequenceEntry() {
+  return state.mode === 'dictation' ||
+    (state.mode === 'progression' && progressionAnswerStyle() === 'chords');
+}
+
+function sequenceItemLabel(item) {
+  return typeof item === 'number' ? displayNoteLabel(item) : item;
+}
+
+// Grades an entered sequence position by position against the target.
+function gradeSequence(entered) {
+  var target = state.currentQuestion.sequence;
+  var marks = target.map(function (item, i) { return entered[i] === item; });
+  return {
+    marks: marks,
+    correct: marks.filter(Boolean).length,
+    total: target.length,
+  };
+}
+
+function createQuestion() {
+  if (state.mode === 'note') return generateNoteQuestion();
+  if (state.mode === 'interval') return generateIntervalQuestion();
+  if (state.mode === 'scale') return generateScaleQuestion();
+  if (state.mode === 'dictation') return generateDictationQuestion();
+  if (state.mode === 'progression') return generateProgressionQuestion();
+  if (state.mode === 'degree') return generateDegreeQuestion();
+  if (state.mode === 'sing') return generateSingQuestion();
+  return generateChordQuestion();
+}
+
+function generateQuestion() {
+  if (state.daily) prepareDailyQuestion();
+  state.currentQuestion = createQuestion();
+  state.playbackEndsAt = 0;
   state.replaysUsed = 0;
   state.userAnswer = null;
+  state.sequenceEntry = [];
+  state.midiGesture.notes = [];
   state.hintUsed = false;
+  state.newlyUnlocked = null;
 }
 
 // ── 8. Answer Choices ────────────────────────
 
 function getNoteChoices() {
   var diff = getEffectiveDifficulty();
-  return diff.notePool === 'natural' ? NATURAL_NOTES.slice() : NOTE_NAMES.slice();
+  var names = diff.notePool === 'natural' ? NATURAL_NOTES.slice() : NOTE_NAMES.slice();
+  return filterAllowed(diff, names, String);
 }
 
 function getIntervalChoices() {
@@ -481,45 +2628,128 @@ function getIntervalChoices() {
   if (diff.intervalPool === 'all+descending') {
     var desc = INTERVALS.filter(function (i) { return i.semitones > 0; })
       .map(function (i) { return i.name + ' (desc)'; });
-    return names.concat(desc);
+    names = names.concat(desc);
   }
 
-  return names;
+  return filterAllowed(diff, names, String);
 }
 
 function getChordChoices() {
   var diff = getEffectiveDifficulty();
+  var pool = getChordPool(diff.chordPool);
+  var choices = [];
+
+  pool.forEach(function (c) {
+    var count = getInversionCount(c, diff.voicingPool);
+    var allowed = [];
+    for (var inv = 0; inv < count; inv++) {
+      if (filterAllowed(diff, [chordStatKey(c, inv)], String).length) allowed.push(inv);
+    }
+    if (!allowed.length) return;
 
-  if (diff.chordPool === 'basic') {
-    return CHORDS.filter(function (c) { return c.pool === 'basic'; })
-      .map(function (c) { return c.name; });
-  }
-  if (diff.chordPool === 'triads') {
-    return CHORDS.filter(function (c) { return c.pool === 'basic' || c.pool === 'triads'; })
-      .map(function (c) { return c.name; });
+    if (!chordNamesInversions()) {
+      choices.push(c.name);
+    } else {
+      allowed.forEach(function (inv) { choices.push(chordAnswerName(c, inv, true)); });
+    }
+  });
+  return choices;
+}
+
+function getScaleChoices() {
+  var diff = getEffectiveDifficulty();
+  return filterAllowed(diff, getScalePool(diff.scalePool), function (sc) { return sc.name; })
+    .map(function (sc) { return sc.name; });
+}
+
+function getProgressionChoices() {
+  var diff = getEffectiveDifficulty();
+  var progressions = filterAllowed(diff, getProgressionPool(diff.progressionPool), progressionName);
+
+  if (progressionAnswerStyle() === 'chords') {
+    // Only numerals that occur in a progression currently in play
+    var used = {};
+    progressions.forEach(function (p) {
+      p.numerals.forEach(function (n) { used[n] = true; });
+    });
+    return getNumeralPool(diff.progressionPool)
+      .filter(function (r) { return used[r.numeral]; })
+      .map(function (r) { return r.numeral; });
   }
-  return CHORDS.map(function (c) { return c.name; });
+  return progressions.map(progressionName);
+}
+
+function getDegreeChoices() {
+  var diff = getEffectiveDifficulty();
+  var style = degreeLabelStyle();
+  return filterAllowed(diff, getDegreePool(diff.degreePool), function (d) { return d.degree; })
+    .map(function (d) { return degreeLabel(d, style); });
 }
 
 function getChoices() {
   if (state.mode === 'note') return getNoteChoices();
   if (state.mode === 'interval') return getIntervalChoices();
+  if (state.mode === 'scale') return getScaleChoices();
+  if (state.mode === 'dictation' || state.mode === 'sing') return [];
+  if (state.mode === 'progression') return getProgressionChoices();
+  if (state.mode === 'degree') return getDegreeChoices();
   return getChordChoices();
 }
 
 // ── 9. Piano Renderer ────────────────────────
 
-function renderPiano(container, highlights) {
+function getPianoRange() {
+  var octaves = getOctaveRange();
+  var minOct = octaves.min;
+  var maxOct = Math.min(octaves.max, minOct + 2); // max 3 octaves displayed
+  return {
+    low: (minOct + 1) * 12,      // C of minOct
+    high: (maxOct + 1) * 12 + 11, // B of maxOct
+  };
+}
+
+// Every key plays its pitch when pressed; onKeyPress (optional) also receives
+// the key's MIDI note so the keyboard can be used as an answer input.
+// What a highlight class means, for screen readers
+function highlightLabel(highlight) {
+  return I18n.has('highlight.' + highlight) ? I18n.t('highlight.' + highlight) : I18n.t('highlight.other');
+}
+
+// Text alternative to the coloured keys, e.g. "Piano: C4 correct, E4 wrong"
+function describePianoHighlights(highlights) {
+  var parts = Object.keys(highlights).sort(function (a, b) { return a - b; }).map(function (midi) {
+    return displayNoteLabel(+midi) + ' ' + highlightLabel(highlights[midi]);
+  });
+  return parts.length ? I18n.t('piano.highlights', { keys: parts.join(', ') }) : I18n.t('piano.display');
+}
+
+// Keys that answer (onKeyPress) are buttons reachable with Tab and arrows;
+// a display-only keyboard is one image described by its highlights
+function labelPianoKey(key, midi, highlight, isInput) {
+  if (!isInput) return;
+  key.setAttribute('role', 'button');
+  key.tabIndex = -1;
+  key.setAttribute('aria-label', displayNoteLabel(midi) + (highlight ? ', ' + highlightLabel(highlight) : ''));
+}
+
+function renderPiano(container, highlights, onKeyPress) {
   highlights = highlights || {};
   container.innerHTML = '';
 
-  var minOct = state.settings.octaveMin;
-  var maxOct = Math.min(state.settings.octaveMax, minOct + 2); // max 3 octaves displayed
-  var startMidi = (minOct + 1) * 12;     // C of minOct
-  var endMidi = (maxOct + 1) * 12 + 11;  // B of maxOct
+  var range = getPianoRange();
+  var startMidi = range.low;
+  var endMidi = range.high;
 
   var piano = document.createElement('div');
   piano.className = 'piano-keyboard';
+  bindPianoInput(piano, onKeyPress);
+  if (onKeyPress) {
+    piano.setAttribute('role', 'group');
+    piano.setAttribute('aria-label', I18n.t('piano.input'));
+  } else {
+    piano.setAttribute('role', 'img');
+    piano.setAttribute('aria-label', describePianoHighlights(highlights));
+  }
 
   // Count white keys for width calculation
   var whiteCount = 0;
@@ -547,6 +2777,9 @@ function renderPiano(container, highlights) {
     key.dataset.midi = m;
     key.style.left = (wIdxTemp * whiteW) + '%';
     key.style.width = whiteW + '%';
+    labelPianoKey(key, m, highlights[m], !!onKeyPress);
+    // The lowest key is the one Tab reaches
+    if (onKeyPress && wIdxTemp === 0) key.tabIndex = 0;
 
     if (highlights[m]) key.classList.add(highlights[m]);
     piano.appendChild(key);
@@ -569,6 +2802,7 @@ function renderPiano(container, highlights) {
     key.dataset.midi = m;
     key.style.left = (wIdx * whiteW - blackW / 2) + '%';
     key.style.width = blackW + '%';
+    labelPianoKey(key, m, highlights[m], !!onKeyPress);
 
     if (highlights[m]) key.classList.add(highlights[m]);
     piano.appendChild(key);
@@ -577,11 +2811,55 @@ function renderPiano(container, highlights) {
   container.appendChild(piano);
 }
 
+const PIANO_PRESS_DURATION = 0.6;
+
+// Pointer events cover mouse, pen and touch alike
+function bindPianoInput(piano, onKeyPress) {
+  var pressedKey = null;
+
+  function release() {
+    if (pressedKey) pressedKey.classList.remove('pressed');
+    pressedKey = null;
+  }
+
+  piano.addEventListener('pointerdown', function (e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    var key = e.target.closest('.piano-key');
+    if (!key) return;
+    e.preventDefault();
+
+    release();
+    pressedKey = key;
+    key.classList.add('pressed');
+
+    var midi = parseInt(key.dataset.midi, 10);
+    playNote(midi, PIANO_PRESS_DURATION);
+    if (onKeyPress) onKeyPress(midi);
+  });
+
+  piano.addEventListener('pointerup', release);
+  piano.addEventListener('pointerleave', release);
+  piano.addEventListener('pointercancel', release);
+
+  // A focused key plays and answers on Space, or Enter like a button unless
+  // Enter submits an entered sequence
+  piano.addEventListener('keydown', function (e) {
+    if (e.key !== ' ' && !(e.key === 'Enter' && !usesSequenceEntry())) return;
+    var key = e.target.closest('.piano-key');
+    if (!key || !onKeyPress) return;
+    e.preventDefault();
+    e.stopPropagation();
+    var midi = parseInt(key.dataset.midi, 10);
+    playNote(midi, PIANO_PRESS_DURATION);
+    onKeyPress(midi);
+  });
+}
+
 function getQuestionMidis() {
   if (!state.currentQuestion) return [];
-  if (state.mode === 'note') return [state.currentQuestion.midi];
+  if (state.mode === 'note' || state.mode === 'degree' || state.mode === 'sing') return [state.currentQuestion.midi];
   if (state.mode === 'interval') return [state.currentQuestion.midi1, state.currentQuestion.midi2];
-  if (state.mode === 'chord') return state.currentQuestion.midiNotes.slice();
+  if (state.currentQuestion.midiNotes) return state.currentQuestion.midiNotes.slice();
   return [];
 }
 
@@ -593,16 +2871,84 @@ function makeHighlights(midis, className) {
 
 // ── 10. Timer ────────────────────────────────
 
+// A drill link brings its own format
+function getChallengeId() {
+  return state.linkDrill && state.linkDrill.format ? state.linkDrill.format : state.settings.challengeFormat;
+}
+
+function getChallengeFormat() {
+  return CHALLENGE_FORMATS[getChallengeId()];
+}
+
+// Bests and history are kept per key: the format, plus '-speed' for a clock
+// format under speed scoring, whose points don't compare with plain counts
+function getChallengeKey() {
+  var speed = state.settings.timedScoring === 'speed' && getChallengeFormat().seconds;
+  return getChallengeId() + (speed ? '-speed' : '');
+}
+
+function isChallengeKey(key) {
+  return typeof key === 'string' && CHALLENGE_FORMATS.hasOwnProperty(key.replace(/-speed$/, ''));
+}
+
+function describeChallengeKey(key) {
+  var id = key.replace(/-speed$/, '');
+  var label = I18n.t('challenge.' + id);
+  return id !== key ? I18n.t('challenge.speed', { format: label }) : label;
+}
+
+function lowerIsBetter(key) {
+  return !!CHALLENGE_FORMATS[key.replace(/-speed$/, '')].questions;
+}
+
+function formatChallengeScore(key, score) {
+  return lowerIsBetter(key) ? formatSeconds(score) : String(score);
+}
+
+// The difficulty whose best counts for this one: its own, or until it has one,
+// a best migrated from before difficulty was recorded (UNKNOWN_DIFFICULTY)
+function challengeBestDifficulty(key, mode, difficulty) {
+  var byMode = stats.challengeBests[key];
+  var bests = byMode && byMode[mode];
+  if (bests && !bests.hasOwnProperty(difficulty) && bests.hasOwnProperty(UNKNOWN_DIFFICULTY)) return UNKNOWN_DIFFICULTY;
+  return difficulty;
+}
+
+function getChallengeBest(key, mode, difficulty) {
+  var byMode = stats.challengeBests[key];
+  if (!byMode || !byMode[mode]) return undefined;
+  return byMode[mode][challengeBestDifficulty(key, mode, difficulty)];
+}
+
+function setChallengeBest(key, mode, difficulty, score) {
+  var bests = stats.challengeBests;
+  if (!bests[key]) bests[key] = {};
+  if (!bests[key][mode]) bests[key][mode] = {};
+  bests[key][mode][difficulty] = score;
+}
+
+function resetChallenge() {
+  var format = getChallengeFormat();
+  state.timerRemaining = format.seconds || 0;
+  state.livesLeft = format.lives || 0;
+  state.challengeStartedAt = 0;
+  state.challengeMs = 0;
+  updateTimerDisplay();
+}
+
 function startTimer() {
-  state.timerRemaining = TIMED_DURATION;
+  var format = getChallengeFormat();
+  state.challengeStartedAt = Date.now();
   updateTimerDisplay();
   els.timerBar.style.display = '';
 
   state.timerInterval = setInterval(function () {
-    state.timerRemaining--;
+    // Only clock formats run out; the others tick to show the elapsed time
+    if (format.seconds) state.timerRemaining--;
     updateTimerDisplay();
+    if (format.seconds && state.timerRemaining === 10) announce(I18n.t('timed.secondsLeft', { seconds: 10 }));
 
-    if (state.timerRemaining <= 0) {
+    if (format.seconds && state.timerRemaining <= 0) {
       clearInterval(state.timerInterval);
       state.timerInterval = null;
       endTimedChallenge();
@@ -617,37 +2963,91 @@ function stopTimer() {
   }
 }
 
+function getChallengeElapsed() {
+  if (state.challengeMs) return state.challengeMs;
+  return state.challengeStartedAt ? Date.now() - state.challengeStartedAt : 0;
+}
+
 function updateTimerDisplay() {
-  var pct = (state.timerRemaining / TIMED_DURATION) * 100;
+  var format = getChallengeFormat();
+  var pct, text;
+  var level = '';
+  if (format.seconds) {
+    pct = (state.timerRemaining / format.seconds) * 100;
+    text = state.timerRemaining;
+    if (state.timerRemaining <= 10) level = ' danger';
+    else if (state.timerRemaining <= 20) level = ' warning';
+  } else if (format.lives) {
+    pct = (state.livesLeft / format.lives) * 100;
+    text = '♥'.repeat(state.livesLeft) + '♡'.repeat(format.lives - state.livesLeft) +
+      ' · ' + state.score.correct + ' correct';
+    if (state.livesLeft <= 1) level = ' danger';
+    else if (state.livesLeft < format.lives) level = ' warning';
+  } else {
+    pct = (state.score.total / format.questions) * 100;
+    text = state.score.total + ' / ' + format.questions + ' · ' + formatDuration(getChallengeElapsed());
+  }
   els.timerFill.style.width = pct + '%';
-  els.timerText.textContent = state.timerRemaining;
+  els.timerText.textContent = text;
+  els.timerFill.className = 'timer-fill' + level;
+}
 
-  if (state.timerRemaining <= 10) {
-    els.timerFill.className = 'timer-fill danger';
-  } else if (state.timerRemaining <= 20) {
-    els.timerFill.className = 'timer-fill warning';
-  } else {
-    els.timerFill.className = 'timer-fill';
+// Counts an answer against the format; returns true once the run is over
+function updateChallenge(isCorrect) {
+  var format = getChallengeFormat();
+  if (format.lives && !isCorrect) state.livesLeft--;
+  var over = format.lives ? state.livesLeft <= 0 : !!format.questions && state.score.total >= format.questions;
+  if (over) {
+    stopTimer();
+    state.challengeMs = Date.now() - state.challengeStartedAt;
   }
+  updateTimerDisplay();
+  return over;
 }
 
 function endTimedChallenge() {
   stopTimer();
+  stopListening();
   state.timedAnswering = false;
 
   var mode = state.mode;
-  var score = state.score.correct;
-  var isNewBest = score > (stats.timedBest[mode] || 0);
-
-  if (isNewBest) {
-    stats.timedBest[mode] = score;
-    saveData();
-  }
+  var key = getChallengeKey();
+  var score = getChallengeScore();
+  var best = getChallengeBest(key, mode, state.difficulty);
+  var isNewBest = lowerIsBetter(key)
+    ? best === undefined || score < best
+    : score > (best || 0);
+
+  stats.timedHistory.push({
+    time: Date.now(), mode: mode, score: score, total: state.score.total, format: key, difficulty: state.difficulty,
+  });
+  if (stats.timedHistory.length > TIMED_HISTORY_LIMIT) stats.timedHistory.shift();
+  if (isNewBest) setChallengeBest(key, mode, state.difficulty, score);
+  saveData();
 
   showScreen('timed-result');
   renderTimedResult(isNewBest);
 }
 
+function usesSpeedScoring() {
+  return state.timedMode && /-speed$/.test(getChallengeKey());
+}
+
+// A sprint scores its time plus penalties; the other formats count up
+function getChallengeScore() {
+  if (getChallengeFormat().questions) {
+    return state.challengeMs + (state.score.total - state.score.correct) * SPRINT_PENALTY_MS;
+  }
+  return usesSpeedScoring() ? state.score.points : state.score.correct;
+}
+
+function speedPoints(ms) {
+  var s = SPEED_SCORING;
+  if (ms === null) return s.minPoints;
+  var t = Math.min(1, Math.max(0, (ms - s.fastMs) / (s.slowMs - s.fastMs)));
+  return Math.round(s.maxPoints - t * (s.maxPoints - s.minPoints));
+}
+
 function showCountdown(callback) {
   var overlay = els.countdownOverlay;
   var numberEl = els.countdownNumber;
@@ -656,6 +3056,11 @@ function showCountdown(callback) {
   overlay.style.display = 'flex';
   overlay.classList.remove('fade-out');
   numberEl.textContent = count;
+  var format = getChallengeFormat();
+  els.countdownLabel.textContent = format.lives ? I18n.t('countdown.lives', { lives: format.lives })
+    : format.questions ? I18n.t('countdown.sprint', { questions: format.questions })
+      : I18n.t('countdown.clock', { format: describeChallengeKey(getChallengeId()) });
+  announce(I18n.t('countdown.ready', { format: els.countdownLabel.textContent }));
 
   var interval = setInterval(function () {
     count--;
@@ -679,16 +3084,34 @@ function applyHint() {
   if (state.hintUsed) return;
   state.hintUsed = true;
 
-  var correctAnswer = state.currentQuestion.answer;
+  // Dictation has no answer buttons: reveal the starting note instead
+  if (state.mode === 'dictation') {
+    renderDictationPiano();
+    els.hintBtn.disabled = true;
+    els.hintBtn.classList.add('used');
+    return;
+  }
+
+  // Sing-back: play the target note once
+  if (state.mode === 'sing') {
+    stopListening();
+    playNote(state.currentQuestion.midi, getEffectiveDifficulty().noteDuration);
+    els.hintBtn.disabled = true;
+    els.hintBtn.classList.add('used');
+    return;
+  }
+
+  // With sequence entry every item of the sequence is a correct button
+  var correctAnswers = usesSequenceEntry() ? state.currentQuestion.sequence : [state.currentQuestion.answer];
   var btns = els.answerGrid.querySelectorAll('.answer-btn:not(.eliminated)');
 
   var wrongBtns = [];
   btns.forEach(function (btn) {
-    if (btn.dataset.answer !== correctAnswer) wrongBtns.push(btn);
+    if (correctAnswers.indexOf(btn.dataset.answer) === -1) wrongBtns.push(btn);
   });
 
   // Shuffle and eliminate half
-  var toEliminate = Math.max(1, Math.floor(wrongBtns.length / 2));
+  var toEliminate = Math.min(wrongBtns.length, Math.max(1, Math.floor(wrongBtns.length / 2)));
   for (var i = wrongBtns.length - 1; i > 0; i--) {
     var j = Math.floor(Math.random() * (i + 1));
     var temp = wrongBtns[i];
@@ -698,6 +3121,7 @@ function applyHint() {
 
   for (var i = 0; i < toEliminate; i++) {
     wrongBtns[i].classList.add('eliminated');
+    wrongBtns[i].disabled = true;
   }
 
   els.hintBtn.disabled = true;
@@ -719,7 +3143,9 @@ function initDomRefs() {
     result: $('#screen-result'),
     settings: $('#screen-settings'),
     stats: $('#screen-stats'),
+    'drill-editor': $('#screen-drill-editor'),
     'timed-result': $('#screen-timed-result'),
+    'daily-result': $('#screen-daily-result'),
   };
 
   els = {
@@ -737,11 +3163,22 @@ function initDomRefs() {
     scaleBtn: $('#scale-btn'),
     backToMenuBtn: $('#back-to-menu-btn'),
     answerGrid: $('#answer-grid'),
+    hintText: $('#hint-text'),
+    sequenceEntry: $('#sequence-entry'),
+    sequenceSlots: $('#sequence-slots'),
+    sequenceUndoBtn: $('#sequence-undo-btn'),
+    sequenceSubmitBtn: $('#sequence-submit-btn'),
+    singPanel: $('#sing-panel'),
+    singBtn: $('#sing-btn'),
+    singReadout: $('#sing-readout'),
+    tuningNeedle: $('#tuning-needle'),
+    tuningZone: $('#tuning-zone'),
     pianoContainer: $('#piano-container'),
     resultFeedback: $('#result-feedback'),
     resultText: $('#result-text'),
     resultDetail: $('#result-detail'),
     resultPianoContainer: $('#result-piano-container'),
+    resultSequence: $('#result-sequence'),
     resultAnswerGrid: $('#result-answer-grid'),
     nextBtn: $('#next-btn'),
     timerBar: $('#timer-bar'),
@@ -751,6 +3188,7 @@ function initDomRefs() {
     timedFinalScore: $('#timed-final-score'),
     timedAccuracy: $('#timed-accuracy'),
     timedBestDisplay: $('#timed-best-display'),
+    timedScoreLabel: $('#timed-score-label'),
     timedRetryBtn: $('#timed-retry-btn'),
     timedMenuBtn: $('#timed-menu-btn'),
     statsContent: $('#stats-content'),
@@ -758,36 +3196,292 @@ function initDomRefs() {
     octaveMin: $('#octave-min'),
     octaveMax: $('#octave-max'),
     waveform: $('#waveform'),
+    synthPreset: $('#synth-preset'),
+    patchPreviewBtn: $('#patch-preview-btn'),
+    patchParams: Array.prototype.slice.call($$('.patch-param')),
+    instrument: $('#instrument'),
+    customSamples: $('#custom-samples'),
+    customSamplesRow: $('#custom-samples-row'),
+    clearSamplesBtn: $('#clear-samples-btn'),
+    instrumentStatus: $('#instrument-status'),
+    audioStatus: $('#audio-status'),
+    saveStatus: $('#save-status'),
     volumeSlider: $('#volume-slider'),
     volumeDisplay: $('#volume-display'),
     refTone: $('#ref-tone'),
+    progressionAnswer: $('#progression-answer'),
+    degreeLabels: $('#degree-labels'),
+    spacedRepetition: $('#spaced-repetition'),
+    keyContext: $('#key-context'),
+    singPrompt: $('#sing-prompt'),
+    language: $('#language'),
+    noteNames: $('#note-names'),
+    accidentals: $('#accidentals'),
+    timedScoring: $('#timed-scoring'),
+    backupBtn: $('#backup-btn'),
+    restoreFile: $('#restore-file'),
+    dataStatus: $('#data-status'),
+    profileSelect: $('#profile-select'),
+    customDrillRow: $('#custom-drill-row'),
+    drillPreset: $('#drill-preset'),
+    drillEditBtn: $('#drill-edit-btn'),
+    drillNewBtn: $('#drill-new-btn'),
+    drillEditorTitle: $('#drill-editor-title'),
+    drillName: $('#drill-name'),
+    drillNotes: $('#drill-notes'),
+    drillIntervals: $('#drill-intervals'),
+    drillChords: $('#drill-chords'),
+    drillInversions: $('#drill-inversions'),
+    drillDuration: $('#drill-duration'),
+    drillDurationDisplay: $('#drill-duration-display'),
+    drillReplays: $('#drill-replays'),
+    drillOctaveMin: $('#drill-octave-min'),
+    drillOctaveMax: $('#drill-octave-max'),
+    drillError: $('#drill-error'),
+    drillSaveBtn: $('#drill-save-btn'),
+    drillDeleteBtn: $('#drill-delete-btn'),
+    drillCancelBtn: $('#drill-cancel-btn'),
+    dailyBtn: $('#daily-btn'),
+    dailyStatus: $('#daily-status'),
+    dailyDate: $('#daily-date'),
+    dailyFinalScore: $('#daily-final-score'),
+    dailySummary: $('#daily-summary'),
+    dailyStreak: $('#daily-streak'),
+    dailyNext: $('#daily-next'),
+    dailyCalendar: $('#daily-calendar'),
+    dailyMenuBtn: $('#daily-menu-btn'),
+    srStatus: $('#sr-status'),
+    linkBanner: $('#link-banner'),
+    linkBannerText: $('#link-banner-text'),
+    linkStartBtn: $('#link-start-btn'),
+    linkDismissBtn: $('#link-dismiss-btn'),
+    shareLinkBtn: $('#share-link-btn'),
+    shareStatus: $('#share-status'),
+    midiDevice: $('#midi-device'),
+    midiScanBtn: $('#midi-scan-btn'),
+    midiStatus: $('#midi-status'),
+    midiSound: $('#midi-sound'),
+    midiNotice: $('#midi-notice'),
+    exportSessionBtn: $('#export-session-btn'),
+    exportBatchBtn: $('#export-batch-btn'),
+    exportBatchSize: $('#export-batch-size'),
+    midiFile: $('#midi-file'),
+    midiFileStatus: $('#midi-file-status'),
+    clearSourceBtn: $('#clear-source-btn'),
+    useCustomSource: $('#use-custom-source'),
+    nameInversions: $('#name-inversions'),
     resetScoreBtn: $('#reset-score-btn'),
     resetStatsBtn: $('#reset-stats-btn'),
     settingsBackBtn: $('#settings-back-btn'),
     countdownOverlay: $('#countdown-overlay'),
+    countdownLabel: $('#countdown-label'),
+    challengeFormat: $('#challenge-format'),
+    timedResultTitle: $('#timed-result-title'),
     countdownNumber: $('#countdown-number'),
   };
 }
 
 // ── 13. Screen Management ────────────────────
 
+// Where keyboard focus lands when each screen opens (playing: see focusScreen)
+const SCREEN_FOCUS = {
+  menu: '#screen-menu .mode-btn',
+  result: '#next-btn',
+  settings: '#screen-settings select',
+  stats: '.stats-tab.active',
+  'drill-editor': '#drill-name',
+  'timed-result': '#timed-retry-btn',
+  'daily-result': '#daily-menu-btn',
+};
+
+function focusScreen() {
+  var target;
+  if (state.screen === 'playing') {
+    target = els.answerGrid.querySelector('.answer-btn:not(:disabled)') ||
+      (state.mode === 'sing' ? els.singBtn : els.pianoContainer.querySelector('.piano-key[tabindex="0"]'));
+  } else if (state.screen === 'menu' && pendingLink) {
+    target = els.linkStartBtn;
+  } else if (SCREEN_FOCUS[state.screen]) {
+    target = document.querySelector(SCREEN_FOCUS[state.screen]);
+  }
+  if (target) target.focus();
+}
+
+var announceTimer = null;
+
+// Reads text out through the live region. It is cleared first so that the
+// same message twice in a row ("Correct") is still announced.
+function announce(text) {
+  clearTimeout(announceTimer);
+  els.srStatus.textContent = '';
+  announceTimer = setTimeout(function () { els.srStatus.textContent = text; }, 50);
+}
+
 function showScreen(name) {
+  // A sing-back take only runs while its question is on screen
+  if (name !== 'playing' && state.singTake) {
+    stopListening();
+    renderSingPanel(null);
+  }
+  // Drills end back at the menu
+  if (name === 'menu') {
+    state.drill = null;
+    state.daily = null;
+    if (state.linkDrill) endLinkDrill();
+    renderDailyStatus();
+  }
   state.screen = name;
   Object.keys(screens).forEach(function (key) {
     screens[key].classList.remove('active');
   });
   if (screens[name]) screens[name].classList.add('active');
+  focusScreen();
+}
+
+// ── 14. Render Functions ─────────────────────
+
+// ── Translations & note names ──
+
+function isLanguage(lang) {
+  return I18n.languages().some(function (l) { return l.lang === lang; });
+}
+
+// Static text in index.html is marked up: data-i18n replaces an element's
+// text, data-i18n-aria its aria-label and data-i18n-placeholder its placeholder
+function applyTranslations() {
+  I18n.setLanguage(state.settings.language);
+  document.documentElement.lang = I18n.getLanguage();
+  document.querySelectorAll('[data-i18n]').forEach(function (el) {
+    el.textContent = I18n.t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-aria]').forEach(function (el) {
+    el.setAttribute('aria-label', I18n.t(el.dataset.i18nAria));
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(function (el) {
+    el.placeholder = I18n.t(el.dataset.i18nPlaceholder);
+  });
+}
+
+function renderLanguageOptions() {
+  els.language.innerHTML = '';
+  I18n.languages().forEach(function (l) {
+    var opt = document.createElement('option');
+    opt.value = l.lang;
+    opt.textContent = l.name;
+    els.language.appendChild(opt);
+  });
+}
+
+function modeLabel(mode) {
+  return I18n.t('modes.' + mode);
+}
+
+// undefined for difficulties with no label (bests from before they were recorded)
+function difficultyLabel(difficulty) {
+  return DIFFICULTY_LABELS.hasOwnProperty(difficulty) ? I18n.t('difficulty.' + difficulty) : undefined;
+}
+
+// A notice that is translated when shown rather than when made, so it follows
+// a later language change: a key plus params, where a param may itself be a
+// message or a list of them (joined with '; ')
+function message(key, params) {
+  return { key: key, params: params || {} };
+}
+
+function messageText(msg) {
+  var params = {};
+  Object.keys(msg.params).forEach(function (name) {
+    var value = msg.params[name];
+    params[name] = Array.isArray(value) ? value.map(messageText).join('; ')
+      : isPlainObject(value) ? messageText(value) : value;
+  });
+  return I18n.t(msg.key, params);
+}
+
+// Whether a black key is written as a flat. keyPc is the tonic of the major
+// key the note is heard in, if there is one.
+function spellsFlat(pc, keyPc) {
+  var style = state.settings.accidentals;
+  if (style !== 'context') return style === 'flats';
+  if (keyPc === undefined || keyPc === 0) return COMMON_FLATS.indexOf(pc) !== -1;
+  return FLAT_KEYS.indexOf(keyPc) !== -1;
+}
+
+// A pitch class in the chosen naming system, e.g. 10 -> "A#", "Bb", "B" (German) or "Sib"
+function spellNote(pc, keyPc) {
+  var system = state.settings.noteNames;
+  var letters = NOTE_SYSTEMS[system];
+  if (!BLACK_NOTE_INDICES.has(pc)) return letters[NATURAL_NOTES.indexOf(NOTE_NAMES[pc])];
+
+  var flat = spellsFlat(pc, keyPc);
+  var letter = letters[NATURAL_NOTES.indexOf(NOTE_NAMES[flat ? pc + 1 : pc - 1])];
+  if (system !== 'german') return letter + (flat ? 'b' : '#');
+  if (!flat) return letter + 'is';
+  if (letter === 'H') return 'B';
+  return letter === 'E' || letter === 'A' ? letter + 's' : letter + 'es';
+}
+
+function displayNoteLabel(midi, keyPc) {
+  return spellNote(midi % 12, keyPc) + (Math.floor(midi / 12) - 1);
+}
+
+function keyLabel(tonicMidi) {
+  var pc = tonicMidi % 12;
+  return I18n.t('key.major', { tonic: spellNote(pc, pc) });
+}
+
+// Saved keys come back from restored files, so names built into markup are
+// escaped first
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function answerHtml(mode, key) {
+  return escapeHtml(answerLabel(mode, key));
+}
+
+// Answers, stats keys and confusion pairs stay in English (NOTE_NAMES,
+// INTERVALS, ...) so saves and links don't depend on the settings; this is
+// how one is shown.
+function answerLabel(mode, key) {
+  if (mode === 'note' && NOTE_NAMES.indexOf(key) !== -1) return spellNote(NOTE_NAMES.indexOf(key));
+  if (mode === 'dictation' && /^\d+ notes$/.test(key)) {
+    return I18n.t('answer.notes', { count: parseInt(key, 10) });
+  }
+
+  var desc = / \(desc\)$/.test(key);
+  var name = desc ? key.replace(/ \(desc\)$/, '') : key;
+  if (mode === 'interval' || mode === 'sing') {
+    INTERVALS.forEach(function (i) {
+      if (i.name === name) name = I18n.t('interval.' + i.semitones);
+    });
+  }
+  // "Major (1st inv)": quality and inversion are translated separately
+  if (mode === 'chord') {
+    var m = /^(.+) \((.+)\)$/.exec(name);
+    var inv = m ? INVERSION_NAMES.indexOf(m[2]) : -1;
+    var quality = inv !== -1 ? m[1] : name;
+    if (findChord(quality)) {
+      name = I18n.t('chord.' + quality);
+      if (inv !== -1) name = I18n.t('answer.inversion', { name: name, inversion: I18n.t('inversionShort.' + inv) });
+    }
+  }
+  if (mode === 'scale' && SCALES.some(function (s) { return s.name === name; })) {
+    name = I18n.t('scale.' + name);
+  }
+  // Progressions and scale degrees are numerals and syllables, the same in every language
+  return desc ? I18n.t('answer.desc', { name: name }) : name;
 }
 
-// ── 14. Render Functions ─────────────────────
-
 function renderScoreBar() {
   var correct = state.score.correct;
   var total = state.score.total;
   var pct = total === 0 ? 0 : Math.round((correct / total) * 100);
   var scoreText = correct + ' / ' + total + ' (' + pct + '%)';
+  if (usesSpeedScoring()) scoreText = I18n.t('score.points', { points: state.score.points }) + ' · ' + scoreText;
   var bestStreak = state.mode ? (state.bestStreak[state.mode] || 0) : 0;
-  var streakText = 'Streak: ' + state.streak + ' | Best: ' + bestStreak;
+  var streakText = I18n.t('score.streak', { streak: state.streak, best: bestStreak });
 
   els.scoreDisplay.textContent = scoreText;
   els.streakDisplay.textContent = streakText;
@@ -802,11 +3496,13 @@ function renderReplayButton() {
     els.replayBtn.disabled = false;
   } else {
     var remaining = limit - state.replaysUsed;
-    els.replayCount.textContent = ' (' + remaining + ' left)';
+    els.replayCount.textContent = I18n.t('play.replaysLeft', { count: remaining });
     els.replayBtn.disabled = remaining <= 0;
   }
 }
 
+// data-answer keeps the canonical answer; the label is shown in the chosen
+// language and note names
 function buildAnswerButtons(container, choices, clickHandler) {
   container.innerHTML = '';
   choices.forEach(function (choice, idx) {
@@ -814,15 +3510,15 @@ function buildAnswerButtons(container, choices, clickHandler) {
     btn.className = 'answer-btn';
     btn.dataset.answer = choice;
 
-    var keyNum = idx < 9 ? idx + 1 : (idx === 9 ? 0 : null);
-    if (keyNum !== null) {
+    if (idx < ANSWER_KEYS.length) {
       var hint = document.createElement('span');
       hint.className = 'key-hint';
-      hint.textContent = keyNum;
+      hint.setAttribute('aria-hidden', 'true');
+      hint.textContent = ANSWER_KEYS[idx].toUpperCase();
       btn.appendChild(hint);
     }
 
-    var label = document.createTextNode(choice);
+    var label = document.createTextNode(answerLabel(state.mode, choice));
     btn.appendChild(label);
 
     btn.addEventListener('click', function () { clickHandler(choice); });
@@ -832,16 +3528,21 @@ function buildAnswerButtons(container, choices, clickHandler) {
 
 function renderPlayingScreen() {
   var choices = getChoices();
-
-  if (state.mode === 'note') {
-    els.questionText.textContent = 'What note is this?';
-  } else if (state.mode === 'interval') {
-    els.questionText.textContent = 'What interval is this?';
+  els.midiNotice.style.display = 'none';
+
+  if (state.mode === 'degree') {
+    els.questionText.textContent = I18n.t(state.currentQuestion.newKey ? 'play.degreeNewKey' : 'play.degree');
+  } else if (state.mode === 'progression') {
+    els.questionText.textContent = I18n.t(progressionAnswerStyle() === 'chords'
+      ? 'play.progressionChords'
+      : 'play.progression');
+  } else if (state.mode === 'sing') {
+    els.questionText.textContent = getSingPromptText();
   } else {
-    els.questionText.textContent = 'What chord is this?';
+    els.questionText.textContent = I18n.t('play.' + state.mode);
   }
 
-  buildAnswerButtons(els.answerGrid, choices, handleAnswer);
+  buildAnswerButtons(els.answerGrid, choices, usesSequenceEntry() ? handleSequenceAdd : handleAnswer);
   renderScoreBar();
   renderReplayButton();
 
@@ -852,35 +3553,222 @@ function renderPlayingScreen() {
   els.hintBtn.disabled = false;
   els.hintBtn.classList.remove('used');
 
-  // Adaptive level display
-  if (state.difficulty === 'adaptive') {
+  // Drill or adaptive level display
+  var preset = getActiveDrillPreset();
+  if (state.daily) {
+    els.adaptiveLevel.style.display = '';
+    els.adaptiveLevel.textContent = I18n.t('play.dailyProgress', { index: state.daily.index + 1, total: DAILY_LENGTH });
+  } else if (state.linkDrill) {
+    els.adaptiveLevel.style.display = '';
+    els.adaptiveLevel.textContent = I18n.t('play.sharedDrill', { drill: describeDrillLink(state.linkDrill) });
+  } else if (state.drill) {
+    els.adaptiveLevel.style.display = '';
+    els.adaptiveLevel.textContent = getDrillLabel();
+  } else if (preset) {
+    els.adaptiveLevel.style.display = '';
+    els.adaptiveLevel.textContent = I18n.t('play.customDrill', { name: preset.name });
+  } else if (state.difficulty === 'adaptive') {
     els.adaptiveLevel.style.display = '';
     els.adaptiveLevel.textContent = getAdaptiveLabel();
   } else {
     els.adaptiveLevel.style.display = 'none';
   }
 
-  // Piano (no highlights during play — don't give away note ID answers)
-  renderPiano(els.pianoContainer);
+  var isDictation = state.mode === 'dictation';
+  var isSing = state.mode === 'sing';
+  els.answerGrid.style.display = isDictation || isSing ? 'none' : '';
+  els.sequenceEntry.style.display = usesSequenceEntry() ? '' : 'none';
+  els.singPanel.style.display = isSing ? '' : 'none';
+
+  if (isSing) {
+    els.hintText.textContent = I18n.t('keys.sing');
+  } else if (isDictation) {
+    els.hintText.textContent = I18n.t('keys.dictation');
+  } else if (usesSequenceEntry()) {
+    els.hintText.textContent = I18n.t('keys.chords');
+  } else if (state.mode === 'note') {
+    els.hintText.textContent = I18n.t('keys.note');
+  } else {
+    els.hintText.textContent = I18n.t('keys.answer');
+  }
+
+  if (usesSequenceEntry()) renderSequenceEntry();
+  if (isSing) renderSingPanel(null);
+  // A link would only carry the current question's mode, not the daily round
+  // or a confused-pair drill
+  els.shareLinkBtn.disabled = !!state.daily || !!state.drill;
+  els.shareStatus.textContent = '';
+
+  announce(I18n.t('play.announce', { number: state.score.total + 1, question: els.questionText.textContent }));
+
+  if (isDictation) {
+    renderDictationPiano();
+  } else {
+    // Piano (no highlights during play — don't give away note ID answers)
+    renderPiano(els.pianoContainer, null, state.mode === 'note' ? handleNoteKey : null);
+  }
+  focusScreen();
+}
+
+function getSingPromptText() {
+  var q = state.currentQuestion;
+  if (q.semitones === 0) {
+    return state.settings.singPrompt === 'play'
+      ? I18n.t('sing.playNote')
+      : I18n.t('sing.nameNote', { note: displayNoteLabel(q.midi) });
+  }
+  if (state.settings.singPrompt === 'play') return I18n.t('sing.playInterval');
+  return I18n.t(q.ascending ? 'sing.above' : 'sing.below', {
+    interval: answerLabel('interval', q.intervalName),
+    note: displayNoteLabel(q.startMidi),
+  });
+}
+
+// reading: { cents, midi } from the live take, or null before / between notes
+function renderSingPanel(reading) {
+  var tolerance = getEffectiveDifficulty().singTolerance;
+  var zonePct = Math.min(100, (tolerance / TUNING_METER_CENTS) * 100);
+  els.tuningZone.style.width = zonePct + '%';
+  els.tuningZone.style.left = (50 - zonePct / 2) + '%';
+
+  var listening = !!state.singTake;
+  els.singBtn.textContent = I18n.t(listening ? 'sing.stop' : 'sing.sing');
+  els.singBtn.classList.toggle('listening', listening);
+
+  if (!reading) {
+    els.tuningNeedle.style.display = 'none';
+    els.singReadout.textContent = I18n.t(listening ? 'sing.listening' : 'sing.ready');
+    return;
+  }
+
+  var clamped = Math.max(-TUNING_METER_CENTS, Math.min(TUNING_METER_CENTS, reading.cents));
+  els.tuningNeedle.style.display = '';
+  els.tuningNeedle.style.left = (50 + (clamped / TUNING_METER_CENTS) * 50) + '%';
+  els.tuningNeedle.classList.toggle('in-tune', Math.abs(reading.cents) <= tolerance);
+  els.singReadout.textContent = displayNoteLabel(reading.midi) + '  ' + formatCents(reading.cents);
+}
+
+function formatSeconds(ms) {
+  return (ms / 1000).toFixed(1) + 's';
+}
+
+function formatCents(cents) {
+  var rounded = Math.round(cents);
+  return (rounded > 0 ? '+' : '') + rounded + '¢';
+}
+
+function renderSingResult(isCorrect) {
+  var q = state.currentQuestion;
+  var take = state.userAnswer;
+  var tolerance = getEffectiveDifficulty().singTolerance;
+
+  els.resultSequence.style.display = 'none';
+  els.resultAnswerGrid.style.display = 'none';
+  els.resultFeedback.className = 'result-feedback ' + (isCorrect ? 'correct' : 'incorrect');
+  els.resultText.textContent = I18n.t(isCorrect ? 'sing.inTune' : (take.cents === null ? 'sing.noPitch' : 'sing.outOfTune'));
+
+  var target = displayNoteLabel(q.midi);
+  if (take.cents === null) {
+    els.resultDetail.textContent = I18n.t('sing.noPitchDetail', { target: target });
+  } else {
+    els.resultDetail.textContent = I18n.t('sing.sang', {
+      note: displayNoteLabel(take.midi), cents: formatCents(take.cents), target: target, tolerance: tolerance,
+    });
+  }
+  if (q.semitones > 0) {
+    els.resultDetail.textContent += ' ' + I18n.t('sing.interval', {
+      interval: answerLabel('sing', q.statKey), note: displayNoteLabel(q.startMidi),
+    });
+  }
+  appendUnlockNotice();
+
+  var highlights = {};
+  if (take.cents !== null && Math.round(take.midi) % 12 !== q.midi % 12) {
+    highlights[take.midi] = 'incorrect-key';
+  }
+  if (q.semitones > 0) highlights[q.startMidi] = 'tonic-key';
+  highlights[q.midi] = 'correct-key';
+  renderPiano(els.resultPianoContainer, highlights);
+
+  renderScoreBar();
+}
+
+function renderDictationPiano(highlights) {
+  highlights = highlights || {};
+  if (state.hintUsed && !highlights[state.currentQuestion.midiNotes[0]]) {
+    highlights[state.currentQuestion.midiNotes[0]] = 'hint-key';
+  }
+  renderPiano(els.pianoContainer, highlights, handleSequenceAdd);
+}
+
+// marks (optional) colours each entered slot as right or wrong
+function renderSequenceEntry(marks) {
+  var target = state.currentQuestion.sequence.length;
+  var entered = state.sequenceEntry;
+  var html = '';
+
+  for (var i = 0; i < target; i++) {
+    var cls = i < entered.length ? ' filled' : '';
+    if (marks) cls = marks[i] ? ' correct' : ' incorrect';
+    html += '<span class="sequence-slot' + cls + '">' +
+      (i < entered.length ? sequenceItemLabel(entered[i]) : '?') + '</span>';
+  }
+  els.sequenceSlots.innerHTML = html;
+
+  els.sequenceUndoBtn.disabled = !!marks || entered.length === 0;
+  els.sequenceSubmitBtn.disabled = !!marks || entered.length !== target;
 }
 
 function renderResultScreen(isCorrect) {
+  state.shownResult = isCorrect;
+  els.nextBtn.textContent = I18n.t(isLastDailyQuestion() ? 'result.finish' : 'result.next');
+  if (usesSequenceEntry()) {
+    renderSequenceResult(isCorrect);
+    return;
+  }
+  if (state.mode === 'sing') {
+    renderSingResult(isCorrect);
+    return;
+  }
+
   var correctAnswer = state.currentQuestion.answer;
   var choices = getChoices();
+  els.resultSequence.style.display = 'none';
+  els.resultAnswerGrid.style.display = '';
 
   // Feedback banner
   els.resultFeedback.className = 'result-feedback ' + (isCorrect ? 'correct' : 'incorrect');
-  els.resultText.textContent = isCorrect ? 'Correct!' : 'Incorrect';
+  els.resultText.textContent = I18n.t(isCorrect ? 'result.correct' : 'result.incorrect');
 
+  var answer = answerLabel(state.mode, correctAnswer);
   if (isCorrect) {
-    els.resultDetail.textContent = 'The answer was ' + correctAnswer + '.';
+    els.resultDetail.textContent = I18n.t('result.answerWas', { answer: answer });
   } else {
-    els.resultDetail.textContent = 'You answered ' + state.userAnswer + '. The correct answer was ' + correctAnswer + '.';
+    els.resultDetail.textContent = I18n.t('result.youAnswered', {
+      given: answerLabel(state.mode, state.userAnswer), answer: answer,
+    });
+  }
+
+  var q = state.currentQuestion;
+  if (state.mode === 'chord') {
+    els.resultDetail.textContent += ' ' + I18n.t('result.playedIn', {
+      inversion: I18n.t('inversion.' + q.inversion), voicing: I18n.t('voicing.' + q.voicing),
+    });
+  } else if (state.mode === 'progression') {
+    els.resultDetail.textContent += ' ' + I18n.t('result.key', { key: keyLabel(q.tonicMidi) });
+  } else if (state.mode === 'degree') {
+    els.resultDetail.textContent += ' ' + I18n.t('result.keyNote', {
+      key: keyLabel(q.tonicMidi), note: displayNoteLabel(q.midi, q.tonicMidi % 12),
+    });
   }
+  appendUnlockNotice();
 
   // Piano with highlighted correct notes
   var midis = getQuestionMidis();
   var highlights = makeHighlights(midis, 'correct-key');
+  if (state.mode === 'degree' && !highlights[state.currentQuestion.tonicMidi]) {
+    highlights[state.currentQuestion.tonicMidi] = 'tonic-key';
+  }
   renderPiano(els.resultPianoContainer, highlights);
 
   // Frozen answer grid
@@ -898,30 +3786,424 @@ function renderResultScreen(isCorrect) {
   renderScoreBar();
 }
 
+function appendUnlockNotice() {
+  if (state.difficulty === 'adaptive' && !state.daily && state.newlyUnlocked) {
+    els.resultDetail.textContent += ' ' + I18n.t('result.unlocked', { item: answerLabel(state.mode, state.newlyUnlocked) });
+  }
+}
+
+function getDictationHighlights(entered) {
+  var target = state.currentQuestion.sequence;
+  var highlights = {};
+  // Wrong entries first so a correct note sharing the key wins the colour
+  entered.forEach(function (m, i) {
+    if (m !== target[i]) highlights[m] = 'incorrect-key';
+  });
+  target.forEach(function (m, i) {
+    highlights[m] = entered[i] === m ? 'correct-key' : 'missed-key';
+  });
+  return highlights;
+}
+
+function renderSequenceResult(isCorrect) {
+  var isDictation = state.mode === 'dictation';
+  var target = state.currentQuestion.sequence;
+  var entered = state.userAnswer;
+  var grade = gradeSequence(entered);
+  var pct = Math.round((grade.correct / grade.total) * 100);
+
+  els.resultFeedback.className = 'result-feedback ' + (isCorrect ? 'correct' : 'incorrect');
+  els.resultText.textContent = I18n.t(isCorrect ? 'result.correct' : (grade.correct > 0 ? 'result.partly' : 'result.incorrect'));
+  els.resultDetail.textContent = I18n.t(isDictation ? 'result.notesCorrect' : 'result.chordsCorrect',
+    { correct: grade.correct, total: grade.total, pct: pct });
+  if (!isDictation) {
+    els.resultDetail.textContent += ' ' + I18n.t('result.key', { key: keyLabel(state.currentQuestion.tonicMidi) });
+  }
+  appendUnlockNotice();
+
+  renderPiano(els.resultPianoContainer, isDictation ? getDictationHighlights(entered) : null);
+
+  var playedHtml = '<div class="sequence-row"><span class="sequence-label">' +
+    I18n.t(isDictation ? 'result.melody' : 'result.played') + '</span>';
+  var enteredHtml = '<div class="sequence-row"><span class="sequence-label">' + I18n.t('result.you') + '</span>';
+  target.forEach(function (item, i) {
+    playedHtml += '<span class="sequence-slot filled">' + sequenceItemLabel(item) + '</span>';
+    enteredHtml += '<span class="sequence-slot ' + (grade.marks[i] ? 'correct' : 'incorrect') + '">' +
+      sequenceItemLabel(entered[i]) + '</span>';
+  });
+  els.resultSequence.innerHTML = playedHtml + '</div>' + enteredHtml + '</div>';
+  els.resultSequence.style.display = '';
+  els.resultAnswerGrid.style.display = 'none';
+
+  renderScoreBar();
+}
+
 function renderTimedResult(isNewBest) {
-  els.timedFinalScore.textContent = state.score.correct;
+  state.shownResult = isNewBest;
+  var format = getChallengeFormat();
+  var key = getChallengeKey();
+  els.timedResultTitle.textContent = I18n.t(format.lives ? 'timed.outOfLives' : format.questions ? 'timed.sprintDone' : 'timed.timeUp');
+  els.timedFinalScore.textContent = formatChallengeScore(key, getChallengeScore());
+  els.timedScoreLabel.textContent = I18n.t(format.questions ? 'timed.totalTime' : usesSpeedScoring() ? 'timed.points' : 'timed.correctAnswers');
 
   var total = state.score.total;
+  var wrong = total - state.score.correct;
   var pct = total === 0 ? 0 : Math.round((state.score.correct / total) * 100);
-  els.timedAccuracy.textContent = state.score.correct + ' of ' + total + ' correct (' + pct + '%)';
+  els.timedAccuracy.textContent = I18n.t('timed.accuracy', { correct: state.score.correct, total: total, pct: pct });
+  if (format.questions && wrong) {
+    els.timedAccuracy.textContent += I18n.t('timed.penalty', { time: formatSeconds(wrong * SPRINT_PENALTY_MS) });
+  }
+  var times = state.responseTimes;
+  if (times.length) els.timedAccuracy.textContent += I18n.t('timed.median', { time: formatSeconds(median(times)) });
 
-  var best = stats.timedBest[state.mode] || 0;
+  var best = getChallengeBest(key, state.mode, state.difficulty);
   if (isNewBest) {
-    els.timedBestDisplay.textContent = 'New Best Score!';
+    els.timedBestDisplay.textContent = I18n.t('timed.newBest');
     els.timedBestDisplay.className = 'timed-best new-best';
   } else {
-    els.timedBestDisplay.textContent = 'Best: ' + best;
+    els.timedBestDisplay.textContent = I18n.t('timed.best', {
+      format: describeChallengeKey(key),
+      difficulty: difficultyLabel(challengeBestDifficulty(key, state.mode, state.difficulty)) || I18n.t('stats.notRecorded'),
+      score: formatChallengeScore(key, best || 0),
+    });
     els.timedBestDisplay.className = 'timed-best';
   }
+  announce(els.timedResultTitle.textContent + ' ' + els.timedFinalScore.textContent + ' ' +
+    els.timedScoreLabel.textContent + '. ' + els.timedBestDisplay.textContent);
+}
+
+function renderDailyStatus() {
+  var today = dateKey(Date.now());
+  var played = stats.daily[today];
+  var streak = getDailyStreaks(today).current;
+  var text = played
+    ? I18n.t('daily.done', { correct: played.correct, total: DAILY_LENGTH })
+    : I18n.t('daily.intro', { total: DAILY_LENGTH });
+  if (streak) text += I18n.t('daily.streakSuffix', { streak: streak });
+  els.dailyStatus.textContent = text;
+}
+
+function renderDailyResult(date) {
+  state.shownResult = date;
+  var day = stats.daily[date];
+  var today = dateKey(Date.now());
+  var streaks = getDailyStreaks(today);
+  els.dailyDate.textContent = parseDateKey(date).toLocaleDateString(I18n.getLanguage(),
+    { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  els.dailyFinalScore.textContent = day.correct + ' / ' + DAILY_LENGTH;
+
+  var pct = day.total === 0 ? 0 : Math.round((day.correct / day.total) * 100);
+  els.dailySummary.textContent = day.ms !== undefined
+    ? I18n.t('daily.summary', { pct: pct, time: formatDuration(day.ms) })
+    : I18n.t('daily.stopped', { answered: day.total, total: DAILY_LENGTH });
+  els.dailyStreak.textContent = I18n.t('daily.streak', { current: streaks.current, best: streaks.best });
+  els.dailyNext.textContent = date === today ? I18n.t('daily.next') : '';
+  renderDailyCalendar(today);
+  announce(I18n.t('daily.title') + ': ' + els.dailyFinalScore.textContent + ' ' + I18n.t('timed.correctAnswers') +
+    '. ' + els.dailySummary.textContent + '. ' + els.dailyStreak.textContent);
+}
+
+function formatDuration(ms) {
+  var seconds = Math.round(ms / 1000);
+  return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+}
+
+// The last DAILY_CALENDAR_WEEKS weeks, Sunday first, shaded by score
+function renderDailyCalendar(today) {
+  var container = els.dailyCalendar;
+  container.innerHTML = '';
+  // 2023-01-01 was a Sunday
+  for (var d = 1; d <= 7; d++) {
+    var head = document.createElement('span');
+    head.className = 'daily-weekday';
+    head.textContent = new Date(2023, 0, d).toLocaleDateString(I18n.getLanguage(), { weekday: 'narrow' });
+    container.appendChild(head);
+  }
+
+  var start = addDays(today, -(DAILY_CALENDAR_WEEKS - 1) * 7 - parseDateKey(today).getDay());
+  for (var i = 0; i < DAILY_CALENDAR_WEEKS * 7; i++) {
+    var date = addDays(start, i);
+    var day = stats.daily[date];
+    var cell = document.createElement('span');
+    cell.className = 'daily-day';
+    if (date === today) cell.classList.add('today');
+    if (date > today) cell.classList.add('future');
+    cell.textContent = parseDateKey(date).getDate();
+    if (day) {
+      cell.classList.add('played');
+      cell.style.setProperty('--share', day.correct / DAILY_LENGTH);
+      cell.title = date + ': ' + day.correct + ' / ' + DAILY_LENGTH;
+    } else {
+      cell.title = date;
+    }
+    container.appendChild(cell);
+  }
+}
+
+function renderCustomSourceStatus(error) {
+  var source = state.customSource;
+  if (error) {
+    els.midiFileStatus.textContent = error;
+  } else {
+    els.midiFileStatus.textContent = source
+      ? I18n.t('midiFile.loaded', { name: source.name, count: source.notes.length })
+      : I18n.t('midiFile.none');
+  }
+  els.midiFileStatus.className = 'instrument-status' + (error ? ' error' : '');
+  els.clearSourceBtn.disabled = !source;
+  els.useCustomSource.disabled = !source;
+}
+
+function renderMidiDevices(devices, selected) {
+  var options = [{ id: '', name: I18n.t('midi.none') }].concat(devices);
+  var found = devices.some(function (d) { return d.id === selected; });
+  if (selected && !found) options.push({ id: selected, name: I18n.t('midi.savedDevice') });
+
+  els.midiDevice.innerHTML = '';
+  options.forEach(function (d) {
+    var opt = document.createElement('option');
+    opt.value = d.id;
+    opt.textContent = d.name;
+    els.midiDevice.appendChild(opt);
+  });
+  els.midiDevice.value = selected;
+}
+
+function renderDrillPresetSelect() {
+  var presets = state.settings.drillPresets;
+  els.drillPreset.innerHTML = '';
+  presets.forEach(function (p) {
+    var opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    els.drillPreset.appendChild(opt);
+  });
+  els.drillPreset.value = state.settings.drillPreset;
+  els.drillPreset.disabled = !presets.length;
+  els.drillEditBtn.disabled = !presets.length;
+  els.customDrillRow.style.display = state.difficulty === 'custom' ? '' : 'none';
+}
+
+function renderDrillCheck(container, value, label, checked) {
+  var wrap = document.createElement('label');
+  wrap.className = 'drill-check';
+  var box = document.createElement('input');
+  box.type = 'checkbox';
+  box.value = value;
+  box.checked = checked;
+  wrap.appendChild(box);
+  wrap.appendChild(document.createTextNode(' ' + label));
+  container.appendChild(wrap);
+}
+
+// Fills the editor from a preset (a fresh one when creating)
+function renderDrillEditor(preset, isNew) {
+  els.drillEditorTitle.textContent = I18n.t(isNew ? 'drill.new' : 'drill.edit');
+  els.drillName.value = preset.name;
+  els.drillError.textContent = '';
+  els.drillDeleteBtn.style.display = isNew ? 'none' : '';
+
+  els.drillNotes.innerHTML = '';
+  NOTE_NAMES.forEach(function (n) {
+    renderDrillCheck(els.drillNotes, n, answerLabel('note', n), preset.notes.indexOf(n) !== -1);
+  });
+
+  // One row per interval: ascending, then descending
+  els.drillIntervals.innerHTML = '';
+  INTERVALS.forEach(function (i) {
+    var name = document.createElement('span');
+    name.className = 'drill-interval-name';
+    name.textContent = answerLabel('interval', i.name);
+    els.drillIntervals.appendChild(name);
+    renderDrillCheck(els.drillIntervals, i.name, '↑', preset.intervals.indexOf(i.name) !== -1);
+    if (i.semitones > 0) {
+      var desc = i.name + ' (desc)';
+      renderDrillCheck(els.drillIntervals, desc, '↓', preset.intervals.indexOf(desc) !== -1);
+    } else {
+      els.drillIntervals.appendChild(document.createElement('span'));
+    }
+  });
+
+  els.drillChords.innerHTML = '';
+  CHORDS.forEach(function (c) {
+    renderDrillCheck(els.drillChords, c.name, answerLabel('chord', c.name), preset.chords.indexOf(c.name) !== -1);
+  });
+  els.drillInversions.checked = preset.inversions;
+
+  els.drillDuration.value = preset.noteDuration;
+  renderDrillDuration();
+  els.drillReplays.innerHTML = '';
+  REPLAY_LIMIT_OPTIONS.forEach(function (limit) {
+    var opt = document.createElement('option');
+    opt.value = limit === null ? '' : limit;
+    opt.textContent = limit === null ? I18n.t('drill.unlimited') : limit === 0 ? I18n.t('drill.noReplays') : limit;
+    els.drillReplays.appendChild(opt);
+  });
+  els.drillReplays.value = preset.replayLimit === null ? '' : preset.replayLimit;
+  els.drillOctaveMin.value = preset.octaveMin;
+  els.drillOctaveMax.value = preset.octaveMax;
+}
+
+function renderDrillDuration() {
+  els.drillDurationDisplay.textContent = parseFloat(els.drillDuration.value).toFixed(1) + 's';
+}
+
+function checkedValues(container) {
+  return Array.prototype.slice.call(container.querySelectorAll('input:checked'))
+    .map(function (box) { return box.value; });
+}
+
+function readDrillEditor() {
+  var octaveMin = parseInt(els.drillOctaveMin.value, 10);
+  var octaveMax = parseInt(els.drillOctaveMax.value, 10);
+  return {
+    name: els.drillName.value.trim(),
+    notes: checkedValues(els.drillNotes),
+    intervals: checkedValues(els.drillIntervals),
+    chords: checkedValues(els.drillChords),
+    inversions: els.drillInversions.checked,
+    noteDuration: parseFloat(els.drillDuration.value),
+    replayLimit: els.drillReplays.value === '' ? null : parseInt(els.drillReplays.value, 10),
+    octaveMin: octaveMin,
+    octaveMax: Math.max(octaveMax, octaveMin + 1),
+  };
+}
+
+// Profiles first, then the actions on the active one
+function renderProfileSelect() {
+  var active = getProfile(profiles.active);
+  var options = profiles.list.map(function (p) { return { value: p.id, text: p.name }; }).concat([
+    { value: 'new', text: I18n.t('profile.new'), action: true },
+    { value: 'rename', text: I18n.t('profile.rename', { name: active.name }), action: true },
+  ]);
+  if (profiles.list.length > 1) {
+    options.push({ value: 'delete', text: I18n.t('profile.delete', { name: active.name }), action: true });
+  }
+
+  els.profileSelect.innerHTML = '';
+  options.forEach(function (o, i) {
+    var opt = document.createElement('option');
+    opt.value = o.action ? 'action:' + o.value : o.value;
+    opt.textContent = o.text;
+    if (o.action && !options[i - 1].action) {
+      var separator = document.createElement('option');
+      separator.disabled = true;
+      separator.textContent = '──────';
+      els.profileSelect.appendChild(separator);
+    }
+    els.profileSelect.appendChild(opt);
+  });
+  els.profileSelect.value = profiles.active;
+}
+
+var midiStatus = { notice: null, isError: false }; // last MIDI status message, redrawn when Settings opens
+
+// notice is a message, or null to clear; with no arguments the last one is redrawn
+function renderMidiStatus(notice, isError) {
+  if (arguments.length) midiStatus = { notice: notice, isError: !!isError };
+  els.midiStatus.textContent = midiStatus.notice ? messageText(midiStatus.notice) : '';
+  els.midiStatus.className = 'instrument-status' + (midiStatus.isError ? ' error' : '');
+}
+
+// Loading / fallback indicator shown in the header and next to the setting
+function renderAudioStatus() {
+  if (!els.audioStatus) return;
+  var name = state.settings.instrument;
+  var bank = sampleBanks[name];
+  var text = '';
+  var cls = '';
+
+  if (name !== 'synth' && bank) {
+    var instrument = I18n.t('instrument.' + name);
+    if (bank.status === 'loading') {
+      text = I18n.t('instrument.loading', { instrument: instrument });
+      cls = 'loading';
+    } else if (bank.status === 'error') {
+      text = I18n.t('instrument.unavailable', { instrument: instrument });
+      cls = 'error';
+    } else {
+      text = I18n.t('instrument.loaded', { instrument: instrument, count: bank.samples.length });
+    }
+  }
+
+  els.instrumentStatus.textContent = text;
+  els.instrumentStatus.className = 'instrument-status ' + cls;
+  // The header badge only matters while something is wrong or pending
+  els.audioStatus.textContent = cls ? text : '';
+  els.audioStatus.className = 'audio-status ' + cls;
+  els.audioStatus.style.display = cls ? '' : 'none';
+}
+
+function renderInstrumentError(message) {
+  els.instrumentStatus.textContent = message;
+  els.instrumentStatus.className = 'instrument-status error';
+}
+
+// A failed save stays in the header until a later save succeeds
+function renderSaveStatus() {
+  if (!els.saveStatus) return;
+  els.saveStatus.textContent = saveError ? messageText(saveError) : '';
+  els.saveStatus.style.display = saveError ? '' : 'none';
+  if (state.screen === 'settings') renderDataStatus();
+}
+
+function applyPatchToUI(patch) {
+  els.waveform.value = patch.waveform;
+  els.patchParams.forEach(function (input) {
+    input.value = patch[input.dataset.param];
+    renderPatchValue(input);
+  });
+}
+
+function readPatchFromUI() {
+  var patch = { waveform: els.waveform.value };
+  els.patchParams.forEach(function (input) {
+    patch[input.dataset.param] = parseFloat(input.value);
+  });
+  return patch;
+}
+
+function renderPatchValue(input) {
+  input.nextElementSibling.textContent = input.value + (input.dataset.unit || '');
 }
 
 function applySettingsToUI() {
   els.octaveMin.value = state.settings.octaveMin;
   els.octaveMax.value = state.settings.octaveMax;
-  els.waveform.value = state.settings.waveform;
+  els.synthPreset.value = state.settings.synthPreset;
+  applyPatchToUI(state.settings.patch);
+  els.instrument.value = state.settings.instrument;
+  els.customSamplesRow.style.display = state.settings.instrument === 'custom' ? '' : 'none';
   els.volumeSlider.value = Math.round(state.settings.volume * 100);
   els.volumeDisplay.textContent = Math.round(state.settings.volume * 100) + '%';
   els.refTone.checked = state.settings.referenceTone;
+  els.nameInversions.checked = state.settings.nameInversions;
+  els.progressionAnswer.value = state.settings.progressionAnswer;
+  els.degreeLabels.value = state.settings.degreeLabels;
+  els.spacedRepetition.checked = state.settings.spacedRepetition;
+  els.keyContext.value = state.settings.keyContext;
+  els.singPrompt.value = state.settings.singPrompt;
+  els.language.value = state.settings.language;
+  els.noteNames.value = state.settings.noteNames;
+  els.accidentals.value = state.settings.accidentals;
+  els.timedScoring.value = state.settings.timedScoring;
+  els.challengeFormat.value = state.settings.challengeFormat;
+  renderMidiDevices(knownMidiDevices, state.settings.midiDevice);
+  renderMidiStatus();
+  els.midiSound.checked = state.settings.midiSound;
+  els.useCustomSource.checked = state.settings.useCustomSource;
+  renderCustomSourceStatus();
+  renderDataStatus();
+}
+
+function renderDataStatus(text, isError) {
+  if (text === undefined) {
+    var notice = saveError || dataNotice;
+    text = notice ? messageText(notice) : '';
+    isError = !!notice;
+  }
+  els.dataStatus.textContent = text;
+  els.dataStatus.classList.toggle('error', !!isError);
 }
 
 // ── 15. Stats Renderer ───────────────────────
@@ -934,6 +4216,8 @@ function renderStatsScreen() {
 
   if (currentStatsTab === 'overview') {
     renderStatsOverview(content);
+  } else if (currentStatsTab === 'progress') {
+    renderStatsProgress(content);
   } else {
     renderStatsMode(content, currentStatsTab);
   }
@@ -944,30 +4228,39 @@ function renderStatsOverview(container) {
     ? Math.round((stats.totalCorrect / stats.totalQuestions) * 100)
     : 0;
 
+  var dueCount = 0;
+  MODES.forEach(function (mode) { dueCount += countDueItems(mode); });
+
   // Summary cards
   var cardsHtml = '<div class="stats-overview">' +
-    '<div class="stat-card"><div class="stat-number">' + stats.totalQuestions + '</div><div class="stat-label">Questions Answered</div></div>' +
-    '<div class="stat-card"><div class="stat-number">' + overallPct + '%</div><div class="stat-label">Overall Accuracy</div></div>' +
-    '<div class="stat-card"><div class="stat-number">' + (state.bestStreak.note || 0) + '</div><div class="stat-label">Best Streak (Notes)</div></div>' +
-    '<div class="stat-card"><div class="stat-number">' + (state.bestStreak.interval || 0) + '</div><div class="stat-label">Best Streak (Intervals)</div></div>' +
-    '<div class="stat-card"><div class="stat-number">' + (state.bestStreak.chord || 0) + '</div><div class="stat-label">Best Streak (Chords)</div></div>' +
-    '<div class="stat-card"><div class="stat-number">' + stats.totalCorrect + '</div><div class="stat-label">Total Correct</div></div>' +
-    '</div>';
-
-  // Timed bests
-  var timedHtml = '<div class="timed-bests">' +
-    '<div class="timed-best-card"><div class="mode-name">Notes</div><div class="best-score">' + (stats.timedBest.note || 0) + '</div></div>' +
-    '<div class="timed-best-card"><div class="mode-name">Intervals</div><div class="best-score">' + (stats.timedBest.interval || 0) + '</div></div>' +
-    '<div class="timed-best-card"><div class="mode-name">Chords</div><div class="best-score">' + (stats.timedBest.chord || 0) + '</div></div>' +
-    '</div>';
+    '<div class="stat-card"><div class="stat-number">' + stats.totalQuestions + '</div><div class="stat-label">' + I18n.t('stats.questionsAnswered') + '</div></div>' +
+    '<div class="stat-card"><div class="stat-number">' + overallPct + '%</div><div class="stat-label">' + I18n.t('stats.overallAccuracy') + '</div></div>' +
+    '<div class="stat-card"><div class="stat-number">' + stats.totalCorrect + '</div><div class="stat-label">' + I18n.t('stats.totalCorrect') + '</div></div>' +
+    '<div class="stat-card"><div class="stat-number">' + dueCount + '</div><div class="stat-label">' + I18n.t('stats.dueForReview') + '</div></div>';
+  MODES.forEach(function (mode) {
+    cardsHtml += '<div class="stat-card"><div class="stat-number">' + (state.bestStreak[mode] || 0) + '</div><div class="stat-label">' +
+      I18n.t('stats.bestStreak', { mode: modeLabel(mode) }) + '</div></div>';
+  });
+  cardsHtml += '</div>';
+
+  // Challenge bests for the selected format and difficulty (each mode tab lists them all)
+  var key = getChallengeKey();
+  var timedHtml = '<div class="timed-bests">';
+  MODES.forEach(function (mode) {
+    var best = getChallengeBest(key, mode, state.difficulty);
+    timedHtml += '<div class="timed-best-card"><div class="mode-name">' + modeLabel(mode) + '</div><div class="best-score">' +
+      (best === undefined ? '–' : formatChallengeScore(key, best)) + '</div></div>';
+  });
+  timedHtml += '</div>';
 
   container.innerHTML = cardsHtml +
-    '<h3 style="font-size:0.9rem;color:var(--text-secondary);margin-top:4px;">Timed Challenge Bests</h3>' +
+    '<h3 style="font-size:0.9rem;color:var(--text-secondary);margin-top:4px;">' +
+    I18n.t('stats.challengeBests', { format: describeChallengeKey(key), difficulty: difficultyLabel(state.difficulty) }) + '</h3>' +
     timedHtml;
 
   // Weak areas across all modes
   var allWeak = [];
-  ['note', 'interval', 'chord'].forEach(function (mode) {
+  MODES.forEach(function (mode) {
     getWeakest(mode, 2).forEach(function (item) {
       allWeak.push({ mode: mode, name: item.name, pct: item.pct, total: item.total, correct: item.correct });
     });
@@ -975,63 +4268,422 @@ function renderStatsOverview(container) {
 
   if (allWeak.length > 0) {
     allWeak.sort(function (a, b) { return a.pct - b.pct; });
-    var weakHtml = '<div class="weak-areas"><h3>Areas to Practice</h3>';
+    var weakHtml = '<div class="weak-areas"><h3>' + I18n.t('stats.areasToPractice') + '</h3>';
     allWeak.slice(0, 5).forEach(function (w) {
-      weakHtml += '<div class="weak-item">' + w.name + ' (' + w.mode + ') - ' + w.pct + '% (' + w.correct + '/' + w.total + ')</div>';
+      weakHtml += '<div class="weak-item">' + I18n.t('stats.weakItem', {
+        name: answerHtml(w.mode, w.name), mode: modeLabel(w.mode), pct: w.pct, correct: w.correct, total: w.total,
+      }) + '</div>';
+    });
+    weakHtml += '</div>';
+    container.innerHTML += weakHtml;
+  }
+}
+
+function renderStatsMode(container, mode) {
+  var items = getItemStats(mode);
+
+  if (items.length === 0) {
+    container.innerHTML = '<div class="stats-empty">' + I18n.t('stats.empty') + '</div>' +
+      renderFrontier(mode) + renderChallengeBests(mode);
+    return;
+  }
+
+  // Sort alphabetically by shown name (override the accuracy sort for readability)
+  var sorted = items.slice().sort(function (a, b) {
+    return answerLabel(mode, a.name).localeCompare(answerLabel(mode, b.name));
+  });
+  // Sing-back times are how long the take ran, not recognition speed
+  var times = mode === 'sing' ? {} : getMedianResponseTimes(mode);
+
+  var html = '<div class="stats-bars">';
+  sorted.forEach(function (item) {
+    var fillClass = item.total === 0 ? 'none' : (item.pct >= 75 ? 'good' : (item.pct >= 50 ? 'ok' : 'weak'));
+    var width = item.total === 0 ? 0 : item.pct;
+    html += '<div class="stat-row">' +
+      '<span class="stat-name">' + answerHtml(mode, item.name) + '</span>' +
+      '<div class="stat-bar-track"><div class="stat-bar-fill ' + fillClass + '" style="width:' + width + '%"></div></div>' +
+      '<span class="stat-detail">' + item.pct + '% (' + item.correct + '/' + item.total + ')' +
+      (item.name in times ? '<span class="stat-time" title="' + I18n.t('stats.medianTime') + '">' +
+        formatSeconds(times[item.name]) + '</span>' : '') + '</span>' +
+      '</div>';
+  });
+  html += '</div>';
+
+  container.innerHTML = html + renderConfusionMatrix(mode);
+
+  // Show weakest, then the pairs most often mixed up
+  var weakest = getWeakest(mode, 3);
+  var confusions = getTopConfusions(mode, 3);
+  if (weakest.length > 0 || confusions.length > 0) {
+    var weakHtml = '<div class="weak-areas"><h3>' + I18n.t('stats.focusAreas') + '</h3>';
+    weakest.forEach(function (w) {
+      weakHtml += '<div class="weak-item">' + I18n.t('stats.accuracy', {
+        name: answerHtml(mode, w.name), pct: w.pct, correct: w.correct, total: w.total,
+      }) + '</div>';
+    });
+    confusions.forEach(function (c) {
+      weakHtml += '<div class="weak-item confusion-item"><span>' + I18n.t('stats.confusion', {
+        heard: answerHtml(mode, c.heard), answered: answerHtml(mode, c.answered), pct: c.pct, count: c.count, total: c.total,
+      }) + '</span>' +
+        '<button class="drill-btn" data-heard="' + escapeHtml(c.heard) + '" data-answered="' + escapeHtml(c.answered) + '">' + I18n.t('stats.drill') + '</button></div>';
     });
     weakHtml += '</div>';
     container.innerHTML += weakHtml;
   }
+
+  container.innerHTML += renderFrontier(mode) + renderChallengeBests(mode);
+
+  container.querySelectorAll('.drill-btn').forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      handleDrillStart(mode, btn.dataset.heard, btn.dataset.answered);
+    });
+  });
+}
+
+// Rows are what was played, columns what was answered; each cell is shaded
+// by its share of the row, so the diagonal is accuracy and the rest mix-ups.
+function renderConfusionMatrix(mode) {
+  var matrix = stats.confusions[mode] || {};
+  var heardLabels = Object.keys(matrix);
+  if (!getConfusions(mode).length) return '';
+
+  var labels = heardLabels.slice();
+  heardLabels.forEach(function (heard) {
+    Object.keys(matrix[heard]).forEach(function (answered) {
+      if (labels.indexOf(answered) === -1) labels.push(answered);
+    });
+  });
+  function byLabel(a, b) { return answerLabel(mode, a).localeCompare(answerLabel(mode, b)); }
+  labels.sort(byLabel);
+  heardLabels.sort(byLabel);
+
+  var html = '<div class="confusion"><h3>' + I18n.t('stats.confusionMatrix') + '</h3>' +
+    '<div class="confusion-scroll"><table class="confusion-table"><thead><tr>' +
+    '<th class="confusion-corner">' + I18n.t('stats.confusionCorner') + '</th>';
+  labels.forEach(function (label) {
+    html += '<th class="confusion-col">' + answerHtml(mode, label) + '</th>';
+  });
+  html += '</tr></thead><tbody>';
+
+  heardLabels.forEach(function (heard) {
+    var row = matrix[heard];
+    var total = 0;
+    Object.keys(row).forEach(function (answered) { total += row[answered]; });
+    html += '<tr><th class="confusion-row">' + answerHtml(mode, heard) + '</th>';
+    labels.forEach(function (answered) {
+      var count = row[answered] || 0;
+      if (!count) {
+        html += '<td></td>';
+        return;
+      }
+      var share = count / total;
+      html += '<td class="' + (answered === heard ? 'hit' : 'miss') + '" style="--share:' + share.toFixed(2) + '"' +
+        ' title="' + I18n.t('stats.confusionCell', {
+          heard: answerHtml(mode, heard), answered: answerHtml(mode, answered),
+          count: count, total: total, pct: Math.round(share * 100),
+        }) + '">' +
+        count + '</td>';
+    });
+    html += '</tr>';
+  });
+  return html + '</tbody></table></div></div>';
+}
+
+// ── Progress charts ──
+// Built from the answer log, so they cover what the log still holds in
+// detail (compacted answers only survive as lifetime totals).
+
+var progressView = { mode: 'all', item: 'all', days: 30, bucket: 'day' };
+
+function bucketStart(time, bucket) {
+  var d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  if (bucket === 'week') d.setDate(d.getDate() - (d.getDay() + 6) % 7); // back to Monday
+  return d.getTime();
+}
+
+function nextBucket(start, bucket) {
+  var d = new Date(start);
+  d.setDate(d.getDate() + (bucket === 'week' ? 7 : 1));
+  return d.getTime();
+}
+
+function formatShortDate(time) {
+  return new Date(time).toLocaleDateString(I18n.getLanguage(), { month: 'short', day: 'numeric' });
+}
+
+function getProgressRangeStart(view) {
+  if (view.days) return bucketStart(Date.now() - (view.days - 1) * DAY_MS, view.bucket);
+  var first = stats.log.length ? stats.log[0].time : Date.now();
+  return bucketStart(first, view.bucket);
+}
+
+// One bucket per day or week from the start of the range up to today:
+// { start, correct, total, answers } summed over matching log entries
+function getProgressBuckets(view) {
+  var rangeStart = getProgressRangeStart(view);
+  var buckets = [];
+  var index = {};
+  for (var t = rangeStart; t <= Date.now(); t = nextBucket(t, view.bucket)) {
+    index[t] = buckets.length;
+    buckets.push({ start: t, correct: 0, total: 0, answers: 0 });
+  }
+
+  stats.log.forEach(function (entry) {
+    if (entry.time < rangeStart) return;
+    if (view.mode !== 'all' && entry.mode !== view.mode) return;
+    if (view.item !== 'all' && entry.item !== view.item) return;
+    var b = buckets[index[bucketStart(entry.time, view.bucket)]];
+    if (!b) return;
+    b.correct += entry.correct;
+    b.total += entry.total;
+    b.answers++;
+  });
+  return buckets;
+}
+
+// Accuracy over the last `window` points, weighted by how much was answered;
+// null until some answers fall in the window
+function rollingAccuracy(points, window) {
+  return points.map(function (p, i) {
+    var correct = 0;
+    var total = 0;
+    points.slice(Math.max(0, i - window + 1), i + 1).forEach(function (q) {
+      correct += q.correct;
+      total += q.total;
+    });
+    return total ? (correct / total) * 100 : null;
+  });
+}
+
+// Inline SVG chart. opts: { labels, bars, lines: [{ values, cls, dots }], yMax, ySuffix }
+// where values may contain nulls (gaps in a line).
+function renderChart(opts) {
+  var W = 600, H = 180, left = 36, right = 8, top = 10, bottom = 22;
+  var plotW = W - left - right;
+  var plotH = H - top - bottom;
+  var n = opts.labels.length;
+  var step = plotW / Math.max(n, 1);
+  var x = function (i) { return left + step * (i + 0.5); };
+  var y = function (v) { return top + plotH - (v / opts.yMax) * plotH; };
+  var suffix = opts.ySuffix || '';
+
+  var svg = '<svg class="chart" viewBox="0 0 ' + W + ' ' + H + '" preserveAspectRatio="none" role="img">';
+
+  [0, 0.5, 1].forEach(function (f) {
+    var v = opts.yMax * f;
+    svg += '<line class="chart-grid" x1="' + left + '" x2="' + (W - right) + '" y1="' + y(v) + '" y2="' + y(v) + '"/>' +
+      '<text class="chart-label" x="' + (left - 4) + '" y="' + (y(v) + 4) + '" text-anchor="end">' + Math.round(v) + suffix + '</text>';
+  });
+
+  if (opts.bars) {
+    var barW = Math.max(1, step * 0.7);
+    opts.bars.forEach(function (v, i) {
+      if (!v) return;
+      svg += '<rect class="chart-bar" x="' + (x(i) - barW / 2) + '" y="' + y(v) + '" width="' + barW +
+        '" height="' + (top + plotH - y(v)) + '"><title>' + opts.labels[i] + ': ' + v + '</title></rect>';
+    });
+  }
+
+  // Lines first, then every dot, so no line is drawn over a dot
+  var dots = '';
+  (opts.lines || []).forEach(function (line) {
+    var path = '';
+    var pen = 'M';
+    line.values.forEach(function (v, i) {
+      if (v === null) {
+        pen = 'M';
+        return;
+      }
+      path += pen + x(i).toFixed(1) + ' ' + y(v).toFixed(1) + ' ';
+      pen = 'L';
+      if (line.dots) {
+        dots += '<circle class="chart-dot ' + line.cls + '" cx="' + x(i).toFixed(1) + '" cy="' + y(v).toFixed(1) +
+          '" r="3"><title>' + opts.labels[i] + ': ' + Math.round(v) + suffix + '</title></circle>';
+      }
+    });
+    if (path) svg += '<path class="chart-line ' + line.cls + '" d="' + path + '"/>';
+  });
+  svg += dots;
+
+  // Date labels at the start, middle and end
+  [0, Math.floor((n - 1) / 2), n - 1].filter(function (i, k, arr) { return i >= 0 && arr.indexOf(i) === k; })
+    .forEach(function (i) {
+      svg += '<text class="chart-label" x="' + x(i) + '" y="' + (H - 6) + '" text-anchor="middle">' + opts.labels[i] + '</text>';
+    });
+
+  return svg + '</svg>';
+}
+
+function renderProgressControls() {
+  var view = progressView;
+  var modeOptions = '<option value="all">' + I18n.t('progress.allModes') + '</option>' + MODES.map(function (m) {
+    return '<option value="' + m + '"' + (view.mode === m ? ' selected' : '') + '>' + modeLabel(m) + '</option>';
+  }).join('');
+
+  var items = [];
+  if (view.mode !== 'all') {
+    stats.log.forEach(function (e) {
+      if (e.mode === view.mode && items.indexOf(e.item) === -1) items.push(e.item);
+    });
+    items.sort();
+  }
+  var itemOptions = '<option value="all">' + I18n.t('progress.allItems') + '</option>' + items.map(function (item) {
+    return '<option value="' + escapeHtml(item) + '"' + (view.item === item ? ' selected' : '') + '>' +
+      answerHtml(view.mode, item) + '</option>';
+  }).join('');
+
+  var rangeOptions = PROGRESS_RANGES.map(function (days) {
+    return '<option value="' + days + '"' + (view.days === days ? ' selected' : '') + '>' +
+      I18n.t('progress.range.' + days) + '</option>';
+  }).join('');
+
+  return '<div class="progress-controls">' +
+    '<select data-view="mode" aria-label="' + I18n.t('progress.mode') + '">' + modeOptions + '</select>' +
+    '<select data-view="item" aria-label="' + I18n.t('progress.item') + '"' + (view.mode === 'all' ? ' disabled' : '') + '>' +
+      itemOptions + '</select>' +
+    '<select data-view="days" aria-label="' + I18n.t('progress.range') + '">' + rangeOptions + '</select>' +
+    '<select data-view="bucket" aria-label="' + I18n.t('progress.groupBy') + '">' +
+      '<option value="day"' + (view.bucket === 'day' ? ' selected' : '') + '>' + I18n.t('progress.day') + '</option>' +
+      '<option value="week"' + (view.bucket === 'week' ? ' selected' : '') + '>' + I18n.t('progress.week') + '</option>' +
+    '</select></div>';
+}
+
+function renderStatsProgress(container) {
+  var view = progressView;
+  var buckets = getProgressBuckets(view);
+  var labels = buckets.map(function (b) { return formatShortDate(b.start); });
+  var answered = buckets.reduce(function (sum, b) { return sum + b.answers; }, 0);
+
+  var html = renderProgressControls();
+
+  if (!answered) {
+    html += '<div class="stats-empty">' + I18n.t('progress.empty') + '</div>';
+  } else {
+    var accuracy = buckets.map(function (b) { return b.total ? (b.correct / b.total) * 100 : null; });
+    var maxAnswers = Math.max.apply(null, buckets.map(function (b) { return b.answers; }));
+    html += '<div class="chart-card"><h3>' + I18n.t('progress.accuracy') + '</h3>' +
+      renderChart({
+        labels: labels,
+        yMax: 100,
+        ySuffix: '%',
+        lines: [
+          { values: accuracy, cls: 'accuracy', dots: true },
+          { values: rollingAccuracy(buckets, ROLLING_WINDOW[view.bucket]), cls: 'rolling' },
+        ],
+      }) +
+      '<div class="chart-legend"><span class="accuracy">' + I18n.t('progress.' + view.bucket) +
+      '</span><span class="rolling">' + I18n.t('progress.rolling.' + view.bucket, { count: ROLLING_WINDOW[view.bucket] }) +
+      '</span></div></div>';
+
+    html += '<div class="chart-card"><h3>' + I18n.t('progress.answers') + '</h3>' +
+      renderChart({ labels: labels, yMax: Math.max(4, maxAnswers), bars: buckets.map(function (b) { return b.answers; }) }) +
+      '</div>';
+  }
+
+  // Challenges: one point per run, in order, in the selected format
+  var rangeStart = getProgressRangeStart(view);
+  var key = getChallengeKey();
+  var runs = stats.timedHistory.filter(function (r) {
+    return r.time >= rangeStart && (view.mode === 'all' || r.mode === view.mode) && r.format === key;
+  });
+  if (runs.length) {
+    var scores = runs.map(function (r) { return lowerIsBetter(key) ? r.score / 1000 : r.score; });
+    var rolling = scores.map(function (v, i) {
+      var win = scores.slice(Math.max(0, i - 4), i + 1);
+      return win.reduce(function (a, b) { return a + b; }, 0) / win.length;
+    });
+    html += '<div class="chart-card"><h3>' +
+      I18n.t(lowerIsBetter(key) ? 'progress.challengeSeconds' : 'progress.challenge', { format: describeChallengeKey(key) }) +
+      (view.mode === 'all' ? I18n.t('progress.allModesSuffix') : '') + '</h3>' +
+      renderChart({
+        labels: runs.map(function (r) { return formatShortDate(r.time); }),
+        yMax: Math.max(5, Math.max.apply(null, scores)),
+        lines: [{ values: scores, cls: 'accuracy', dots: true }, { values: rolling, cls: 'rolling' }],
+      }) +
+      '<div class="chart-legend"><span class="accuracy">' + I18n.t('progress.score') + '</span><span class="rolling">' +
+      I18n.t('progress.rolling.run', { count: 5 }) + '</span></div></div>';
+  }
+
+  container.innerHTML = html;
+
+  container.querySelectorAll('.progress-controls select').forEach(function (select) {
+    select.addEventListener('change', function () {
+      var key = select.dataset.view;
+      progressView[key] = key === 'days' ? parseInt(select.value, 10) : select.value;
+      if (key === 'mode') progressView.item = 'all';
+      renderStatsScreen();
+    });
+  });
 }
 
-function renderStatsMode(container, mode) {
-  var items = getItemStats(mode);
+// Adaptive mastery frontier: what is in play, what is still shaky, what's next
+// Every recorded challenge best for the mode, by format and difficulty
+function renderChallengeBests(mode) {
+  var rows = '';
+  Object.keys(CHALLENGE_FORMATS).forEach(function (id) {
+    [id, id + '-speed'].forEach(function (key) {
+      var byDifficulty = stats.challengeBests[key] && stats.challengeBests[key][mode];
+      if (!byDifficulty) return;
+      Object.keys(byDifficulty).forEach(function (difficulty) {
+        rows += '<tr><td>' + describeChallengeKey(key) + '</td><td>' +
+          (difficultyLabel(difficulty) || I18n.t('stats.notRecorded')) + '</td><td>' +
+          formatChallengeScore(key, byDifficulty[difficulty]) + '</td></tr>';
+      });
+    });
+  });
+  if (!rows) return '';
+  return '<div class="challenge-bests"><h3>' + I18n.t('stats.bestsTitle') + '</h3><table>' +
+    '<tr><th>' + I18n.t('stats.format') + '</th><th>' + I18n.t('stats.difficulty') + '</th><th>' +
+    I18n.t('stats.best') + '</th></tr>' + rows + '</table></div>';
+}
 
-  if (items.length === 0) {
-    container.innerHTML = '<div class="stats-empty">No data yet. Play some rounds to see your stats!</div>';
-    return;
-  }
+function renderFrontier(mode) {
+  var curriculum = ADAPTIVE_CURRICULUM[mode];
+  if (!curriculum) return '';
 
-  // Sort alphabetically for display (override the accuracy sort for readability)
-  var sorted = items.slice().sort(function (a, b) { return a.name.localeCompare(b.name); });
+  var unlocked = getUnlockedItems(mode);
+  var html = '<div class="frontier"><h3>' + I18n.t('stats.frontier') + '</h3>' +
+    '<div class="frontier-summary">' + I18n.t('stats.frontierSummary', { count: unlocked.length, total: curriculum.items.length }) + '</div>' +
+    '<div class="frontier-items">';
 
-  var html = '<div class="stats-bars">';
-  sorted.forEach(function (item) {
-    var fillClass = item.total === 0 ? 'none' : (item.pct >= 75 ? 'good' : (item.pct >= 50 ? 'ok' : 'weak'));
-    var width = item.total === 0 ? 0 : item.pct;
-    html += '<div class="stat-row">' +
-      '<span class="stat-name">' + item.name + '</span>' +
-      '<div class="stat-bar-track"><div class="stat-bar-fill ' + fillClass + '" style="width:' + width + '%"></div></div>' +
-      '<span class="stat-detail">' + item.pct + '% (' + item.correct + '/' + item.total + ')</span>' +
-      '</div>';
+  unlocked.forEach(function (key) {
+    var skill = getSkill(mode, key);
+    var cls = isMastered(mode, key) ? 'mastered' : 'learning';
+    html += '<span class="frontier-item ' + cls + '" title="' + I18n.t('stats.frontierAnswers', { count: skill.answers }) + '">' +
+      answerHtml(mode, key) + ' ' + Math.round(skill.mastery * 100) + '%</span>';
   });
   html += '</div>';
 
-  container.innerHTML = html;
-
-  // Show weakest
-  var weakest = getWeakest(mode, 3);
-  if (weakest.length > 0) {
-    var weakHtml = '<div class="weak-areas"><h3>Focus Areas</h3>';
-    weakest.forEach(function (w) {
-      weakHtml += '<div class="weak-item">' + w.name + ' - ' + w.pct + '% accuracy (' + w.correct + '/' + w.total + ')</div>';
-    });
-    weakHtml += '</div>';
-    container.innerHTML += weakHtml;
+  if (unlocked.length < curriculum.items.length) {
+    html += '<div class="frontier-next">' + I18n.t('stats.frontierNext', {
+      item: '<strong>' + answerHtml(mode, curriculum.items[unlocked.length]) + '</strong>',
+      pct: Math.round(MASTERY_THRESHOLD * 100),
+      answers: MASTERY_MIN_ANSWERS,
+    }) + '</div>';
+  } else {
+    html += '<div class="frontier-next">' + I18n.t('stats.frontierDone') + '</div>';
   }
+  return html + '</div>';
 }
 
 // ── 16. Event Handlers ───────────────────────
 
 function handleModeSelect(mode) {
   ensureAudioContext();
+  stopListening();
+  if (mode !== 'sing') stopMicrophone();
   state.mode = mode;
-  state.score = { correct: 0, total: 0 };
+  state.score = { correct: 0, total: 0, points: 0 };
+  state.responseTimes = [];
   state.streak = 0;
   state.timedAnswering = false;
-  state.adaptive.tier = 0;
-  state.adaptive.history = [];
-  state.timedMode = els.timedMode.checked;
+  state.degreeKey = null;
+  state.sessionLog = [];
+  state.seed = state.linkDrill ? state.linkDrill.seed : newSeed();
+  seedRandom(state.seed);
+  // Drills would inflate timed bests, and the daily challenge is a fixed-length round
+  state.timedMode = els.timedMode.checked && !state.drill && !state.daily;
 
   generateQuestion();
   showScreen('playing');
@@ -1039,6 +4691,7 @@ function handleModeSelect(mode) {
 
   // Timer bar visibility
   els.timerBar.style.display = state.timedMode ? '' : 'none';
+  if (state.timedMode) resetChallenge();
 
   if (state.timedMode) {
     showCountdown(function () {
@@ -1050,17 +4703,63 @@ function handleModeSelect(mode) {
   }
 }
 
+// Starts today's round, or shows its result if it has already been played
+function handleDailyStart() {
+  var today = dateKey(Date.now());
+  if (stats.daily[today]) {
+    showScreen('daily-result');
+    renderDailyResult(today);
+    return;
+  }
+  // Starting counts as today's attempt, even if the round is abandoned
+  stats.daily[today] = { correct: 0, total: 0 };
+  saveData();
+  state.daily = { date: today, modes: getDailyModes(today), index: 0, startedAt: Date.now() };
+  handleModeSelect(state.daily.modes[0]);
+}
+
+function finishDaily() {
+  var daily = state.daily;
+  stats.daily[daily.date].ms = Date.now() - daily.startedAt;
+  saveData();
+  showScreen('daily-result');
+  renderDailyResult(daily.date);
+  state.daily = null;
+}
+
+// Starts the mode with questions limited to a pair from the confusion matrix
+function handleDrillStart(mode, heard, answered) {
+  state.drill = { mode: mode, items: [heard, answered] };
+  handleModeSelect(mode);
+}
+
 function handleAnswer(answer) {
   // Prevent double-answers in timed mode during transition
   if (state.timedAnswering) return;
-  // Prevent answering after time runs out
-  if (state.timedMode && state.timerRemaining <= 0) return;
+  // Prevent answering before the countdown ends or after the challenge is over
+  if (state.timedMode && !state.timerInterval) return;
 
   state.userAnswer = answer;
-  var isCorrect = answer === state.currentQuestion.answer;
+  var isCorrect;
+
+  if (usesSequenceEntry()) {
+    var grade = gradeSequence(answer);
+    isCorrect = grade.correct === grade.total;
+    recordPartialStat(state.mode, state.currentQuestion.statKey, grade.correct, grade.total, answer);
+  } else if (state.mode === 'sing') {
+    isCorrect = answer.cents !== null && Math.abs(answer.cents) <= getEffectiveDifficulty().singTolerance;
+    recordStat(state.mode, state.currentQuestion.statKey, isCorrect,
+      answer.cents === null ? null : Math.round(answer.cents));
+  } else {
+    isCorrect = answer === state.currentQuestion.answer;
+    recordStat(state.mode, state.currentQuestion.statKey || state.currentQuestion.answer, isCorrect, answer);
+  }
 
   state.score.total++;
   if (isCorrect) {
+    var ms = getResponseMs();
+    if (ms !== null) state.responseTimes.push(ms);
+    if (usesSpeedScoring()) state.score.points += speedPoints(ms);
     state.score.correct++;
     state.streak++;
     var modeStreak = state.bestStreak[state.mode] || 0;
@@ -1071,21 +4770,25 @@ function handleAnswer(answer) {
   } else {
     state.streak = 0;
   }
-
-  // Record stats
-  recordStat(state.mode, state.currentQuestion.answer, isCorrect);
-  updateAdaptive(isCorrect);
+  if (state.daily) recordDailyProgress();
 
   if (state.timedMode) {
     // Flash feedback directly on playing screen
     state.timedAnswering = true;
     flashTimedFeedback(answer, isCorrect);
     renderScoreBar();
+    var isOver = updateChallenge(isCorrect);
+    var feedback = I18n.t(isCorrect ? 'result.correct' : 'result.incorrect');
+    if (getChallengeFormat().lives && !isCorrect) feedback += ', ' + I18n.t('timed.livesLeft', { lives: state.livesLeft });
+    announce(feedback);
 
     var delay = isCorrect ? 350 : 650;
     setTimeout(function () {
       state.timedAnswering = false;
-      if (state.screen === 'playing' && state.timedMode && state.timerRemaining > 0) {
+      if (state.screen !== 'playing' || !state.timedMode) return;
+      if (isOver) {
+        endTimedChallenge();
+      } else if (state.timerInterval) {
         generateQuestion();
         renderPlayingScreen();
         playCurrentQuestion();
@@ -1094,10 +4797,26 @@ function handleAnswer(answer) {
   } else {
     showScreen('result');
     renderResultScreen(isCorrect);
+    announce(els.resultText.textContent + ' ' + els.resultDetail.textContent);
   }
 }
 
 function flashTimedFeedback(answer, isCorrect) {
+  if (state.mode === 'sing') {
+    renderSingPanel(answer.cents === null ? null : answer);
+    els.singReadout.textContent = (isCorrect ? '✓ ' : '✗ ') + els.singReadout.textContent;
+    return;
+  }
+
+  if (usesSequenceEntry()) {
+    renderSequenceEntry(gradeSequence(answer).marks);
+    els.answerGrid.querySelectorAll('.answer-btn').forEach(function (btn) { btn.disabled = true; });
+    if (state.mode === 'dictation') {
+      renderPiano(els.pianoContainer, getDictationHighlights(answer));
+    }
+    return;
+  }
+
   var btns = els.answerGrid.querySelectorAll('.answer-btn');
 
   // Disable all
@@ -1114,26 +4833,527 @@ function flashTimedFeedback(answer, isCorrect) {
   });
 }
 
+// Returns false when there is no enabled button for the answer
+function clickAnswerButton(answer) {
+  var btn = els.answerGrid.querySelector('.answer-btn[data-answer="' + answer + '"]');
+  if (btn && !btn.disabled && !btn.classList.contains('eliminated')) {
+    btn.click();
+    return true;
+  }
+  return false;
+}
+
+// A key press in Note ID counts exactly like clicking the matching answer button
+function handleNoteKey(midi) {
+  if (state.screen !== 'playing' || state.timedAnswering) return;
+  clickAnswerButton(noteNameFromMidi(midi));
+}
+
+function handleSequenceAdd(item) {
+  if (state.screen !== 'playing' || state.timedAnswering) return;
+  var target = state.currentQuestion.sequence.length;
+  if (state.sequenceEntry.length >= target) return;
+
+  state.sequenceEntry.push(item);
+  renderSequenceEntry();
+  announce(I18n.t('play.entered', { item: sequenceItemLabel(item), count: state.sequenceEntry.length, total: target }));
+}
+
+function handleSequenceUndo() {
+  if (state.screen !== 'playing' || state.timedAnswering) return;
+  state.sequenceEntry.pop();
+  renderSequenceEntry();
+}
+
+function handleSequenceSubmit() {
+  if (state.screen !== 'playing') return;
+  if (state.sequenceEntry.length !== state.currentQuestion.sequence.length) return;
+  handleAnswer(state.sequenceEntry.slice());
+}
+
+// ── Sing-back takes ──
+// Each frame the detected pitch is compared with the target. The take ends
+// once the pitch has held steady for SING_HOLD_FRAMES, or at the timeout, and
+// is graded on the median of the steady run (or of everything heard).
+
+function handleSingToggle() {
+  if (state.screen !== 'playing' || state.mode !== 'sing' || state.timedAnswering) return;
+  if (state.singTake) {
+    finishSingTake();
+    return;
+  }
+  // Still waiting for permission from an earlier press
+  if (isMicrophonePending()) return;
+
+  els.singReadout.textContent = I18n.t('sing.waiting');
+  startMicrophone().then(function () {
+    if (state.screen !== 'playing' || state.mode !== 'sing' || state.singTake) return;
+    state.singTake = { readings: [], startedAt: Date.now() };
+    state.singTake.timer = setInterval(sampleSingTake, SING_FRAME_MS);
+    renderSingPanel(null);
+  }).catch(function () {
+    if (state.screen !== 'playing' || state.mode !== 'sing') return;
+    els.singReadout.textContent = I18n.t('sing.noMicrophone');
+  });
+}
+
+function sampleSingTake() {
+  var take = state.singTake;
+  var pitch = readMicPitch();
+
+  if (pitch) {
+    var cents = singCents(pitch.freq, state.currentQuestion.midi);
+    var reading = { cents: cents, freq: pitch.freq, midi: Math.round(PitchDetector.freqToMidi(pitch.freq)) };
+    take.readings.push(reading);
+    renderSingPanel(reading);
+  } else {
+    take.readings.push(null);
+    renderSingPanel(null);
+  }
+
+  if (getSteadyRun(take.readings) || Date.now() - take.startedAt >= SING_TIMEOUT_MS) {
+    finishSingTake();
+  }
+}
+
+// The last SING_HOLD_FRAMES readings, if all voiced and close together
+function getSteadyRun(readings) {
+  if (readings.length < SING_HOLD_FRAMES) return null;
+  var run = readings.slice(-SING_HOLD_FRAMES);
+  if (run.indexOf(null) !== -1) return null;
+  var cents = run.map(function (r) { return r.cents; });
+  var spread = Math.max.apply(null, cents) - Math.min.apply(null, cents);
+  return spread <= SING_STEADY_CENTS ? run : null;
+}
+
+function median(values) {
+  var sorted = values.slice().sort(function (a, b) { return a - b; });
+  var mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function finishSingTake() {
+  var readings = state.singTake.readings;
+  stopListening();
+
+  var run = getSteadyRun(readings) || readings.filter(Boolean);
+  var result = { cents: null, freq: null, midi: null };
+  if (run.length >= 5) {
+    result.freq = median(run.map(function (r) { return r.freq; }));
+    result.cents = singCents(result.freq, state.currentQuestion.midi);
+    result.midi = Math.round(PitchDetector.freqToMidi(result.freq));
+  }
+  handleAnswer(result);
+}
+
+// Ends a take without grading it
+function stopListening() {
+  if (!state.singTake) return;
+  clearInterval(state.singTake.timer);
+  state.singTake = null;
+}
+
+// ── MIDI input ──
+// Note ID and dictation take each note as it is played. Interval ID answers
+// once two notes have been played; Chord ID once every key is released.
+
+var midiAdapter = null; // a MidiInput adapter, set by setMidiAdapter
+var knownMidiDevices = [];
+
+// Swaps the MIDI input layer: init installs the Web MIDI adapter, tests
+// install MidiInput.createStubAdapter() and drive it with press/release.
+function setMidiAdapter(adapter) {
+  if (midiAdapter) midiAdapter.close();
+  midiAdapter = adapter;
+  state.midiGesture.held = [];
+  state.midiGesture.notes = [];
+  adapter.onDevicesChanged(handleMidiDevicesChanged);
+}
+
+function handleMidiMessage(msg) {
+  var gesture = state.midiGesture;
+  var heldIdx = gesture.held.indexOf(msg.note);
+
+  if (msg.type === 'noteoff') {
+    if (heldIdx !== -1) gesture.held.splice(heldIdx, 1);
+    setPianoKeyPressed(msg.note, false);
+    if (state.mode === 'chord' && gesture.held.length === 0) handleMidiChord();
+    return;
+  }
+
+  if (heldIdx === -1) gesture.held.push(msg.note);
+  setPianoKeyPressed(msg.note, true);
+  if (state.settings.midiSound) playNote(msg.note, PIANO_PRESS_DURATION, 0, msg.velocity / 127);
+
+  if (state.screen !== 'playing' || state.timedAnswering) return;
+
+  if (state.mode === 'note') {
+    handleNoteKey(msg.note);
+  } else if (state.mode === 'dictation') {
+    handleSequenceAdd(msg.note);
+  } else if (state.mode === 'interval') {
+    if (gesture.notes.length && Date.now() - gesture.lastAt > MIDI_INTERVAL_TIMEOUT_MS) gesture.notes = [];
+    gesture.notes.push(msg.note);
+    gesture.lastAt = Date.now();
+    if (gesture.notes.length === 2) handleMidiInterval(gesture.notes[0], gesture.notes[1]);
+  } else if (state.mode === 'chord') {
+    if (gesture.notes.indexOf(msg.note) === -1) gesture.notes.push(msg.note);
+  }
+}
+
+function handleMidiInterval(first, second) {
+  state.midiGesture.notes = [];
+  var size = Math.abs(second - first);
+  while (size > 12) size -= 12;
+  var name = INTERVALS[size].name;
+
+  // Descending answers only exist when the difficulty asks for direction
+  if (second < first && getIntervalChoices().indexOf(name + ' (desc)') !== -1) name += ' (desc)';
+  answerFromMidi(name);
+}
+
+function handleMidiChord() {
+  var notes = state.midiGesture.notes;
+  state.midiGesture.notes = [];
+  if (state.screen !== 'playing' || state.timedAnswering || notes.length < 3) return;
+
+  var named = chordNamesInversions();
+  var names = identifyChord(notes).map(function (m) { return chordAnswerName(m.chord, m.inversion, named); });
+  if (!names.length) {
+    showMidiNotice(I18n.t('midi.unknownChord', { notes: notes.map(function (m) { return displayNoteLabel(m); }).join(' ') }));
+    return;
+  }
+
+  // Enharmonic readings (C6 is also Am7 over C) sound alike, so any one matches
+  var choices = getChoices();
+  var answer = names.indexOf(state.currentQuestion.answer) !== -1 ? state.currentQuestion.answer
+    : names.filter(function (n) { return choices.indexOf(n) !== -1; })[0] || names[0];
+  answerFromMidi(answer);
+}
+
+function answerFromMidi(answer) {
+  if (!clickAnswerButton(answer)) showMidiNotice(I18n.t('midi.notAChoice', { answer: answerLabel(state.mode, answer) }));
+}
+
+function showMidiNotice(text) {
+  els.midiNotice.textContent = text;
+  els.midiNotice.style.display = '';
+}
+
+function setPianoKeyPressed(midi, pressed) {
+  var container = state.screen === 'result' ? els.resultPianoContainer : els.pianoContainer;
+  var key = container.querySelector('.piano-key[data-midi="' + midi + '"]');
+  if (key) key.classList.toggle('pressed', pressed);
+}
+
+function refreshMidiDevices() {
+  return midiAdapter.listDevices().then(function (devices) {
+    knownMidiDevices = devices;
+    renderMidiDevices(devices, els.midiDevice.value);
+    return devices;
+  }).catch(function (err) {
+    renderMidiStatus(message('midi.unavailable', { reason: err.message }), true);
+    return [];
+  });
+}
+
+function connectMidiDevice(id) {
+  midiAdapter.close();
+  state.midiGesture.held = [];
+  if (!id) {
+    renderMidiStatus(null);
+    return Promise.resolve();
+  }
+  return midiAdapter.open(id, handleMidiMessage).then(function () {
+    renderMidiStatus(message('midi.connected'));
+  }).catch(function () {
+    renderMidiStatus(message('midi.notConnected'), true);
+  });
+}
+
+// Devices can be plugged in while the app is open; reconnect the saved one
+function handleMidiDevicesChanged() {
+  refreshMidiDevices().then(function (devices) {
+    var saved = state.settings.midiDevice;
+    if (saved && devices.some(function (d) { return d.id === saved; })) connectMidiDevice(saved);
+  });
+}
+
+function handleExportSession() {
+  if (!state.sessionLog.length) return;
+  var title = I18n.t('export.session', { mode: modeLabel(state.mode) });
+  downloadFile(buildQuestionSetFile(state.sessionLog, title), 'pitch-trainer-' + state.mode + '-session.mid', 'audio/midi');
+}
+
+function handleExportBatch() {
+  var count = parseInt(els.exportBatchSize.value, 10);
+  var title = I18n.t('export.batch', { count: count, mode: modeLabel(state.mode) });
+  downloadFile(buildQuestionSetFile(generateQuestionBatch(count), title),
+    'pitch-trainer-' + state.mode + '-' + count + '.mid', 'audio/midi');
+}
+
+function handleMidiFileImport() {
+  var file = els.midiFile.files[0];
+  if (!file) return;
+  importMidiSource(file).then(function () {
+    els.useCustomSource.checked = true;
+    renderCustomSourceStatus();
+  }).catch(function (err) {
+    renderCustomSourceStatus(err.message);
+  });
+  els.midiFile.value = '';
+}
+
+function handleClearCustomSource() {
+  state.customSource = null;
+  state.settings.useCustomSource = false;
+  els.useCustomSource.checked = false;
+  saveData();
+  renderCustomSourceStatus();
+}
+
+// After the live dataset is swapped (profile switch, restored backup)
+function renderLoadedData() {
+  applyTranslations();
+  applySettingsToUI();
+  renderScoreBar();
+  renderProfileSelect();
+  renderDrillPresetSelect();
+  loadInstrument(state.settings.instrument);
+  connectMidiDevice(state.settings.midiDevice);
+  renderDailyStatus();
+  if (state.screen === 'stats') renderStatsScreen();
+}
+
+function promptProfileName(message, current) {
+  var name = prompt(message, current || '');
+  name = name ? name.trim().slice(0, 30) : '';
+  return name || null;
+}
+
+function handleProfileChange() {
+  var value = els.profileSelect.value;
+  var active = getProfile(profiles.active);
+
+  // Renaming keeps the same profile, so a game in progress carries on
+  if (value === 'action:rename') {
+    var newName = promptProfileName(I18n.t('profile.renamePrompt', { name: active.name }), active.name);
+    if (newName) renameProfile(active.id, newName);
+    renderProfileSelect();
+    return;
+  }
+
+  // Cancelling leaves everything as it was, the select included
+  var name = value === 'action:new' ? promptProfileName(I18n.t('profile.newPrompt')) : null;
+  if ((value === 'action:new' && !name) ||
+      (value === 'action:delete' && !confirm(I18n.t('profile.deleteConfirm', { name: active.name })))) {
+    renderProfileSelect();
+    return;
+  }
+
+  // Results belong to the profile that played them, so any game in progress ends
+  var gameScreens = ['playing', 'result', 'timed-result'];
+  if (gameScreens.indexOf(state.screen) !== -1) {
+    handleBackToMenu();
+  } else if (gameScreens.indexOf(state.previousScreen) !== -1) {
+    state.previousScreen = 'menu';
+  }
+
+  if (value === 'action:new') {
+    createProfile(name);
+  } else if (value === 'action:delete') {
+    deleteProfile(active.id);
+  } else {
+    switchProfile(value);
+  }
+  renderLoadedData();
+}
+
+function handleBackupDownload() {
+  var date = new Date().toISOString().slice(0, 10);
+  downloadFile(JSON.stringify(buildBackup()), 'pitch-trainer-backup-' + date + '.json', 'application/json');
+  renderDataStatus(I18n.t('data.backupDownloaded'));
+}
+
+function handleBackupRestore() {
+  var file = els.restoreFile.files[0];
+  els.restoreFile.value = '';
+  if (!file) return;
+  if (!confirm(I18n.t('data.restoreConfirm', { name: file.name }))) return;
+  restoreBackup(file).then(function (repairs) {
+    dataNotice = null;
+    renderLoadedData();
+    renderDataStatus(repairs.length
+      ? messageText(message('data.restoredRepairs', { name: file.name, repairs: repairs }))
+      : I18n.t('data.restored', { name: file.name }));
+  }).catch(function (err) {
+    renderDataStatus(I18n.t('data.restoreFailed', { reason: err.message }), true);
+  });
+}
+
 function handleReplay() {
   var limit = getEffectiveDifficulty().replayLimit;
   if (state.replaysUsed >= limit) return;
+  // The prompt would be heard by the microphone
+  if (state.singTake) {
+    stopListening();
+    renderSingPanel(null);
+  }
   state.replaysUsed++;
   renderReplayButton();
   playCurrentQuestion();
 }
 
 function handleNext() {
+  if (state.daily) {
+    if (isLastDailyQuestion()) {
+      finishDaily();
+      return;
+    }
+    state.daily.index++;
+  }
   generateQuestion();
   showScreen('playing');
   renderPlayingScreen();
   playCurrentQuestion();
 }
 
-function handleDifficulty(diff) {
-  state.difficulty = diff;
+function renderDifficultyButtons() {
   $$('.diff-btn').forEach(function (b) { b.classList.remove('active'); });
-  var active = document.querySelector('.diff-btn[data-difficulty="' + diff + '"]');
+  var active = document.querySelector('.diff-btn[data-difficulty="' + state.difficulty + '"]');
   if (active) active.classList.add('active');
+  renderDrillPresetSelect();
+}
+
+function handleDifficulty(diff) {
+  state.difficulty = diff;
+  renderDifficultyButtons();
+  // Nothing to play yet: go straight to building the first drill
+  if (diff === 'custom' && !state.settings.drillPresets.length) handleDrillEditorOpen(true);
+}
+
+// ── Drill links ──
+
+var pendingLink = null; // drill link waiting for Start (audio needs a click)
+
+function handleHashChange() {
+  pendingLink = parseDrillLink(location.hash);
+  els.linkBanner.style.display = pendingLink ? '' : 'none';
+  if (pendingLink) els.linkBannerText.textContent = describeDrillLink(pendingLink);
+}
+
+function clearLinkHash() {
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+function handleLinkStart() {
+  if (!pendingLink) return;
+  var link = pendingLink;
+  pendingLink = null;
+  els.linkBanner.style.display = 'none';
+  clearLinkHash();
+  startLinkDrill(link);
+}
+
+function startLinkDrill(link) {
+  handleBackToMenu();
+  link.previous = { difficulty: state.difficulty, timed: els.timedMode.checked };
+  state.linkDrill = link;
+  state.difficulty = link.difficulty;
+  els.timedMode.checked = link.timed;
+  handleModeSelect(link.mode);
+}
+
+function handleLinkDismiss() {
+  pendingLink = null;
+  els.linkBanner.style.display = 'none';
+  clearLinkHash();
+}
+
+// Back to the player's own difficulty and timed setting
+function endLinkDrill() {
+  var previous = state.linkDrill.previous;
+  state.linkDrill = null;
+  state.difficulty = previous.difficulty;
+  els.timedMode.checked = previous.timed;
+  renderDifficultyButtons();
+}
+
+function handleShareLink() {
+  var note = state.difficulty === 'adaptive' && !getActiveDrillPreset() ? I18n.t('share.adaptiveAsMedium') : '';
+  // Spaced repetition and an imported MIDI source shape this session's
+  // questions but are off for whoever opens the link, so the sender starts
+  // over on the link's own questions and hears exactly what the class hears
+  if (!state.linkDrill) {
+    state.seed = newSeed();
+    startLinkDrill(parseDrillLink(buildDrillLinkHash()));
+    note += I18n.t('share.restarted');
+  }
+  var url = buildDrillLink();
+  function fallback() {
+    prompt(I18n.t('share.copyPrompt'), url);
+  }
+  if (!navigator.clipboard) {
+    fallback();
+    return;
+  }
+  navigator.clipboard.writeText(url).then(function () {
+    els.shareStatus.textContent = I18n.t('share.copied') + note;
+  }).catch(fallback);
+}
+
+var editingDrillId = null; // preset open in the drill editor, null for a new one
+
+function handleDrillEditorOpen(isNew) {
+  var preset = isNew ? null : getDrillPreset(state.settings.drillPreset);
+  editingDrillId = preset ? preset.id : null;
+  renderDrillEditor(preset || defaultDrillPreset(), !preset);
+  showScreen('drill-editor');
+}
+
+function handleDrillSave() {
+  var fields = readDrillEditor();
+  if (!fields.name) {
+    els.drillError.textContent = I18n.t('drill.needName');
+    return;
+  }
+  if (!fields.notes.length && !fields.intervals.length && !fields.chords.length) {
+    els.drillError.textContent = I18n.t('drill.needItems');
+    return;
+  }
+
+  var preset = getDrillPreset(editingDrillId);
+  if (!preset) {
+    preset = defaultDrillPreset();
+    preset.id = Date.now().toString(36);
+    state.settings.drillPresets.push(preset);
+  }
+  Object.assign(preset, fields);
+  state.settings.drillPreset = preset.id;
+  saveData();
+  renderDrillPresetSelect();
+  showScreen('menu');
+}
+
+function handleDrillDelete() {
+  var preset = getDrillPreset(editingDrillId);
+  if (!preset || !confirm(I18n.t('drill.deleteConfirm', { name: preset.name }))) return;
+  state.settings.drillPresets = state.settings.drillPresets.filter(function (p) { return p !== preset; });
+  var first = state.settings.drillPresets[0];
+  state.settings.drillPreset = first ? first.id : '';
+  saveData();
+  renderDrillPresetSelect();
+  showScreen('menu');
+}
+
+function handleChallengeFormatChange() {
+  state.settings.challengeFormat = els.challengeFormat.value;
+  saveData();
+}
+
+function handleDrillPresetChange() {
+  state.settings.drillPreset = els.drillPreset.value;
+  saveData();
 }
 
 function handleSettingsOpen() {
@@ -1152,12 +5372,67 @@ function handleSettingsBack() {
     state.settings.octaveMax = state.settings.octaveMin + 1;
   }
 
-  state.settings.waveform = els.waveform.value;
+  state.settings.synthPreset = els.synthPreset.value;
+  state.settings.patch = readPatchFromUI();
+  state.settings.instrument = els.instrument.value;
+  loadInstrument(state.settings.instrument);
   state.settings.volume = parseInt(els.volumeSlider.value, 10) / 100;
   state.settings.referenceTone = els.refTone.checked;
+  state.settings.nameInversions = els.nameInversions.checked;
+  state.settings.progressionAnswer = els.progressionAnswer.value;
+  state.settings.degreeLabels = els.degreeLabels.value;
+  state.settings.spacedRepetition = els.spacedRepetition.checked;
+  state.settings.keyContext = els.keyContext.value;
+  state.settings.singPrompt = els.singPrompt.value;
+  state.settings.language = els.language.value;
+  state.settings.noteNames = els.noteNames.value;
+  state.settings.accidentals = els.accidentals.value;
+  state.settings.timedScoring = els.timedScoring.value;
+  state.settings.midiSound = els.midiSound.checked;
+  state.settings.useCustomSource = els.useCustomSource.checked;
+  if (els.midiDevice.value !== state.settings.midiDevice) {
+    state.settings.midiDevice = els.midiDevice.value;
+    connectMidiDevice(state.settings.midiDevice);
+  }
   saveData();
+  applyTranslations();
+  renderScoreBar();
+  renderDailyStatus();
+  renderProfileSelect();
+  renderAudioStatus();
 
   showScreen(state.previousScreen);
+  renderCurrentScreen();
+}
+
+// Redraws the screen on show from the state, e.g. in a new language or
+// note naming after Settings
+function renderCurrentScreen() {
+  if (state.screen === 'playing') {
+    // A used hint stays used: same answers eliminated, button still spent
+    var eliminated = Array.prototype.map.call(els.answerGrid.querySelectorAll('.answer-btn.eliminated'),
+      function (btn) { return btn.dataset.answer; });
+    renderPlayingScreen();
+    els.answerGrid.querySelectorAll('.answer-btn').forEach(function (btn) {
+      if (eliminated.indexOf(btn.dataset.answer) === -1) return;
+      btn.classList.add('eliminated');
+      btn.disabled = true;
+    });
+    if (state.hintUsed) {
+      els.hintBtn.disabled = true;
+      els.hintBtn.classList.add('used');
+    }
+  } else if (state.screen === 'result') {
+    renderResultScreen(state.shownResult);
+  } else if (state.screen === 'timed-result') {
+    renderTimedResult(state.shownResult);
+  } else if (state.screen === 'daily-result') {
+    renderDailyResult(state.shownResult);
+  } else if (state.screen === 'stats') {
+    renderStatsScreen();
+  } else if (state.screen === 'menu' && pendingLink) {
+    els.linkBannerText.textContent = describeDrillLink(pendingLink);
+  }
 }
 
 function handleStatsOpen() {
@@ -1187,21 +5462,24 @@ function updateStatsTabUI() {
 }
 
 function handleResetScore() {
-  state.score = { correct: 0, total: 0 };
+  state.score = { correct: 0, total: 0, points: 0 };
   state.streak = 0;
-  state.bestStreak = { note: 0, interval: 0, chord: 0 };
+  state.bestStreak = zeroPerMode();
   saveData();
   renderScoreBar();
 }
 
 function handleResetStats() {
   stats = defaultStats();
-  state.bestStreak = { note: 0, interval: 0, chord: 0 };
+  state.bestStreak = zeroPerMode();
   saveData();
+  renderDailyStatus();
 }
 
 function handleBackToMenu() {
   stopTimer();
+  stopListening();
+  stopMicrophone();
   state.timedMode = false;
   state.timedAnswering = false;
   showScreen('menu');
@@ -1214,25 +5492,109 @@ function handleTimedRetry() {
 
 // ── 17. Keyboard Shortcuts ───────────────────
 
-function handleKeyboard(e) {
-  if (state.screen === 'settings' || state.screen === 'menu' || state.screen === 'stats') return;
+// Containers whose buttons (or piano keys) arrow keys move between
+const ARROW_GRIDS = '.mode-buttons, .difficulty-buttons, .answer-grid, .stats-tabs, .piano-keyboard';
+
+// Moves focus within a grid: left/right step, up/down jump a row (measured
+// from the layout), Home/End go to the ends. Returns true when it moved.
+function moveGridFocus(e) {
+  var steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: 0, ArrowDown: 0, Home: 0, End: 0 };
+  if (!(e.key in steps) || !e.target.closest) return false;
+  var grid = e.target.closest(ARROW_GRIDS);
+  if (!grid) return false;
+
+  var isPiano = grid.classList.contains('piano-keyboard');
+  var items = Array.prototype.slice.call(grid.querySelectorAll(isPiano ? '.piano-key' : 'button'))
+    .filter(function (item) { return !item.disabled && item.offsetParent !== null; });
+  // Piano keys are laid out whites first; go by pitch instead
+  if (isPiano) items.sort(function (a, b) { return a.dataset.midi - b.dataset.midi; });
+  var idx = items.indexOf(e.target);
+  if (idx === -1) return false;
+
+  var columns = isPiano ? items.length : items.filter(function (item) {
+    return item.offsetTop === items[0].offsetTop;
+  }).length;
+  var next = e.key === 'Home' ? 0
+    : e.key === 'End' ? items.length - 1
+      : e.key === 'ArrowUp' ? idx - columns
+        : e.key === 'ArrowDown' ? idx + columns
+          : idx + steps[e.key];
+  e.preventDefault();
+  if (next < 0 || next >= items.length) return true;
+
+  if (isPiano) {
+    e.target.tabIndex = -1;
+    items[next].tabIndex = 0;
+  }
+  items[next].focus();
+  return true;
+}
+
+// Escape steps back out of any screen (but not mid-countdown, which would
+// start the timer once it ends)
+function handleEscape() {
+  if (els.countdownOverlay.style.display !== 'none') return;
+  if (state.screen === 'settings') handleSettingsBack();
+  else if (state.screen === 'stats') handleStatsBack();
+  else if (state.screen === 'drill-editor') showScreen('menu');
+  else if (state.screen !== 'menu') {
+    // A stray Escape mustn't forfeit today's daily round or end a running challenge
+    if (state.daily && !confirm(I18n.t('confirm.leaveDaily'))) return;
+    if (state.timedMode && state.timerInterval && !confirm(I18n.t('confirm.leaveChallenge'))) return;
+    handleBackToMenu();
+  }
+}
 
+function handleKeyboard(e) {
   var key = e.key;
+  if (key === 'Escape') {
+    handleEscape();
+    return;
+  }
+  // Typing into a field or choosing from a list isn't a shortcut
+  if (e.target.matches && e.target.matches('input, select, textarea')) return;
+  if (moveGridFocus(e)) return;
+
+  if (state.screen === 'menu') {
+    var modeBtns = $$('.mode-btn');
+    var modeIdx = parseInt(key, 10) - 1;
+    if (modeIdx >= 0 && modeIdx < modeBtns.length) {
+      modeBtns[modeIdx].click();
+    } else if (key === 'd' || key === 'D') {
+      handleDailyStart();
+    }
+    return;
+  }
+  if (state.screen === 'settings' || state.screen === 'stats' || state.screen === 'drill-editor') return;
+
+  if (state.screen === 'playing' && state.mode === 'sing' && key === 'Enter') {
+    e.preventDefault();
+    handleSingToggle();
+    return;
+  }
+
+  if (state.screen === 'playing' && !state.timedAnswering && usesSequenceEntry()) {
+    if (key === 'Backspace') {
+      e.preventDefault();
+      handleSequenceUndo();
+      return;
+    }
+    if (key === 'Enter') {
+      // Return here so the same keypress doesn't also trigger "Next" on the result screen
+      e.preventDefault();
+      handleSequenceSubmit();
+      return;
+    }
+  }
 
   if (state.screen === 'playing' && !state.timedAnswering) {
-    if (key >= '1' && key <= '9') {
-      var idx = parseInt(key, 10) - 1;
-      var btns = els.answerGrid.querySelectorAll('.answer-btn:not(.eliminated):not(:disabled)');
+    var idx = ANSWER_KEYS.indexOf(key.toLowerCase());
+    if (idx !== -1) {
+      // Buttons keep their original index, eliminated or not
       var allBtns = els.answerGrid.querySelectorAll('.answer-btn');
-      // Find the idx-th button by original index
       if (idx < allBtns.length && !allBtns[idx].classList.contains('eliminated') && !allBtns[idx].disabled) {
         allBtns[idx].click();
       }
-    } else if (key === '0') {
-      var allBtns = els.answerGrid.querySelectorAll('.answer-btn');
-      if (allBtns.length >= 10 && !allBtns[9].classList.contains('eliminated') && !allBtns[9].disabled) {
-        allBtns[9].click();
-      }
     } else if (key === 'r' || key === 'R') {
       handleReplay();
     } else if (key === 'h' || key === 'H') {
@@ -1261,7 +5623,9 @@ function handleKeyboard(e) {
 
 function init() {
   initDomRefs();
+  loadProfiles();
   loadData();
+  renderProfileSelect();
 
   // Mode buttons
   $$('.mode-btn').forEach(function (btn) {
@@ -1287,18 +5651,94 @@ function init() {
   });
   els.backToMenuBtn.addEventListener('click', handleBackToMenu);
 
+  // Sequence entry (dictation, chord-by-chord progressions)
+  els.sequenceUndoBtn.addEventListener('click', handleSequenceUndo);
+  els.sequenceSubmitBtn.addEventListener('click', handleSequenceSubmit);
+  els.singBtn.addEventListener('click', handleSingToggle);
+
+  // MIDI files
+  els.exportSessionBtn.addEventListener('click', handleExportSession);
+  els.exportBatchBtn.addEventListener('click', handleExportBatch);
+  els.midiFile.addEventListener('change', handleMidiFileImport);
+  els.clearSourceBtn.addEventListener('click', handleClearCustomSource);
+
+  // MIDI input
+  els.midiScanBtn.addEventListener('click', refreshMidiDevices);
+  setMidiAdapter(MidiInput.createWebMidiAdapter());
+
   // Next button
   els.nextBtn.addEventListener('click', handleNext);
 
   // Timed result buttons
   els.timedRetryBtn.addEventListener('click', handleTimedRetry);
   els.timedMenuBtn.addEventListener('click', handleBackToMenu);
+  els.dailyBtn.addEventListener('click', handleDailyStart);
+  els.dailyMenuBtn.addEventListener('click', handleBackToMenu);
 
   // Settings
   els.settingsBtn.addEventListener('click', handleSettingsOpen);
+  els.profileSelect.addEventListener('change', handleProfileChange);
+
+  // Custom drills
+  els.drillPreset.addEventListener('change', handleDrillPresetChange);
+  els.challengeFormat.addEventListener('change', handleChallengeFormatChange);
+  els.drillEditBtn.addEventListener('click', function () { handleDrillEditorOpen(false); });
+  els.drillNewBtn.addEventListener('click', function () { handleDrillEditorOpen(true); });
+  els.drillSaveBtn.addEventListener('click', handleDrillSave);
+  els.drillDeleteBtn.addEventListener('click', handleDrillDelete);
+  els.drillCancelBtn.addEventListener('click', function () { showScreen('menu'); });
+  els.drillDuration.addEventListener('input', renderDrillDuration);
+
+  // Drill links
+  els.shareLinkBtn.addEventListener('click', handleShareLink);
+  els.linkStartBtn.addEventListener('click', handleLinkStart);
+  els.linkDismissBtn.addEventListener('click', handleLinkDismiss);
+  window.addEventListener('hashchange', handleHashChange);
+  handleHashChange();
   els.settingsBackBtn.addEventListener('click', handleSettingsBack);
   els.resetScoreBtn.addEventListener('click', handleResetScore);
   els.resetStatsBtn.addEventListener('click', handleResetStats);
+  els.backupBtn.addEventListener('click', handleBackupDownload);
+  els.restoreFile.addEventListener('change', handleBackupRestore);
+
+  // Instrument selection and custom sample files
+  els.instrument.addEventListener('change', function () {
+    els.customSamplesRow.style.display = els.instrument.value === 'custom' ? '' : 'none';
+  });
+  els.customSamples.addEventListener('change', function () {
+    if (!els.customSamples.files.length) return;
+    saveCustomSampleFiles(els.customSamples.files).then(function () {
+      els.customSamples.value = '';
+      if (state.settings.instrument === 'custom' || els.instrument.value === 'custom') {
+        loadInstrument('custom');
+      }
+    }).catch(function (err) {
+      // IndexedDB refuses in some private windows and when storage is full
+      renderInstrumentError(I18n.t('instrument.saveFailed', { reason: err && err.message || I18n.t('instrument.noStorage') }));
+    });
+  });
+  els.clearSamplesBtn.addEventListener('click', function () {
+    clearCustomSampleFiles().then(function () {
+      if (state.settings.instrument === 'custom') loadInstrument('custom');
+    }).catch(function (err) {
+      renderInstrumentError(I18n.t('instrument.clearFailed', { reason: err && err.message || I18n.t('instrument.noStorage') }));
+    });
+  });
+
+  // Synth patch editor: choosing a preset fills the editor, editing marks it custom
+  els.synthPreset.addEventListener('change', function () {
+    var preset = SYNTH_PRESETS[els.synthPreset.value];
+    if (preset) applyPatchToUI(preset);
+  });
+  els.patchParams.concat([els.waveform]).forEach(function (input) {
+    input.addEventListener('input', function () {
+      if (input !== els.waveform) renderPatchValue(input);
+      els.synthPreset.value = 'custom';
+    });
+  });
+  els.patchPreviewBtn.addEventListener('click', function () {
+    previewPatch(readPatchFromUI());
+  });
 
   // Volume slider live update
   els.volumeSlider.addEventListener('input', function () {
@@ -1317,12 +5757,18 @@ function init() {
   // Keyboard
   document.addEventListener('keydown', handleKeyboard);
 
-  // Apply loaded settings to difficulty buttons
-  $$('.diff-btn').forEach(function (b) { b.classList.remove('active'); });
-  var activeBtn = document.querySelector('.diff-btn[data-difficulty="' + state.difficulty + '"]');
-  if (activeBtn) activeBtn.classList.add('active');
+  // Apply loaded settings to static text and difficulty buttons
+  renderLanguageOptions();
+  applyTranslations();
+  renderDifficultyButtons();
+  els.challengeFormat.value = state.settings.challengeFormat;
 
   renderScoreBar();
+  renderDailyStatus();
+  loadInstrument(state.settings.instrument);
+  if (state.settings.midiDevice) {
+    refreshMidiDevices().then(function () { connectMidiDevice(state.settings.midiDevice); });
+  }
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,78 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — Translations
+   ═══════════════════════════════════════════════
+   Each file in locales/ registers one language's strings by key. Lookups fall
+   back to English, then to the key itself, so a partly translated locale
+   still shows every label. No DOM dependency, so it also loads in Node:
+
+     var I18n = require('./i18n.js');
+     I18n.register('en', 'English', { 'score.streak': 'Streak: {streak}' });
+     I18n.t('score.streak', { streak: 3 }); // -> 'Streak: 3'
+*/
+
+var I18n = (function () {
+  'use strict';
+
+  var FALLBACK = 'en';
+
+  var locales = {};   // lang -> { name, strings }
+  var current = FALLBACK;
+
+  function register(lang, name, strings) {
+    locales[lang] = { name: name, strings: strings };
+  }
+
+  // Unknown languages keep the current one; returns the language in use
+  function setLanguage(lang) {
+    if (locales[lang]) current = lang;
+    return current;
+  }
+
+  function getLanguage() {
+    return current;
+  }
+
+  // [{ lang, name }] in registration order
+  function languages() {
+    return Object.keys(locales).map(function (lang) {
+      return { lang: lang, name: locales[lang].name };
+    });
+  }
+
+  function has(key) {
+    return [current, FALLBACK].some(function (lang) {
+      return !!locales[lang] && Object.prototype.hasOwnProperty.call(locales[lang].strings, key);
+    });
+  }
+
+  function lookup(key) {
+    var langs = [current, FALLBACK];
+    for (var i = 0; i < langs.length; i++) {
+      var locale = locales[langs[i]];
+      if (locale && Object.prototype.hasOwnProperty.call(locale.strings, key)) return locale.strings[key];
+    }
+    return key;
+  }
+
+  // Replaces {name} placeholders with params.name; unknown ones are left as is
+  function t(key, params) {
+    var text = lookup(key);
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, function (match, name) {
+      return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+    });
+  }
+
+  return {
+    register: register,
+    setLanguage: setLanguage,
+    getLanguage: getLanguage,
+    languages: languages,
+    has: has,
+    t: t,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
@@ -0,0 +1,445 @@
+/* Pitch Trainer — German strings (Deutsch) */
+
+I18n.register('de', 'Deutsch', {
+  // Header
+  'header.profile': 'Profil',
+  'header.stats': 'Statistik',
+  'header.settings': 'Einstellungen',
+  'profile.new': 'Neues Profil…',
+  'profile.rename': '{name} umbenennen…',
+  'profile.delete': '{name} löschen…',
+  'profile.newPrompt': 'Name für das neue Profil:',
+  'profile.renamePrompt': '{name} umbenennen in:',
+  'profile.deleteConfirm': '{name} mit der gesamten Statistik löschen? Das lässt sich nicht rückgängig machen.',
+
+  // Modes and difficulties
+  'modes.note': 'Töne',
+  'modes.interval': 'Intervalle',
+  'modes.chord': 'Akkorde',
+  'modes.scale': 'Tonleitern',
+  'modes.dictation': 'Diktat',
+  'modes.progression': 'Kadenzen',
+  'modes.degree': 'Stufen',
+  'modes.sing': 'Nachsingen',
+  'difficulty.easy': 'Leicht',
+  'difficulty.medium': 'Mittel',
+  'difficulty.hard': 'Schwer',
+  'difficulty.adaptive': 'Adaptiv',
+  'difficulty.custom': 'Eigene',
+  'challenge.timed30': '30 Sekunden',
+  'challenge.timed60': '60 Sekunden',
+  'challenge.timed120': '2 Minuten',
+  'challenge.suddenDeath': 'Sudden Death',
+  'challenge.suddenDeathLives': 'Sudden Death (3 Leben)',
+  'challenge.sprint20': 'Sprint über 20 Fragen',
+  'challenge.speed': '{format} (Tempowertung)',
+
+  // Menu
+  'menu.sharedDrill': 'Geteilte Übung',
+  'menu.start': 'Starten',
+  'menu.dismiss': 'Verwerfen',
+  'menu.chooseMode': 'Modus wählen',
+  'menu.note': 'Töne erkennen',
+  'menu.note.desc': 'Den gespielten Ton benennen',
+  'menu.interval': 'Intervalle erkennen',
+  'menu.interval.desc': 'Den Abstand zwischen zwei Tönen benennen',
+  'menu.chord': 'Akkorde erkennen',
+  'menu.chord.desc': 'Das Akkordgeschlecht benennen',
+  'menu.scale': 'Tonleitern erkennen',
+  'menu.scale.desc': 'Die Tonleiter oder Kirchentonart benennen',
+  'menu.dictation': 'Melodiediktat',
+  'menu.dictation.desc': 'Eine kurze Melodie auf dem Klavier nachspielen',
+  'menu.progression': 'Kadenzen',
+  'menu.progression.desc': 'Eine Kadenz oder Akkordfolge in Stufenziffern benennen',
+  'menu.degree': 'Tonleiterstufen',
+  'menu.degree.desc': 'Einen Ton als Stufe der Tonart hören',
+  'menu.sing': 'Nachsingen',
+  'menu.sing.desc': 'Einen Ton oder ein Intervall singen und die Intonation sehen',
+  'menu.difficulty': 'Schwierigkeit:',
+  'menu.edit': 'Bearbeiten',
+  'menu.new': 'Neu',
+  'menu.challenge': 'Wettkampf',
+  'menu.challengeFormat': 'Art des Wettkampfs',
+  'menu.customDrill': 'Eigene Übung',
+  'menu.keys': 'Tasten: 1-8 starten einen Modus, D Tagesaufgabe, Pfeile wechseln zwischen Schaltflächen, Esc zurück',
+
+  // Playing
+  'play.note': 'Welcher Ton ist das?',
+  'play.interval': 'Welches Intervall ist das?',
+  'play.chord': 'Welcher Akkord ist das?',
+  'play.scale': 'Welche Tonleiter ist das?',
+  'play.dictation': 'Spiele die Melodie auf dem Klavier nach',
+  'play.degree': 'Welche Stufe ist das?',
+  'play.degreeNewKey': 'Neue Tonart! Welche Stufe ist das?',
+  'play.progression': 'Welche Akkordfolge ist das?',
+  'play.progressionChords': 'Benenne jeden Akkord mit seiner Stufe',
+  'play.replay': 'Wiederholen',
+  'play.replaysLeft': ' (noch {count})',
+  'play.hint': 'Tipp (H)',
+  'play.scaleBtn': 'Tonleiter (S)',
+  'play.menu': 'Menü',
+  'play.exportShare': 'Exportieren & teilen',
+  'play.exportSession': 'Diese Sitzung',
+  'play.exportBatch': 'Neuer Satz mit',
+  'play.questions': 'Fragen',
+  'play.copyLink': 'Link zu dieser Übung kopieren',
+  'play.undo': 'Rückgängig',
+  'play.submit': 'Abgeben (Enter)',
+  'play.dailyProgress': 'Tagesaufgabe · Frage {index} von {total}',
+  'play.sharedDrill': 'Geteilte Übung: {drill}',
+  'play.customDrill': 'Eigene Übung: {name}',
+  'play.drill': 'Übung: {items}',
+  'play.adaptive': 'Lerne {count} von {total} · neu: {newest}',
+  'play.entered': '{item}, {count} von {total}',
+  'play.announce': 'Frage {number}. {question}',
+  'play.question': 'Frage',
+  'play.challengeProgress': 'Fortschritt im Wettkampf',
+  'play.questionCount': 'Anzahl der Fragen',
+  'export.session': 'Pitch Trainer — {mode}, diese Sitzung',
+  'export.batch': 'Pitch Trainer — {count} × {mode}',
+  'share.copied': 'Link kopiert',
+  'share.adaptiveAsMedium': ' (Adaptiv wird als Mittel geteilt)',
+  'share.restarted': ' — mit den geteilten Fragen neu gestartet',
+  'share.copyPrompt': 'Diesen Link kopieren:',
+  'link.octaves': 'Oktaven {min}–{max}',
+  'link.challenge': 'Wettkampf: {format}',
+  'confirm.leaveDaily': 'Die Tagesaufgabe verlassen? Der heutige Versuch zählt trotzdem und kann nicht wiederholt werden.',
+  'confirm.leaveChallenge': 'Diesen Wettkampf verlassen? Der Durchgang wird nicht gewertet.',
+  'keys.sing': 'Tasten: Enter singen / stoppen, R wiederholen, H Tipp (spielt das Ziel)',
+  'keys.dictation': 'Tasten: Klavier anklicken zum Eingeben, Rücktaste löschen, Enter abgeben, R wiederholen, H Tipp',
+  'keys.chords': 'Tasten: 1-9/0 und Q-P Akkord hinzufügen, Rücktaste löschen, Enter abgeben, R wiederholen, H Tipp',
+  'keys.note': 'Tasten: 1-9/0, Q-P oder Klavier antworten, R wiederholen, H Tipp, S Tonleiter',
+  'keys.answer': 'Tasten: 1-9/0 und Q-P antworten, R wiederholen, H Tipp, S Tonleiter',
+  'score.points': '{points} Pkt.',
+  'score.streak': 'Serie: {streak} | Rekord: {best}',
+
+  // Sing-back
+  'sing.sing': 'Singen',
+  'sing.stop': 'Stopp',
+  'sing.listening': 'Hört zu…',
+  'sing.ready': 'Singen (oder Enter) drücken, dann den Ton halten',
+  'sing.playNote': 'Singe diesen Ton nach',
+  'sing.nameNote': 'Singe {note}',
+  'sing.playInterval': 'Singe den zweiten Ton nach',
+  'sing.above': 'Singe aufwärts ab {note}: {interval}',
+  'sing.below': 'Singe abwärts ab {note}: {interval}',
+  'sing.inTune': 'Sauber!',
+  'sing.outOfTune': 'Unsauber',
+  'sing.noPitch': 'Kein Ton erkannt',
+  'sing.noPitchDetail': 'Es wurde kein gehaltener Ton erkannt. Das Ziel war {target}.',
+  'sing.sang': 'Du hast {note} gesungen, {cents} neben {target} (±{tolerance}¢ zählen).',
+  'sing.interval': '{interval} von {note}.',
+  'sing.waiting': 'Warte auf das Mikrofon…',
+  'sing.noMicrophone': 'Mikrofon nicht verfügbar — erlaube den Mikrofonzugriff und versuche es noch einmal.',
+
+  // Results
+  'result.correct': 'Richtig!',
+  'result.incorrect': 'Falsch',
+  'result.partly': 'Teilweise richtig',
+  'result.answerWas': 'Die Antwort war {answer}.',
+  'result.youAnswered': 'Du hast {given} geantwortet. Richtig war {answer}.',
+  'result.playedIn': 'Gespielt in {inversion}, Lage: {voicing}.',
+  'result.key': 'Tonart: {key}.',
+  'result.keyNote': 'Tonart: {key}, Ton: {note}.',
+  'result.notesCorrect': '{correct} von {total} Tönen richtig ({pct} %).',
+  'result.chordsCorrect': '{correct} von {total} Akkorden richtig ({pct} %).',
+  'result.unlocked': 'Neu freigeschaltet: {item}!',
+  'result.melody': 'Melodie',
+  'result.played': 'Gespielt',
+  'result.you': 'Du',
+  'result.next': 'Weiter (Leertaste)',
+  'result.finish': 'Fertig (Leertaste)',
+  'result.title': 'Ergebnis',
+  'key.major': '{tonic}-Dur',
+  'inversion.0': 'Grundstellung',
+  'inversion.1': '1. Umkehrung',
+  'inversion.2': '2. Umkehrung',
+  'inversion.3': '3. Umkehrung',
+  'voicing.close': 'eng',
+  'voicing.drop2': 'Drop 2',
+  'voicing.open': 'weit',
+
+  // Challenge and daily results
+  'countdown.lives': 'Sudden Death: {lives} Leben',
+  'countdown.sprint': '{questions} Fragen gegen die Uhr',
+  'countdown.clock': '{format} auf der Uhr',
+  'countdown.ready': 'Achtung. {format}',
+  'timed.outOfLives': 'Keine Leben mehr!',
+  'timed.sprintDone': 'Sprint geschafft!',
+  'timed.timeUp': 'Zeit abgelaufen!',
+  'timed.totalTime': 'Gesamtzeit',
+  'timed.points': 'Punkte',
+  'timed.correctAnswers': 'richtige Antworten',
+  'timed.accuracy': '{correct} von {total} richtig ({pct} %)',
+  'timed.penalty': ' · +{time} für falsche Antworten',
+  'timed.median': ' · mittlere Antwortzeit {time}',
+  'timed.secondsLeft': 'Noch {seconds} Sekunden',
+  'timed.livesLeft': 'noch {lives} Leben',
+  'timed.newBest': 'Neuer Rekord!',
+  'timed.best': 'Rekord ({format}, {difficulty}): {score}',
+  'timed.retry': 'Nochmal',
+  'daily.title': 'Tagesaufgabe',
+  'daily.done': 'Heute erledigt: {correct} / {total}',
+  'daily.intro': '{total} gemischte Fragen, heute für alle gleich',
+  'daily.streakSuffix': ' · {streak} Tage in Folge',
+  'daily.summary': '{pct} % richtig in {time}',
+  'daily.stopped': 'Nach {answered} von {total} Fragen beendet',
+  'daily.streak': 'Tage in Folge: {current} | Rekord: {best}',
+  'daily.next': 'Morgen gibt es eine neue Aufgabe.',
+
+  // Statistics
+  'stats.title': 'Statistik',
+  'stats.overview': 'Übersicht',
+  'stats.progress': 'Verlauf',
+  'stats.back': 'Zurück',
+  'stats.questionsAnswered': 'Beantwortete Fragen',
+  'stats.overallAccuracy': 'Trefferquote gesamt',
+  'stats.totalCorrect': 'Richtig gesamt',
+  'stats.dueForReview': 'Zur Wiederholung fällig',
+  'stats.bestStreak': 'Beste Serie ({mode})',
+  'stats.challengeBests': 'Wettkampf-Rekorde · {format} · {difficulty}',
+  'stats.bestsTitle': 'Wettkampf-Rekorde',
+  'stats.format': 'Format',
+  'stats.difficulty': 'Schwierigkeit',
+  'stats.best': 'Rekord',
+  'stats.notRecorded': 'Nicht erfasst',
+  'stats.areasToPractice': 'Zum Üben',
+  'stats.weakItem': '{name} ({mode}) – {pct} % ({correct}/{total})',
+  'stats.empty': 'Noch keine Daten. Spiele ein paar Runden, um deine Statistik zu sehen!',
+  'stats.medianTime': 'Mittlere Antwortzeit (richtige Antworten)',
+  'stats.focusAreas': 'Schwerpunkte',
+  'stats.accuracy': '{name} – {pct} % richtig ({correct}/{total})',
+  'stats.confusion': 'Du hörst {heard} in {pct} % der Fälle als {answered} ({count}/{total})',
+  'stats.drill': 'Üben',
+  'stats.confusionMatrix': 'Verwechslungsmatrix',
+  'stats.confusionCorner': 'gehört ↓ geantwortet →',
+  'stats.confusionCell': '{heard} als {answered} beantwortet: {count}/{total} ({pct} %)',
+  'stats.frontier': 'Adaptiver Lernstand',
+  'stats.frontierSummary': '{count} von {total} freigeschaltet',
+  'stats.frontierAnswers': '{count} Antworten',
+  'stats.frontierNext': 'Als Nächstes: {item} — wird freigeschaltet, wenn alles oben {pct} % bei mindestens {answers} Antworten erreicht.',
+  'stats.frontierDone': 'Alles freigeschaltet!',
+
+  // Progress charts
+  'progress.allModes': 'Alle Modi',
+  'progress.allItems': 'Alle Elemente',
+  'progress.mode': 'Modus',
+  'progress.item': 'Element',
+  'progress.range': 'Zeitraum',
+  'progress.groupBy': 'Gruppieren nach',
+  'progress.range.7': 'Letzte 7 Tage',
+  'progress.range.30': 'Letzte 30 Tage',
+  'progress.range.90': 'Letzte 90 Tage',
+  'progress.range.365': 'Letztes Jahr',
+  'progress.range.0': 'Gesamter Zeitraum',
+  'progress.day': 'Täglich',
+  'progress.week': 'Wöchentlich',
+  'progress.empty': 'In diesem Zeitraum wurden noch keine Antworten erfasst.',
+  'progress.accuracy': 'Trefferquote',
+  'progress.answers': 'Antworten',
+  'progress.rolling.day': 'Gleitender Durchschnitt über {count} Tage',
+  'progress.rolling.week': 'Gleitender Durchschnitt über {count} Wochen',
+  'progress.rolling.run': 'Gleitender Durchschnitt über {count} Durchgänge',
+  'progress.challenge': 'Wettkampf: {format}',
+  'progress.challengeSeconds': 'Wettkampf: {format}, Sekunden (weniger ist besser)',
+  'progress.allModesSuffix': ' (alle Modi)',
+  'progress.score': 'Punkte',
+
+  // Custom drill editor
+  'drill.title': 'Eigene Übung',
+  'drill.new': 'Neue eigene Übung',
+  'drill.edit': 'Eigene Übung bearbeiten',
+  'drill.name': 'Name:',
+  'drill.namePlaceholder': 'z. B. kl3 gegen gr3',
+  'drill.notes': 'Töne',
+  'drill.intervals': 'Intervalle',
+  'drill.chords': 'Akkorde',
+  'drill.inversions': 'Auch in jeder Umkehrung',
+  'drill.duration': 'Tondauer:',
+  'drill.replays': 'Wiederholungen:',
+  'drill.unlimited': 'Unbegrenzt',
+  'drill.noReplays': 'Keine',
+  'drill.hint': 'Töne, Intervalle und Akkorde erkennen verwenden genau das Angekreuzte. Andere Modi, oder einer ohne Auswahl, nutzen die Auswahl von Mittel in diesem Tempo.',
+  'drill.save': 'Speichern',
+  'drill.delete': 'Löschen',
+  'drill.cancel': 'Abbrechen',
+  'drill.needName': 'Gib der Übung einen Namen.',
+  'drill.needItems': 'Kreuze mindestens einen Ton, ein Intervall oder einen Akkord an.',
+  'drill.deleteConfirm': 'Die eigene Übung {name} löschen?',
+
+  // Settings
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache:',
+  'settings.noteNames': 'Tonnamen:',
+  'settings.noteNames.english': 'Englisch (C D E … B)',
+  'settings.noteNames.german': 'Deutsch (C D E … H, B für Bb)',
+  'settings.noteNames.solfege': 'Feste Solmisation (Do Re Mi)',
+  'settings.accidentals': 'Schwarze Tasten als:',
+  'settings.accidentals.sharps': 'Kreuze (Cis, Dis …)',
+  'settings.accidentals.flats': 'Bs (Des, Es …)',
+  'settings.accidentals.context': 'Passend zur Tonart',
+  'settings.octaveRange': 'Oktavbereich:',
+  'settings.to': 'bis',
+  'settings.volume': 'Lautstärke:',
+  'settings.refTone': 'Stimmton (A4) vor jeder Frage:',
+  'settings.synthPatch': 'Klangfarbe:',
+  'settings.synthPatch.classic': 'Klassisch',
+  'settings.synthPatch.organ': 'Orgel',
+  'settings.synthPatch.strings': 'Streicher',
+  'settings.synthPatch.bell': 'Glocke (FM)',
+  'settings.synthPatch.plucked': 'Gezupft',
+  'settings.synthPatch.custom': 'Eigene',
+  'settings.preview': 'Anhören',
+  'settings.advancedSynth': 'Erweiterte Klangeinstellungen',
+  'settings.waveform': 'Wellenform:',
+  'settings.waveform.triangle': 'Dreieck',
+  'settings.waveform.sine': 'Sinus',
+  'settings.waveform.square': 'Rechteck',
+  'settings.waveform.sawtooth': 'Sägezahn',
+  'settings.patch.attack': 'Einschwingzeit:',
+  'settings.patch.decay': 'Abklingzeit:',
+  'settings.patch.sustain': 'Haltepegel:',
+  'settings.patch.release': 'Ausklingzeit:',
+  'settings.patch.cutoff': 'Filtergrenze (× Tonhöhe):',
+  'settings.patch.resonance': 'Filterresonanz (Q):',
+  'settings.patch.detune': 'Chorus-Verstimmung:',
+  'settings.patch.harmonic2': '2. Teilton:',
+  'settings.patch.harmonic3': '3. Teilton:',
+  'settings.patch.harmonic4': '4. Teilton:',
+  'settings.patch.fmRatio': 'FM-Verhältnis:',
+  'settings.patch.fmIndex': 'FM-Tiefe:',
+  'settings.instrument': 'Instrument:',
+  'settings.sampleFiles': 'Sample-Dateien (nach Tonhöhe benannt, z. B. C4.wav):',
+  'settings.clear': 'Entfernen',
+  'settings.midiInput': 'MIDI-Eingang:',
+  'settings.findDevices': 'Geräte suchen',
+  'settings.midiSound': 'MIDI-Töne hörbar machen:',
+  'settings.questionSource': 'Fragenquelle (MIDI-Datei):',
+  'settings.useSource': 'Töne, Intervalle und Diktatmelodien aus der importierten Datei nehmen:',
+  'settings.timedScoring': 'Wertung im Wettkampf (30 s, 60 s, 2 min):',
+  'settings.timedScoring.count': 'Ein Punkt pro richtiger Antwort',
+  'settings.timedScoring.speed': 'Schnellere Antworten bringen mehr',
+  'settings.spacedRepetition': 'Fällige & schwache Elemente bevorzugen (verteilte Wiederholung):',
+  'settings.nameInversions': 'Umkehrung beim Akkorderkennen benennen:',
+  'settings.progressionAnswer': 'Antworten bei Kadenzen:',
+  'settings.progressionAnswer.whole': 'Ganze Folge',
+  'settings.progressionAnswer.chords': 'Akkord für Akkord',
+  'settings.degreeLabels': 'Antworten bei Stufen:',
+  'settings.degreeLabels.numbers': 'Zahlen (1–7)',
+  'settings.degreeLabels.solfege': 'Relative Solmisation',
+  'settings.keyContext': 'Tonartbezug für Stufen:',
+  'settings.keyContext.cadence': 'Kadenz vor jeder Frage',
+  'settings.keyContext.drone': 'Grundton-Bordun unter jeder Frage',
+  'settings.keyContext.keyChange': 'Kadenz nur bei Tonartwechsel',
+  'settings.singPrompt': 'Vorgabe beim Nachsingen:',
+  'settings.singPrompt.play': 'Zielton vorspielen',
+  'settings.singPrompt.name': 'Zielton nur benennen',
+  'settings.backup': 'Sicherung (Punkte, Statistik, Einstellungen):',
+  'settings.download': 'Herunterladen',
+  'settings.restore': 'Wiederherstellen',
+  'settings.resetScore': 'Punkte & Serie zurücksetzen',
+  'settings.resetStats': 'Gesamte Statistik zurücksetzen',
+  'settings.back': 'Zurück',
+
+  // Instruments, MIDI and saved data
+  'instrument.synth': 'Synthesizer (Oszillator)',
+  'instrument.custom': 'Eigene Samples',
+  'instrument.loading': 'Lade Samples für {instrument}…',
+  'instrument.unavailable': 'Samples für {instrument} nicht verfügbar — Synthesizer wird verwendet',
+  'instrument.loaded': '{instrument}: {count} Samples geladen',
+  'instrument.saveFailed': 'Sample-Dateien konnten nicht gespeichert werden: {reason}',
+  'instrument.clearFailed': 'Sample-Dateien konnten nicht entfernt werden: {reason}',
+  'instrument.noStorage': 'Speicher nicht verfügbar',
+  'midi.none': 'Keiner',
+  'midi.savedDevice': 'Gespeichertes Gerät (nicht verbunden)',
+  'midi.connected': 'Verbunden',
+  'midi.notConnected': 'Nicht verbunden — Gerät anschließen oder ein anderes wählen',
+  'midi.unavailable': 'MIDI nicht verfügbar: {reason}',
+  'midiFile.none': 'Keine Datei importiert',
+  'midiFile.loaded': '{name} — {count} Töne',
+  'midiFile.noMelody': 'Keine Melodie in {name} gefunden',
+  'data.saveFull': 'Fortschritt wird nicht gespeichert: Der Browserspeicher ist voll. Lade in den Einstellungen eine Sicherung herunter, um ihn zu behalten.',
+  'data.saveUnavailable': 'Fortschritt wird nicht gespeichert: Der Browserspeicher ist nicht verfügbar. Lade in den Einstellungen eine Sicherung herunter, um ihn zu behalten.',
+  'data.repaired': 'Gespeicherte Daten wurden repariert: {repairs}.',
+  'data.unreadable': 'Gespeicherte Daten konnten nicht gelesen werden ({reason}). Neuer Start; die alten Daten liegen unter „{key}“ im Browserspeicher.',
+  'data.newerVersion': 'Diese Daten stammen von einer neueren Version von Pitch Trainer',
+  'data.notData': 'Keine Pitch-Trainer-Daten',
+  'data.notBackup': 'Keine Pitch-Trainer-Sicherung',
+  'data.backupDownloaded': 'Sicherung heruntergeladen.',
+  'data.restoreConfirm': 'Alle Punkte, Statistiken und Einstellungen durch den Inhalt von {name} ersetzen?',
+  'data.restored': 'Aus {name} wiederhergestellt.',
+  'data.restoredRepairs': 'Aus {name} wiederhergestellt, mit Reparaturen: {repairs}.',
+  'data.restoreFailed': 'Wiederherstellen fehlgeschlagen: {reason}',
+  'repair.reset': '{field} war ungültig und wurde zurückgesetzt',
+  'repair.bestStreak': 'Beste Serien',
+  'repair.settings': 'Einstellungen',
+  'repair.setting': 'Einstellung „{name}“',
+  'repair.patch': 'Klangparameter „{name}“',
+  'repair.stats': 'Statistik',
+  'repair.statsPart': 'Statistik „{name}“',
+  'repair.drills': '{count} fehlerhafte eigene Übungen wurden entfernt',
+  'repair.source': 'Die importierte MIDI-Fragenquelle war ungültig und wurde entfernt',
+  'repair.log': '{count} fehlerhafte Einträge im Antwortprotokoll wurden entfernt',
+  'repair.runs': '{count} fehlerhafte Wettkampfergebnisse wurden entfernt',
+  'repair.bests': '{count} fehlerhafte Wettkampfrekorde wurden entfernt',
+  'repair.daily': 'Ein fehlerhaftes Ergebnis der Tagesaufgabe wurde entfernt',
+  'repair.compacted': 'Zusammengefasste Antwortzahlen waren ungültig und wurden zurückgesetzt',
+
+  // Answers and piano
+  'interval.0': 'Prime',
+  'interval.1': 'Kleine Sekunde',
+  'interval.2': 'Große Sekunde',
+  'interval.3': 'Kleine Terz',
+  'interval.4': 'Große Terz',
+  'interval.5': 'Reine Quarte',
+  'interval.6': 'Tritonus',
+  'interval.7': 'Reine Quinte',
+  'interval.8': 'Kleine Sexte',
+  'interval.9': 'Große Sexte',
+  'interval.10': 'Kleine Septime',
+  'interval.11': 'Große Septime',
+  'interval.12': 'Oktave',
+  'chord.Major': 'Dur',
+  'chord.Minor': 'Moll',
+  'chord.Dim': 'Vermindert',
+  'chord.Aug': 'Übermäßig',
+  'chord.Dom7': 'Dom7',
+  'chord.Maj7': 'Maj7',
+  'chord.Min7': 'Moll7',
+  'chord.Dim7': 'Verm7',
+  'chord.m7b5': 'm7b5',
+  'chord.Sus2': 'Sus2',
+  'chord.Sus4': 'Sus4',
+  'inversionShort.0': 'Grundst.',
+  'inversionShort.1': '1. Umk.',
+  'inversionShort.2': '2. Umk.',
+  'inversionShort.3': '3. Umk.',
+  'answer.inversion': '{name} ({inversion})',
+  'scale.Major': 'Dur',
+  'scale.Natural Minor': 'Natürliches Moll',
+  'scale.Harmonic Minor': 'Harmonisches Moll',
+  'scale.Melodic Minor': 'Melodisches Moll',
+  'scale.Major Pent.': 'Dur-Pent.',
+  'scale.Minor Pent.': 'Moll-Pent.',
+  'scale.Blues': 'Blues',
+  'scale.Dorian': 'Dorisch',
+  'scale.Phrygian': 'Phrygisch',
+  'scale.Lydian': 'Lydisch',
+  'scale.Mixolydian': 'Mixolydisch',
+  'scale.Locrian': 'Lokrisch',
+  'scale.Whole Tone': 'Ganzton',
+  'scale.Diminished': 'Vermindert',
+  'answer.desc': '{name} (abwärts)',
+  'answer.notes': '{count} Töne',
+  'midi.unknownChord': 'Akkord nicht erkannt: {notes}',
+  'midi.notAChoice': 'Du hast {answer} gespielt, das ist keine der Antworten',
+  'piano.input': 'Klaviertastatur, Taste mit den Pfeiltasten wählen',
+  'piano.display': 'Klaviertastatur',
+  'piano.highlights': 'Klavier: {keys}',
+  'highlight.correct-key': 'richtig',
+  'highlight.incorrect-key': 'falsch',
+  'highlight.missed-key': 'verpasst',
+  'highlight.tonic-key': 'Grundton',
+  'highlight.hint-key': 'Tipp',
+  'highlight.other': 'markiert',
+});
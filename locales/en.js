@@ -0,0 +1,445 @@
+/* Pitch Trainer — English strings (the reference every other locale falls back to) */
+
+I18n.register('en', 'English', {
+  // Header
+  'header.profile': 'Profile',
+  'header.stats': 'Statistics',
+  'header.settings': 'Settings',
+  'profile.new': 'New profile…',
+  'profile.rename': 'Rename {name}…',
+  'profile.delete': 'Delete {name}…',
+  'profile.newPrompt': 'Name for the new profile:',
+  'profile.renamePrompt': 'Rename {name} to:',
+  'profile.deleteConfirm': 'Delete {name} and all of its statistics? This cannot be undone.',
+
+  // Modes and difficulties
+  'modes.note': 'Notes',
+  'modes.interval': 'Intervals',
+  'modes.chord': 'Chords',
+  'modes.scale': 'Scales',
+  'modes.dictation': 'Dictation',
+  'modes.progression': 'Progressions',
+  'modes.degree': 'Degrees',
+  'modes.sing': 'Sing-back',
+  'difficulty.easy': 'Easy',
+  'difficulty.medium': 'Medium',
+  'difficulty.hard': 'Hard',
+  'difficulty.adaptive': 'Adaptive',
+  'difficulty.custom': 'Custom',
+  'challenge.timed30': '30 seconds',
+  'challenge.timed60': '60 seconds',
+  'challenge.timed120': '2 minutes',
+  'challenge.suddenDeath': 'Sudden death',
+  'challenge.suddenDeathLives': 'Sudden death (3 lives)',
+  'challenge.sprint20': '20-question sprint',
+  'challenge.speed': '{format} (speed scoring)',
+
+  // Menu
+  'menu.sharedDrill': 'Shared drill',
+  'menu.start': 'Start',
+  'menu.dismiss': 'Dismiss',
+  'menu.chooseMode': 'Choose a Mode',
+  'menu.note': 'Note ID',
+  'menu.note.desc': 'Identify the played note',
+  'menu.interval': 'Interval ID',
+  'menu.interval.desc': 'Identify the interval between two notes',
+  'menu.chord': 'Chord ID',
+  'menu.chord.desc': 'Identify the chord quality',
+  'menu.scale': 'Scale ID',
+  'menu.scale.desc': 'Identify the scale or mode',
+  'menu.dictation': 'Melodic Dictation',
+  'menu.dictation.desc': 'Play back a short melody on the piano',
+  'menu.progression': 'Progressions',
+  'menu.progression.desc': 'Identify a cadence or progression in Roman numerals',
+  'menu.degree': 'Scale Degrees',
+  'menu.degree.desc': 'Hear a note as a degree of the key',
+  'menu.sing': 'Sing-back',
+  'menu.sing.desc': 'Sing a note or interval and see your tuning',
+  'menu.difficulty': 'Difficulty:',
+  'menu.edit': 'Edit',
+  'menu.new': 'New',
+  'menu.challenge': 'Challenge',
+  'menu.challengeFormat': 'Challenge format',
+  'menu.customDrill': 'Custom drill',
+  'menu.keys': 'Keys: 1-8 start a mode, D daily challenge, arrows move between buttons, Esc goes back',
+
+  // Playing
+  'play.note': 'What note is this?',
+  'play.interval': 'What interval is this?',
+  'play.chord': 'What chord is this?',
+  'play.scale': 'What scale is this?',
+  'play.dictation': 'Play the melody back on the piano',
+  'play.degree': 'Which scale degree is this?',
+  'play.degreeNewKey': 'New key! Which scale degree is this?',
+  'play.progression': 'Which progression is this?',
+  'play.progressionChords': 'Name each chord in Roman numerals',
+  'play.replay': 'Replay',
+  'play.replaysLeft': ' ({count} left)',
+  'play.hint': 'Hint (H)',
+  'play.scaleBtn': 'Scale (S)',
+  'play.menu': 'Menu',
+  'play.exportShare': 'Export & share',
+  'play.exportSession': 'This session',
+  'play.exportBatch': 'New set of',
+  'play.questions': 'questions',
+  'play.copyLink': 'Copy link to this drill',
+  'play.undo': 'Undo',
+  'play.submit': 'Submit (Enter)',
+  'play.dailyProgress': 'Daily Challenge · question {index} of {total}',
+  'play.sharedDrill': 'Shared drill: {drill}',
+  'play.customDrill': 'Custom drill: {name}',
+  'play.drill': 'Drill: {items}',
+  'play.adaptive': 'Learning {count} of {total} · newest: {newest}',
+  'play.entered': '{item}, {count} of {total}',
+  'play.announce': 'Question {number}. {question}',
+  'play.question': 'Question',
+  'play.challengeProgress': 'Challenge progress',
+  'play.questionCount': 'Number of questions',
+  'export.session': 'Pitch Trainer — {mode} session',
+  'export.batch': 'Pitch Trainer — {count} {mode}',
+  'share.copied': 'Link copied',
+  'share.adaptiveAsMedium': ' (Adaptive is shared as Medium)',
+  'share.restarted': ' — restarted on the shared questions',
+  'share.copyPrompt': 'Copy this link:',
+  'link.octaves': 'octaves {min}–{max}',
+  'link.challenge': 'challenge: {format}',
+  'confirm.leaveDaily': "Leave the Daily Challenge? Today's attempt still counts and can't be played again.",
+  'confirm.leaveChallenge': "Leave this challenge? The run won't be scored.",
+  'keys.sing': 'Keys: Enter sing / stop, R replay, H hint (plays the target)',
+  'keys.dictation': 'Keys: click piano to enter, Backspace undo, Enter submit, R replay, H hint',
+  'keys.chords': 'Keys: 1-9/0 and Q-P add chord, Backspace undo, Enter submit, R replay, H hint',
+  'keys.note': 'Keys: 1-9/0, Q-P or piano answer, R replay, H hint, S scale',
+  'keys.answer': 'Keys: 1-9/0 and Q-P answer, R replay, H hint, S scale',
+  'score.points': '{points} pts',
+  'score.streak': 'Streak: {streak} | Best: {best}',
+
+  // Sing-back
+  'sing.sing': 'Sing',
+  'sing.stop': 'Stop',
+  'sing.listening': 'Listening…',
+  'sing.ready': 'Press Sing (or Enter), then hold the note',
+  'sing.playNote': 'Sing this note back',
+  'sing.nameNote': 'Sing {note}',
+  'sing.playInterval': 'Sing the second note back',
+  'sing.above': 'Sing the {interval} above {note}',
+  'sing.below': 'Sing the {interval} below {note}',
+  'sing.inTune': 'In Tune!',
+  'sing.outOfTune': 'Out of Tune',
+  'sing.noPitch': 'No Pitch Heard',
+  'sing.noPitchDetail': 'No steady pitch was heard. The target was {target}.',
+  'sing.sang': 'You sang {note}, {cents} from {target} (within ±{tolerance}¢ counts).',
+  'sing.interval': '{interval} from {note}.',
+  'sing.waiting': 'Waiting for the microphone…',
+  'sing.noMicrophone': 'Microphone unavailable — allow microphone access and try again.',
+
+  // Results
+  'result.correct': 'Correct!',
+  'result.incorrect': 'Incorrect',
+  'result.partly': 'Partly Correct',
+  'result.answerWas': 'The answer was {answer}.',
+  'result.youAnswered': 'You answered {given}. The correct answer was {answer}.',
+  'result.playedIn': 'Played in {inversion}, {voicing} voicing.',
+  'result.key': 'Key: {key}.',
+  'result.keyNote': 'Key: {key}, note: {note}.',
+  'result.notesCorrect': '{correct} of {total} notes correct ({pct}%).',
+  'result.chordsCorrect': '{correct} of {total} chords correct ({pct}%).',
+  'result.unlocked': 'New item unlocked: {item}!',
+  'result.melody': 'Melody',
+  'result.played': 'Played',
+  'result.you': 'You',
+  'result.next': 'Next (Space)',
+  'result.finish': 'Finish (Space)',
+  'result.title': 'Result',
+  'key.major': '{tonic} major',
+  'inversion.0': 'root position',
+  'inversion.1': '1st inversion',
+  'inversion.2': '2nd inversion',
+  'inversion.3': '3rd inversion',
+  'voicing.close': 'close',
+  'voicing.drop2': 'drop-2',
+  'voicing.open': 'open',
+
+  // Challenge and daily results
+  'countdown.lives': 'Sudden death: {lives} lives',
+  'countdown.sprint': '{questions} questions against the clock',
+  'countdown.clock': '{format} on the clock',
+  'countdown.ready': 'Get ready. {format}',
+  'timed.outOfLives': 'Out of Lives!',
+  'timed.sprintDone': 'Sprint Complete!',
+  'timed.timeUp': "Time's Up!",
+  'timed.totalTime': 'total time',
+  'timed.points': 'points',
+  'timed.correctAnswers': 'correct answers',
+  'timed.accuracy': '{correct} of {total} correct ({pct}%)',
+  'timed.penalty': ' · +{time} for wrong answers',
+  'timed.median': ' · median response {time}',
+  'timed.secondsLeft': '{seconds} seconds left',
+  'timed.livesLeft': '{lives} lives left',
+  'timed.newBest': 'New Best Score!',
+  'timed.best': 'Best ({format}, {difficulty}): {score}',
+  'timed.retry': 'Try Again',
+  'daily.title': 'Daily Challenge',
+  'daily.done': 'Done today: {correct} / {total}',
+  'daily.intro': '{total} mixed questions, the same for everyone today',
+  'daily.streakSuffix': ' · {streak}-day streak',
+  'daily.summary': '{pct}% correct in {time}',
+  'daily.stopped': 'Stopped after {answered} of {total} questions',
+  'daily.streak': 'Daily streak: {current} | Best: {best}',
+  'daily.next': 'A new challenge unlocks tomorrow.',
+
+  // Statistics
+  'stats.title': 'Statistics',
+  'stats.overview': 'Overview',
+  'stats.progress': 'Progress',
+  'stats.back': 'Back',
+  'stats.questionsAnswered': 'Questions Answered',
+  'stats.overallAccuracy': 'Overall Accuracy',
+  'stats.totalCorrect': 'Total Correct',
+  'stats.dueForReview': 'Due for Review',
+  'stats.bestStreak': 'Best Streak ({mode})',
+  'stats.challengeBests': 'Challenge Bests · {format} · {difficulty}',
+  'stats.bestsTitle': 'Challenge Bests',
+  'stats.format': 'Format',
+  'stats.difficulty': 'Difficulty',
+  'stats.best': 'Best',
+  'stats.notRecorded': 'Not recorded',
+  'stats.areasToPractice': 'Areas to Practice',
+  'stats.weakItem': '{name} ({mode}) - {pct}% ({correct}/{total})',
+  'stats.empty': 'No data yet. Play some rounds to see your stats!',
+  'stats.medianTime': 'Median response time (correct answers)',
+  'stats.focusAreas': 'Focus Areas',
+  'stats.accuracy': '{name} - {pct}% accuracy ({correct}/{total})',
+  'stats.confusion': 'You hear {heard} as {answered} {pct}% of the time ({count}/{total})',
+  'stats.drill': 'Drill',
+  'stats.confusionMatrix': 'Confusion Matrix',
+  'stats.confusionCorner': 'heard ↓ answered →',
+  'stats.confusionCell': '{heard} answered as {answered}: {count}/{total} ({pct}%)',
+  'stats.frontier': 'Adaptive Frontier',
+  'stats.frontierSummary': '{count} of {total} items unlocked',
+  'stats.frontierAnswers': '{count} answers',
+  'stats.frontierNext': 'Next up: {item} — unlocks when every item above reaches {pct}% over at least {answers} answers.',
+  'stats.frontierDone': 'Everything unlocked!',
+
+  // Progress charts
+  'progress.allModes': 'All modes',
+  'progress.allItems': 'All items',
+  'progress.mode': 'Mode',
+  'progress.item': 'Item',
+  'progress.range': 'Date range',
+  'progress.groupBy': 'Group by',
+  'progress.range.7': 'Last 7 days',
+  'progress.range.30': 'Last 30 days',
+  'progress.range.90': 'Last 90 days',
+  'progress.range.365': 'Last year',
+  'progress.range.0': 'All time',
+  'progress.day': 'Daily',
+  'progress.week': 'Weekly',
+  'progress.empty': 'No answers logged in this range yet.',
+  'progress.accuracy': 'Accuracy',
+  'progress.answers': 'Answers',
+  'progress.rolling.day': '{count}-day rolling average',
+  'progress.rolling.week': '{count}-week rolling average',
+  'progress.rolling.run': '{count}-run rolling average',
+  'progress.challenge': 'Challenge: {format}',
+  'progress.challengeSeconds': 'Challenge: {format}, seconds (lower is better)',
+  'progress.allModesSuffix': ' (all modes)',
+  'progress.score': 'Score',
+
+  // Custom drill editor
+  'drill.title': 'Custom Drill',
+  'drill.new': 'New Custom Drill',
+  'drill.edit': 'Edit Custom Drill',
+  'drill.name': 'Name:',
+  'drill.namePlaceholder': 'e.g. m3 vs M3',
+  'drill.notes': 'Notes',
+  'drill.intervals': 'Intervals',
+  'drill.chords': 'Chords',
+  'drill.inversions': 'Also in every inversion',
+  'drill.duration': 'Note duration:',
+  'drill.replays': 'Replays:',
+  'drill.unlimited': 'Unlimited',
+  'drill.noReplays': 'None',
+  'drill.hint': 'Note ID, Interval ID and Chord ID use exactly what is ticked. Other modes, or one with nothing ticked, use the Medium pool at this tempo.',
+  'drill.save': 'Save',
+  'drill.delete': 'Delete',
+  'drill.cancel': 'Cancel',
+  'drill.needName': 'Give the drill a name.',
+  'drill.needItems': 'Tick at least one note, interval or chord.',
+  'drill.deleteConfirm': 'Delete the custom drill {name}?',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.language': 'Language:',
+  'settings.noteNames': 'Note names:',
+  'settings.noteNames.english': 'English (C D E … B)',
+  'settings.noteNames.german': 'German (C D E … H, B for Bb)',
+  'settings.noteNames.solfege': 'Fixed-do solfège (Do Re Mi)',
+  'settings.accidentals': 'Black keys as:',
+  'settings.accidentals.sharps': 'Sharps',
+  'settings.accidentals.flats': 'Flats',
+  'settings.accidentals.context': 'Spelled for the key',
+  'settings.octaveRange': 'Octave Range:',
+  'settings.to': 'to',
+  'settings.volume': 'Volume:',
+  'settings.refTone': 'Reference Tone (A4) before each question:',
+  'settings.synthPatch': 'Synth patch:',
+  'settings.synthPatch.classic': 'Classic',
+  'settings.synthPatch.organ': 'Organ',
+  'settings.synthPatch.strings': 'Strings',
+  'settings.synthPatch.bell': 'Bell (FM)',
+  'settings.synthPatch.plucked': 'Plucked',
+  'settings.synthPatch.custom': 'Custom',
+  'settings.preview': 'Preview',
+  'settings.advancedSynth': 'Advanced synth settings',
+  'settings.waveform': 'Waveform:',
+  'settings.waveform.triangle': 'Triangle',
+  'settings.waveform.sine': 'Sine',
+  'settings.waveform.square': 'Square',
+  'settings.waveform.sawtooth': 'Sawtooth',
+  'settings.patch.attack': 'Attack:',
+  'settings.patch.decay': 'Decay:',
+  'settings.patch.sustain': 'Sustain level:',
+  'settings.patch.release': 'Release:',
+  'settings.patch.cutoff': 'Filter cutoff (× pitch):',
+  'settings.patch.resonance': 'Filter resonance (Q):',
+  'settings.patch.detune': 'Chorus detune:',
+  'settings.patch.harmonic2': '2nd partial:',
+  'settings.patch.harmonic3': '3rd partial:',
+  'settings.patch.harmonic4': '4th partial:',
+  'settings.patch.fmRatio': 'FM ratio:',
+  'settings.patch.fmIndex': 'FM depth:',
+  'settings.instrument': 'Instrument:',
+  'settings.sampleFiles': 'Sample files (named by pitch, e.g. C4.wav):',
+  'settings.clear': 'Clear',
+  'settings.midiInput': 'MIDI input:',
+  'settings.findDevices': 'Find devices',
+  'settings.midiSound': 'Play sound for MIDI notes:',
+  'settings.questionSource': 'Question source (MIDI file):',
+  'settings.useSource': 'Draw notes, intervals and dictation melodies from the imported file:',
+  'settings.timedScoring': 'Challenge scoring (30s, 60s, 2 min):',
+  'settings.timedScoring.count': 'One point per correct answer',
+  'settings.timedScoring.speed': 'Faster answers score more',
+  'settings.spacedRepetition': 'Focus on due & weak items (spaced repetition):',
+  'settings.nameInversions': 'Name the inversion in Chord ID:',
+  'settings.progressionAnswer': 'Progression answers:',
+  'settings.progressionAnswer.whole': 'Whole progression',
+  'settings.progressionAnswer.chords': 'Chord by chord',
+  'settings.degreeLabels': 'Scale degree answers:',
+  'settings.degreeLabels.numbers': 'Numbers (1–7)',
+  'settings.degreeLabels.solfege': 'Movable-do solfège',
+  'settings.keyContext': 'Key context for scale degrees:',
+  'settings.keyContext.cadence': 'Cadence before every question',
+  'settings.keyContext.drone': 'Tonic drone under every question',
+  'settings.keyContext.keyChange': 'Cadence only when the key changes',
+  'settings.singPrompt': 'Sing-back prompt:',
+  'settings.singPrompt.play': 'Play the target',
+  'settings.singPrompt.name': 'Only name the target',
+  'settings.backup': 'Backup (scores, statistics, settings):',
+  'settings.download': 'Download',
+  'settings.restore': 'Restore',
+  'settings.resetScore': 'Reset Score & Streak',
+  'settings.resetStats': 'Reset All Statistics',
+  'settings.back': 'Back',
+
+  // Instruments, MIDI and saved data
+  'instrument.synth': 'Synth (oscillator)',
+  'instrument.custom': 'Custom samples',
+  'instrument.loading': 'Loading {instrument} samples…',
+  'instrument.unavailable': '{instrument} samples unavailable — using synth',
+  'instrument.loaded': '{instrument}: {count} samples loaded',
+  'instrument.saveFailed': 'Could not save sample files: {reason}',
+  'instrument.clearFailed': 'Could not clear sample files: {reason}',
+  'instrument.noStorage': 'storage unavailable',
+  'midi.none': 'None',
+  'midi.savedDevice': 'Saved device (not connected)',
+  'midi.connected': 'Connected',
+  'midi.notConnected': 'Not connected — plug the device in or pick another',
+  'midi.unavailable': 'MIDI unavailable: {reason}',
+  'midiFile.none': 'No file imported',
+  'midiFile.loaded': '{name} — {count} notes',
+  'midiFile.noMelody': 'No melody found in {name}',
+  'data.saveFull': 'Progress is not being saved: browser storage is full. Download a backup in Settings to keep it.',
+  'data.saveUnavailable': 'Progress is not being saved: browser storage is unavailable. Download a backup in Settings to keep it.',
+  'data.repaired': 'Saved data was repaired: {repairs}.',
+  'data.unreadable': 'Saved data could not be read ({reason}). Starting fresh; the old data was kept under "{key}" in browser storage.',
+  'data.newerVersion': 'This data was saved by a newer version of Pitch Trainer',
+  'data.notData': 'Not Pitch Trainer data',
+  'data.notBackup': 'Not a Pitch Trainer backup file',
+  'data.backupDownloaded': 'Backup downloaded.',
+  'data.restoreConfirm': 'Replace all scores, statistics and settings with the contents of {name}?',
+  'data.restored': 'Restored from {name}.',
+  'data.restoredRepairs': 'Restored from {name} with repairs: {repairs}.',
+  'data.restoreFailed': 'Could not restore: {reason}',
+  'repair.reset': '{field} was invalid and was reset',
+  'repair.bestStreak': 'Best streaks',
+  'repair.settings': 'Settings',
+  'repair.setting': 'Setting "{name}"',
+  'repair.patch': 'Synth patch "{name}"',
+  'repair.stats': 'Statistics',
+  'repair.statsPart': 'Statistics "{name}"',
+  'repair.drills': '{count} malformed custom drills were dropped',
+  'repair.source': 'The imported MIDI question source was invalid and was removed',
+  'repair.log': '{count} malformed answer log entries were dropped',
+  'repair.runs': '{count} malformed challenge results were dropped',
+  'repair.bests': '{count} malformed challenge bests were dropped',
+  'repair.daily': 'A malformed daily challenge result was dropped',
+  'repair.compacted': 'Compacted answer counts were invalid and were reset',
+
+  // Answers and piano
+  'interval.0': 'Unison',
+  'interval.1': 'Minor 2nd',
+  'interval.2': 'Major 2nd',
+  'interval.3': 'Minor 3rd',
+  'interval.4': 'Major 3rd',
+  'interval.5': 'Perfect 4th',
+  'interval.6': 'Tritone',
+  'interval.7': 'Perfect 5th',
+  'interval.8': 'Minor 6th',
+  'interval.9': 'Major 6th',
+  'interval.10': 'Minor 7th',
+  'interval.11': 'Major 7th',
+  'interval.12': 'Octave',
+  'chord.Major': 'Major',
+  'chord.Minor': 'Minor',
+  'chord.Dim': 'Dim',
+  'chord.Aug': 'Aug',
+  'chord.Dom7': 'Dom7',
+  'chord.Maj7': 'Maj7',
+  'chord.Min7': 'Min7',
+  'chord.Dim7': 'Dim7',
+  'chord.m7b5': 'm7b5',
+  'chord.Sus2': 'Sus2',
+  'chord.Sus4': 'Sus4',
+  'inversionShort.0': 'root',
+  'inversionShort.1': '1st inv',
+  'inversionShort.2': '2nd inv',
+  'inversionShort.3': '3rd inv',
+  'answer.inversion': '{name} ({inversion})',
+  'scale.Major': 'Major',
+  'scale.Natural Minor': 'Natural Minor',
+  'scale.Harmonic Minor': 'Harmonic Minor',
+  'scale.Melodic Minor': 'Melodic Minor',
+  'scale.Major Pent.': 'Major Pent.',
+  'scale.Minor Pent.': 'Minor Pent.',
+  'scale.Blues': 'Blues',
+  'scale.Dorian': 'Dorian',
+  'scale.Phrygian': 'Phrygian',
+  'scale.Lydian': 'Lydian',
+  'scale.Mixolydian': 'Mixolydian',
+  'scale.Locrian': 'Locrian',
+  'scale.Whole Tone': 'Whole Tone',
+  'scale.Diminished': 'Diminished',
+  'answer.desc': '{name} (desc)',
+  'answer.notes': '{count} notes',
+  'midi.unknownChord': 'Chord not recognised: {notes}',
+  'midi.notAChoice': 'You played {answer}, which is not one of the choices',
+  'piano.input': 'Piano keyboard, use arrow keys to choose a key',
+  'piano.display': 'Piano keyboard',
+  'piano.highlights': 'Piano: {keys}',
+  'highlight.correct-key': 'correct',
+  'highlight.incorrect-key': 'wrong',
+  'highlight.missed-key': 'missed',
+  'highlight.tonic-key': 'tonic',
+  'highlight.hint-key': 'hint',
+  'highlight.other': 'highlighted',
+});
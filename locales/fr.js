@@ -0,0 +1,445 @@
+/* Pitch Trainer — French strings (Français) */
+
+I18n.register('fr', 'Français', {
+  // Header
+  'header.profile': 'Profil',
+  'header.stats': 'Statistiques',
+  'header.settings': 'Réglages',
+  'profile.new': 'Nouveau profil…',
+  'profile.rename': 'Renommer {name}…',
+  'profile.delete': 'Supprimer {name}…',
+  'profile.newPrompt': 'Nom du nouveau profil :',
+  'profile.renamePrompt': 'Renommer {name} en :',
+  'profile.deleteConfirm': 'Supprimer {name} et toutes ses statistiques ? Cette action est irréversible.',
+
+  // Modes and difficulties
+  'modes.note': 'Notes',
+  'modes.interval': 'Intervalles',
+  'modes.chord': 'Accords',
+  'modes.scale': 'Gammes',
+  'modes.dictation': 'Dictée',
+  'modes.progression': 'Enchaînements',
+  'modes.degree': 'Degrés',
+  'modes.sing': 'Chant',
+  'difficulty.easy': 'Facile',
+  'difficulty.medium': 'Moyen',
+  'difficulty.hard': 'Difficile',
+  'difficulty.adaptive': 'Adaptatif',
+  'difficulty.custom': 'Personnalisé',
+  'challenge.timed30': '30 secondes',
+  'challenge.timed60': '60 secondes',
+  'challenge.timed120': '2 minutes',
+  'challenge.suddenDeath': 'Mort subite',
+  'challenge.suddenDeathLives': 'Mort subite (3 vies)',
+  'challenge.sprint20': 'Sprint de 20 questions',
+  'challenge.speed': '{format} (score de vitesse)',
+
+  // Menu
+  'menu.sharedDrill': 'Exercice partagé',
+  'menu.start': 'Commencer',
+  'menu.dismiss': 'Ignorer',
+  'menu.chooseMode': 'Choisissez un mode',
+  'menu.note': 'Notes',
+  'menu.note.desc': 'Reconnaître la note jouée',
+  'menu.interval': 'Intervalles',
+  'menu.interval.desc': 'Reconnaître l’intervalle entre deux notes',
+  'menu.chord': 'Accords',
+  'menu.chord.desc': 'Reconnaître la nature de l’accord',
+  'menu.scale': 'Gammes',
+  'menu.scale.desc': 'Reconnaître la gamme ou le mode',
+  'menu.dictation': 'Dictée mélodique',
+  'menu.dictation.desc': 'Rejouer une courte mélodie au piano',
+  'menu.progression': 'Enchaînements',
+  'menu.progression.desc': 'Reconnaître une cadence ou un enchaînement en chiffres romains',
+  'menu.degree': 'Degrés',
+  'menu.degree.desc': 'Entendre une note comme degré de la tonalité',
+  'menu.sing': 'Chant',
+  'menu.sing.desc': 'Chanter une note ou un intervalle et voir la justesse',
+  'menu.difficulty': 'Difficulté :',
+  'menu.edit': 'Modifier',
+  'menu.new': 'Nouveau',
+  'menu.challenge': 'Défi',
+  'menu.challengeFormat': 'Format du défi',
+  'menu.customDrill': 'Exercice personnalisé',
+  'menu.keys': 'Touches : 1-8 lancent un mode, D défi du jour, flèches pour passer d’un bouton à l’autre, Échap pour revenir',
+
+  // Playing
+  'play.note': 'Quelle est cette note ?',
+  'play.interval': 'Quel est cet intervalle ?',
+  'play.chord': 'Quel est cet accord ?',
+  'play.scale': 'Quelle est cette gamme ?',
+  'play.dictation': 'Rejouez la mélodie au piano',
+  'play.degree': 'Quel est ce degré ?',
+  'play.degreeNewKey': 'Nouvelle tonalité ! Quel est ce degré ?',
+  'play.progression': 'Quel est cet enchaînement ?',
+  'play.progressionChords': 'Nommez chaque accord en chiffres romains',
+  'play.replay': 'Réécouter',
+  'play.replaysLeft': ' ({count} restantes)',
+  'play.hint': 'Indice (H)',
+  'play.scaleBtn': 'Gamme (S)',
+  'play.menu': 'Menu',
+  'play.exportShare': 'Exporter et partager',
+  'play.exportSession': 'Cette séance',
+  'play.exportBatch': 'Nouvelle série de',
+  'play.questions': 'questions',
+  'play.copyLink': 'Copier le lien de cet exercice',
+  'play.undo': 'Annuler',
+  'play.submit': 'Valider (Entrée)',
+  'play.dailyProgress': 'Défi du jour · question {index} sur {total}',
+  'play.sharedDrill': 'Exercice partagé : {drill}',
+  'play.customDrill': 'Exercice personnalisé : {name}',
+  'play.drill': 'Exercice : {items}',
+  'play.adaptive': 'Apprentissage : {count} sur {total} · dernier : {newest}',
+  'play.entered': '{item}, {count} sur {total}',
+  'play.announce': 'Question {number}. {question}',
+  'play.question': 'Question',
+  'play.challengeProgress': 'Progression du défi',
+  'play.questionCount': 'Nombre de questions',
+  'export.session': 'Pitch Trainer — séance de {mode}',
+  'export.batch': 'Pitch Trainer — {count} × {mode}',
+  'share.copied': 'Lien copié',
+  'share.adaptiveAsMedium': ' (Adaptatif est partagé en Moyen)',
+  'share.restarted': ' — relancé sur les questions partagées',
+  'share.copyPrompt': 'Copiez ce lien :',
+  'link.octaves': 'octaves {min}–{max}',
+  'link.challenge': 'défi : {format}',
+  'confirm.leaveDaily': 'Quitter le défi du jour ? La tentative d’aujourd’hui compte quand même et ne peut pas être rejouée.',
+  'confirm.leaveChallenge': 'Quitter ce défi ? La partie ne sera pas comptée.',
+  'keys.sing': 'Touches : Entrée chanter / arrêter, R réécouter, H indice (joue la cible)',
+  'keys.dictation': 'Touches : cliquez le piano pour saisir, Retour arrière annuler, Entrée valider, R réécouter, H indice',
+  'keys.chords': 'Touches : 1-9/0 et Q-P ajouter un accord, Retour arrière annuler, Entrée valider, R réécouter, H indice',
+  'keys.note': 'Touches : 1-9/0, Q-P ou piano pour répondre, R réécouter, H indice, S gamme',
+  'keys.answer': 'Touches : 1-9/0 et Q-P pour répondre, R réécouter, H indice, S gamme',
+  'score.points': '{points} pts',
+  'score.streak': 'Série : {streak} | Record : {best}',
+
+  // Sing-back
+  'sing.sing': 'Chanter',
+  'sing.stop': 'Arrêter',
+  'sing.listening': 'Écoute…',
+  'sing.ready': 'Appuyez sur Chanter (ou Entrée), puis tenez la note',
+  'sing.playNote': 'Rechantez cette note',
+  'sing.nameNote': 'Chantez {note}',
+  'sing.playInterval': 'Rechantez la deuxième note',
+  'sing.above': 'Chantez en montant depuis {note} : {interval}',
+  'sing.below': 'Chantez en descendant depuis {note} : {interval}',
+  'sing.inTune': 'Juste !',
+  'sing.outOfTune': 'Faux',
+  'sing.noPitch': 'Aucune note entendue',
+  'sing.noPitchDetail': 'Aucune note stable n’a été entendue. La cible était {target}.',
+  'sing.sang': 'Vous avez chanté {note}, à {cents} de {target} (±{tolerance}¢ acceptés).',
+  'sing.interval': '{interval} depuis {note}.',
+  'sing.waiting': 'En attente du micro…',
+  'sing.noMicrophone': 'Micro indisponible — autorisez l’accès au micro et réessayez.',
+
+  // Results
+  'result.correct': 'Correct !',
+  'result.incorrect': 'Incorrect',
+  'result.partly': 'Partiellement correct',
+  'result.answerWas': 'La réponse était {answer}.',
+  'result.youAnswered': 'Vous avez répondu {given}. La bonne réponse était {answer}.',
+  'result.playedIn': 'Joué en {inversion}, disposition {voicing}.',
+  'result.key': 'Tonalité : {key}.',
+  'result.keyNote': 'Tonalité : {key}, note : {note}.',
+  'result.notesCorrect': '{correct} notes correctes sur {total} ({pct} %).',
+  'result.chordsCorrect': '{correct} accords corrects sur {total} ({pct} %).',
+  'result.unlocked': 'Nouvel élément débloqué : {item} !',
+  'result.melody': 'Mélodie',
+  'result.played': 'Joué',
+  'result.you': 'Vous',
+  'result.next': 'Suivant (Espace)',
+  'result.finish': 'Terminer (Espace)',
+  'result.title': 'Résultat',
+  'key.major': '{tonic} majeur',
+  'inversion.0': 'position fondamentale',
+  'inversion.1': '1er renversement',
+  'inversion.2': '2e renversement',
+  'inversion.3': '3e renversement',
+  'voicing.close': 'serrée',
+  'voicing.drop2': 'drop-2',
+  'voicing.open': 'large',
+
+  // Challenge and daily results
+  'countdown.lives': 'Mort subite : {lives} vies',
+  'countdown.sprint': '{questions} questions contre la montre',
+  'countdown.clock': '{format} au chronomètre',
+  'countdown.ready': 'Préparez-vous. {format}',
+  'timed.outOfLives': 'Plus de vies !',
+  'timed.sprintDone': 'Sprint terminé !',
+  'timed.timeUp': 'Temps écoulé !',
+  'timed.totalTime': 'temps total',
+  'timed.points': 'points',
+  'timed.correctAnswers': 'bonnes réponses',
+  'timed.accuracy': '{correct} sur {total} correctes ({pct} %)',
+  'timed.penalty': ' · +{time} pour les erreurs',
+  'timed.median': ' · temps de réponse médian {time}',
+  'timed.secondsLeft': 'Plus que {seconds} secondes',
+  'timed.livesLeft': 'plus que {lives} vies',
+  'timed.newBest': 'Nouveau record !',
+  'timed.best': 'Record ({format}, {difficulty}) : {score}',
+  'timed.retry': 'Recommencer',
+  'daily.title': 'Défi du jour',
+  'daily.done': 'Fait aujourd’hui : {correct} / {total}',
+  'daily.intro': '{total} questions variées, les mêmes pour tous aujourd’hui',
+  'daily.streakSuffix': ' · {streak} jours d’affilée',
+  'daily.summary': '{pct} % de réussite en {time}',
+  'daily.stopped': 'Arrêté après {answered} questions sur {total}',
+  'daily.streak': 'Jours d’affilée : {current} | Record : {best}',
+  'daily.next': 'Un nouveau défi sera disponible demain.',
+
+  // Statistics
+  'stats.title': 'Statistiques',
+  'stats.overview': 'Vue d’ensemble',
+  'stats.progress': 'Progression',
+  'stats.back': 'Retour',
+  'stats.questionsAnswered': 'Questions répondues',
+  'stats.overallAccuracy': 'Réussite globale',
+  'stats.totalCorrect': 'Total correct',
+  'stats.dueForReview': 'À réviser',
+  'stats.bestStreak': 'Meilleure série ({mode})',
+  'stats.challengeBests': 'Records des défis · {format} · {difficulty}',
+  'stats.bestsTitle': 'Records des défis',
+  'stats.format': 'Format',
+  'stats.difficulty': 'Difficulté',
+  'stats.best': 'Record',
+  'stats.notRecorded': 'Non enregistrée',
+  'stats.areasToPractice': 'À travailler',
+  'stats.weakItem': '{name} ({mode}) – {pct} % ({correct}/{total})',
+  'stats.empty': 'Pas encore de données. Jouez quelques parties pour voir vos statistiques !',
+  'stats.medianTime': 'Temps de réponse médian (bonnes réponses)',
+  'stats.focusAreas': 'Points à travailler',
+  'stats.accuracy': '{name} – {pct} % de réussite ({correct}/{total})',
+  'stats.confusion': 'Vous entendez {heard} comme {answered} {pct} % du temps ({count}/{total})',
+  'stats.drill': 'S’exercer',
+  'stats.confusionMatrix': 'Matrice de confusion',
+  'stats.confusionCorner': 'entendu ↓ répondu →',
+  'stats.confusionCell': '{heard} répondu comme {answered} : {count}/{total} ({pct} %)',
+  'stats.frontier': 'Progression adaptative',
+  'stats.frontierSummary': '{count} éléments débloqués sur {total}',
+  'stats.frontierAnswers': '{count} réponses',
+  'stats.frontierNext': 'Prochain : {item} — débloqué quand chaque élément ci-dessus atteint {pct} % sur au moins {answers} réponses.',
+  'stats.frontierDone': 'Tout est débloqué !',
+
+  // Progress charts
+  'progress.allModes': 'Tous les modes',
+  'progress.allItems': 'Tous les éléments',
+  'progress.mode': 'Mode',
+  'progress.item': 'Élément',
+  'progress.range': 'Période',
+  'progress.groupBy': 'Regrouper par',
+  'progress.range.7': '7 derniers jours',
+  'progress.range.30': '30 derniers jours',
+  'progress.range.90': '90 derniers jours',
+  'progress.range.365': 'Dernière année',
+  'progress.range.0': 'Depuis le début',
+  'progress.day': 'Par jour',
+  'progress.week': 'Par semaine',
+  'progress.empty': 'Aucune réponse enregistrée sur cette période.',
+  'progress.accuracy': 'Précision',
+  'progress.answers': 'Réponses',
+  'progress.rolling.day': 'Moyenne glissante sur {count} jours',
+  'progress.rolling.week': 'Moyenne glissante sur {count} semaines',
+  'progress.rolling.run': 'Moyenne glissante sur {count} parties',
+  'progress.challenge': 'Défi : {format}',
+  'progress.challengeSeconds': 'Défi : {format}, secondes (moins c’est mieux)',
+  'progress.allModesSuffix': ' (tous les modes)',
+  'progress.score': 'Score',
+
+  // Custom drill editor
+  'drill.title': 'Exercice personnalisé',
+  'drill.new': 'Nouvel exercice personnalisé',
+  'drill.edit': 'Modifier l’exercice personnalisé',
+  'drill.name': 'Nom :',
+  'drill.namePlaceholder': 'p. ex. 3m ou 3M',
+  'drill.notes': 'Notes',
+  'drill.intervals': 'Intervalles',
+  'drill.chords': 'Accords',
+  'drill.inversions': 'Aussi dans chaque renversement',
+  'drill.duration': 'Durée des notes :',
+  'drill.replays': 'Réécoutes :',
+  'drill.unlimited': 'Illimitées',
+  'drill.noReplays': 'Aucune',
+  'drill.hint': 'Notes, intervalles et accords utilisent exactement ce qui est coché. Les autres modes, ou un mode sans rien de coché, utilisent la sélection Moyen à ce tempo.',
+  'drill.save': 'Enregistrer',
+  'drill.delete': 'Supprimer',
+  'drill.cancel': 'Annuler',
+  'drill.needName': 'Donnez un nom à l’exercice.',
+  'drill.needItems': 'Cochez au moins une note, un intervalle ou un accord.',
+  'drill.deleteConfirm': 'Supprimer l’exercice personnalisé {name} ?',
+
+  // Settings
+  'settings.title': 'Réglages',
+  'settings.language': 'Langue :',
+  'settings.noteNames': 'Noms des notes :',
+  'settings.noteNames.english': 'Anglais (C D E … B)',
+  'settings.noteNames.german': 'Allemand (C D E … H, B pour si♭)',
+  'settings.noteNames.solfege': 'Solfège à do fixe (Do Ré Mi)',
+  'settings.accidentals': 'Touches noires en :',
+  'settings.accidentals.sharps': 'Dièses',
+  'settings.accidentals.flats': 'Bémols',
+  'settings.accidentals.context': 'Selon la tonalité',
+  'settings.octaveRange': 'Étendue (octaves) :',
+  'settings.to': 'à',
+  'settings.volume': 'Volume :',
+  'settings.refTone': 'Diapason (la4) avant chaque question :',
+  'settings.synthPatch': 'Son du synthé :',
+  'settings.synthPatch.classic': 'Classique',
+  'settings.synthPatch.organ': 'Orgue',
+  'settings.synthPatch.strings': 'Cordes',
+  'settings.synthPatch.bell': 'Cloche (FM)',
+  'settings.synthPatch.plucked': 'Pincé',
+  'settings.synthPatch.custom': 'Personnalisé',
+  'settings.preview': 'Écouter',
+  'settings.advancedSynth': 'Réglages avancés du synthé',
+  'settings.waveform': 'Forme d’onde :',
+  'settings.waveform.triangle': 'Triangle',
+  'settings.waveform.sine': 'Sinus',
+  'settings.waveform.square': 'Carrée',
+  'settings.waveform.sawtooth': 'Dents de scie',
+  'settings.patch.attack': 'Attaque :',
+  'settings.patch.decay': 'Déclin :',
+  'settings.patch.sustain': 'Niveau de maintien :',
+  'settings.patch.release': 'Relâchement :',
+  'settings.patch.cutoff': 'Coupure du filtre (× hauteur) :',
+  'settings.patch.resonance': 'Résonance du filtre (Q) :',
+  'settings.patch.detune': 'Désaccord du chorus :',
+  'settings.patch.harmonic2': '2e partiel :',
+  'settings.patch.harmonic3': '3e partiel :',
+  'settings.patch.harmonic4': '4e partiel :',
+  'settings.patch.fmRatio': 'Rapport FM :',
+  'settings.patch.fmIndex': 'Profondeur FM :',
+  'settings.instrument': 'Instrument :',
+  'settings.sampleFiles': 'Fichiers d’échantillons (nommés par hauteur, p. ex. C4.wav) :',
+  'settings.clear': 'Effacer',
+  'settings.midiInput': 'Entrée MIDI :',
+  'settings.findDevices': 'Chercher les appareils',
+  'settings.midiSound': 'Jouer le son des notes MIDI :',
+  'settings.questionSource': 'Source des questions (fichier MIDI) :',
+  'settings.useSource': 'Tirer les notes, intervalles et mélodies de dictée du fichier importé :',
+  'settings.timedScoring': 'Score des défis (30 s, 60 s, 2 min) :',
+  'settings.timedScoring.count': 'Un point par bonne réponse',
+  'settings.timedScoring.speed': 'Les réponses rapides rapportent plus',
+  'settings.spacedRepetition': 'Privilégier les éléments à revoir et faibles (répétition espacée) :',
+  'settings.nameInversions': 'Nommer le renversement en identification d’accords :',
+  'settings.progressionAnswer': 'Réponses aux progressions :',
+  'settings.progressionAnswer.whole': 'Progression entière',
+  'settings.progressionAnswer.chords': 'Accord par accord',
+  'settings.degreeLabels': 'Réponses aux degrés :',
+  'settings.degreeLabels.numbers': 'Chiffres (1–7)',
+  'settings.degreeLabels.solfege': 'Solfège à do mobile',
+  'settings.keyContext': 'Contexte tonal des degrés :',
+  'settings.keyContext.cadence': 'Cadence avant chaque question',
+  'settings.keyContext.drone': 'Bourdon de tonique sous chaque question',
+  'settings.keyContext.keyChange': 'Cadence seulement quand la tonalité change',
+  'settings.singPrompt': 'Consigne du chant :',
+  'settings.singPrompt.play': 'Jouer la cible',
+  'settings.singPrompt.name': 'Seulement nommer la cible',
+  'settings.backup': 'Sauvegarde (scores, statistiques, réglages) :',
+  'settings.download': 'Télécharger',
+  'settings.restore': 'Restaurer',
+  'settings.resetScore': 'Remettre à zéro score et série',
+  'settings.resetStats': 'Effacer toutes les statistiques',
+  'settings.back': 'Retour',
+
+  // Instruments, MIDI and saved data
+  'instrument.synth': 'Synthé (oscillateur)',
+  'instrument.custom': 'Échantillons personnels',
+  'instrument.loading': 'Chargement des échantillons : {instrument}…',
+  'instrument.unavailable': 'Échantillons indisponibles ({instrument}) — synthé utilisé',
+  'instrument.loaded': '{instrument} : {count} échantillons chargés',
+  'instrument.saveFailed': 'Impossible d’enregistrer les échantillons : {reason}',
+  'instrument.clearFailed': 'Impossible d’effacer les échantillons : {reason}',
+  'instrument.noStorage': 'stockage indisponible',
+  'midi.none': 'Aucune',
+  'midi.savedDevice': 'Appareil enregistré (non connecté)',
+  'midi.connected': 'Connecté',
+  'midi.notConnected': 'Non connecté — branchez l’appareil ou choisissez-en un autre',
+  'midi.unavailable': 'MIDI indisponible : {reason}',
+  'midiFile.none': 'Aucun fichier importé',
+  'midiFile.loaded': '{name} — {count} notes',
+  'midiFile.noMelody': 'Aucune mélodie trouvée dans {name}',
+  'data.saveFull': 'La progression n’est pas enregistrée : le stockage du navigateur est plein. Téléchargez une sauvegarde dans les Réglages pour la conserver.',
+  'data.saveUnavailable': 'La progression n’est pas enregistrée : le stockage du navigateur est indisponible. Téléchargez une sauvegarde dans les Réglages pour la conserver.',
+  'data.repaired': 'Les données enregistrées ont été réparées : {repairs}.',
+  'data.unreadable': 'Les données enregistrées sont illisibles ({reason}). Nouveau départ ; les anciennes données sont conservées sous « {key} » dans le stockage du navigateur.',
+  'data.newerVersion': 'Ces données proviennent d’une version plus récente de Pitch Trainer',
+  'data.notData': 'Ce ne sont pas des données Pitch Trainer',
+  'data.notBackup': 'Ce n’est pas une sauvegarde Pitch Trainer',
+  'data.backupDownloaded': 'Sauvegarde téléchargée.',
+  'data.restoreConfirm': 'Remplacer tous les scores, statistiques et réglages par le contenu de {name} ?',
+  'data.restored': 'Restauré depuis {name}.',
+  'data.restoredRepairs': 'Restauré depuis {name} avec réparations : {repairs}.',
+  'data.restoreFailed': 'Restauration impossible : {reason}',
+  'repair.reset': '{field} : valeur invalide, réinitialisée',
+  'repair.bestStreak': 'Meilleures séries',
+  'repair.settings': 'Réglages',
+  'repair.setting': 'Réglage « {name} »',
+  'repair.patch': 'Paramètre de son « {name} »',
+  'repair.stats': 'Statistiques',
+  'repair.statsPart': 'Statistiques « {name} »',
+  'repair.drills': '{count} exercices personnalisés invalides ont été supprimés',
+  'repair.source': 'La source de questions MIDI importée était invalide et a été retirée',
+  'repair.log': '{count} entrées invalides du journal des réponses ont été supprimées',
+  'repair.runs': '{count} résultats de défi invalides ont été supprimés',
+  'repair.bests': '{count} records de défi invalides ont été supprimés',
+  'repair.daily': 'Un résultat invalide du défi du jour a été supprimé',
+  'repair.compacted': 'Les totaux de réponses compactés étaient invalides et ont été réinitialisés',
+
+  // Answers and piano
+  'interval.0': 'Unisson',
+  'interval.1': 'Seconde mineure',
+  'interval.2': 'Seconde majeure',
+  'interval.3': 'Tierce mineure',
+  'interval.4': 'Tierce majeure',
+  'interval.5': 'Quarte juste',
+  'interval.6': 'Triton',
+  'interval.7': 'Quinte juste',
+  'interval.8': 'Sixte mineure',
+  'interval.9': 'Sixte majeure',
+  'interval.10': 'Septième mineure',
+  'interval.11': 'Septième majeure',
+  'interval.12': 'Octave',
+  'chord.Major': 'Majeur',
+  'chord.Minor': 'Mineur',
+  'chord.Dim': 'Diminué',
+  'chord.Aug': 'Augmenté',
+  'chord.Dom7': '7e de dom.',
+  'chord.Maj7': '7e maj.',
+  'chord.Min7': '7e min.',
+  'chord.Dim7': '7e dim.',
+  'chord.m7b5': 'm7b5',
+  'chord.Sus2': 'Sus2',
+  'chord.Sus4': 'Sus4',
+  'inversionShort.0': 'fond.',
+  'inversionShort.1': '1er renv.',
+  'inversionShort.2': '2e renv.',
+  'inversionShort.3': '3e renv.',
+  'answer.inversion': '{name} ({inversion})',
+  'scale.Major': 'Majeur',
+  'scale.Natural Minor': 'Mineur naturel',
+  'scale.Harmonic Minor': 'Mineur harmonique',
+  'scale.Melodic Minor': 'Mineur mélodique',
+  'scale.Major Pent.': 'Pent. majeure',
+  'scale.Minor Pent.': 'Pent. mineure',
+  'scale.Blues': 'Blues',
+  'scale.Dorian': 'Dorien',
+  'scale.Phrygian': 'Phrygien',
+  'scale.Lydian': 'Lydien',
+  'scale.Mixolydian': 'Mixolydien',
+  'scale.Locrian': 'Locrien',
+  'scale.Whole Tone': 'Par tons',
+  'scale.Diminished': 'Diminuée',
+  'answer.desc': '{name} (desc.)',
+  'answer.notes': '{count} notes',
+  'midi.unknownChord': 'Accord non reconnu : {notes}',
+  'midi.notAChoice': 'Vous avez joué {answer}, qui ne fait pas partie des choix',
+  'piano.input': 'Clavier de piano, choisissez une touche avec les flèches',
+  'piano.display': 'Clavier de piano',
+  'piano.highlights': 'Piano : {keys}',
+  'highlight.correct-key': 'correct',
+  'highlight.incorrect-key': 'faux',
+  'highlight.missed-key': 'manqué',
+  'highlight.tonic-key': 'tonique',
+  'highlight.hint-key': 'indice',
+  'highlight.other': 'en surbrillance',
+});
@@ -0,0 +1,133 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — MIDI Input Adapters
+   ═══════════════════════════════════════════════
+   The app talks to MIDI through an input adapter, so a stub can stand in for
+   a real controller in tests. An adapter provides:
+
+     listDevices()             -> Promise of [{ id, name }]
+     open(id, onMessage)       -> Promise; onMessage({ type, note, velocity })
+                                  is called for each 'noteon' / 'noteoff'
+     close()                   stops delivering messages
+     onDevicesChanged(handler) handler() runs when devices come and go
+
+   createWebMidiAdapter() wraps the Web MIDI API; createStubAdapter() is
+   driven by hand with press() / release() / send().
+*/
+
+var MidiInput = (function () {
+  'use strict';
+
+  // Raw MIDI bytes -> { type, note, velocity }, or null for anything that
+  // isn't a note message. Note-on with velocity 0 means note-off.
+  function parseMessage(data) {
+    var command = data[0] & 0xf0;
+    var note = data[1];
+    var velocity = data[2] || 0;
+    if (command === 0x90 && velocity > 0) return { type: 'noteon', note: note, velocity: velocity };
+    if (command === 0x80 || command === 0x90) return { type: 'noteoff', note: note, velocity: velocity };
+    return null;
+  }
+
+  function createWebMidiAdapter(requestAccess) {
+    requestAccess = requestAccess || function () {
+      if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        return Promise.reject(new Error('Web MIDI is not supported in this browser'));
+      }
+      return navigator.requestMIDIAccess();
+    };
+
+    var accessPromise = null;
+    var openInput = null;
+    var changeHandlers = [];
+
+    function getAccess() {
+      if (!accessPromise) {
+        accessPromise = requestAccess().then(function (access) {
+          access.onstatechange = function () {
+            changeHandlers.forEach(function (handler) { handler(); });
+          };
+          return access;
+        });
+        // Let a later call ask again if permission was refused
+        accessPromise.catch(function () { accessPromise = null; });
+      }
+      return accessPromise;
+    }
+
+    function listDevices() {
+      return getAccess().then(function (access) {
+        var devices = [];
+        access.inputs.forEach(function (input) {
+          devices.push({ id: input.id, name: input.name || 'MIDI input' });
+        });
+        return devices;
+      });
+    }
+
+    function open(id, onMessage) {
+      close();
+      return getAccess().then(function (access) {
+        var input = access.inputs.get(id);
+        if (!input) throw new Error('MIDI device not found');
+        input.onmidimessage = function (e) {
+          var msg = parseMessage(e.data);
+          if (msg) onMessage(msg);
+        };
+        openInput = input;
+      });
+    }
+
+    function close() {
+      if (openInput) openInput.onmidimessage = null;
+      openInput = null;
+    }
+
+    function onDevicesChanged(handler) {
+      changeHandlers.push(handler);
+    }
+
+    return { listDevices: listDevices, open: open, close: close, onDevicesChanged: onDevicesChanged };
+  }
+
+  function createStubAdapter(devices) {
+    devices = devices || [{ id: 'stub', name: 'Stub keyboard' }];
+    var listener = null;
+    var changeHandlers = [];
+
+    function send(data) {
+      var msg = parseMessage(data);
+      if (msg && listener) listener(msg);
+    }
+
+    return {
+      listDevices: function () { return Promise.resolve(devices.slice()); },
+      open: function (id, onMessage) {
+        var found = devices.some(function (d) { return d.id === id; });
+        if (!found) return Promise.reject(new Error('MIDI device not found'));
+        listener = onMessage;
+        return Promise.resolve();
+      },
+      close: function () { listener = null; },
+      onDevicesChanged: function (handler) { changeHandlers.push(handler); },
+
+      // Test controls
+      send: send,
+      press: function (note, velocity) { send([0x90, note, velocity || 100]); },
+      release: function (note) { send([0x80, note, 0]); },
+      setDevices: function (list) {
+        devices = list;
+        changeHandlers.forEach(function (handler) { handler(); });
+      },
+    };
+  }
+
+  return {
+    parseMessage: parseMessage,
+    createWebMidiAdapter: createWebMidiAdapter,
+    createStubAdapter: createStubAdapter,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MidiInput;
+}
@@ -0,0 +1,100 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — Pitch Detector (YIN)
+   ═══════════════════════════════════════════════
+   Works on plain arrays of samples with no DOM or Web Audio dependency, so it
+   can be checked against synthesized tones in Node:
+
+     var PitchDetector = require('./pitch.js');
+     PitchDetector.detectPitch(samples, 44100); // -> { freq, clarity } or null
+
+   Reference: de Cheveigné & Kawahara, "YIN, a fundamental frequency
+   estimator for speech and music" (2002).
+*/
+
+var PitchDetector = (function () {
+  'use strict';
+
+  var DEFAULTS = {
+    minFreq: 70,      // a little below a bass's low E (82 Hz)
+    maxFreq: 1100,    // a little above a soprano's high C (1047 Hz)
+    threshold: 0.15,  // YIN absolute threshold on the normalized difference
+    minRms: 0.01,     // quieter buffers count as silence
+  };
+
+  function rms(buffer) {
+    var sum = 0;
+    for (var i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+    return Math.sqrt(sum / buffer.length);
+  }
+
+  // Returns { freq, clarity } where clarity is 1 for a pure periodic tone and
+  // falls toward 0 as the signal gets noisier, or null when nothing pitched is
+  // heard (silence, noise, or a pitch outside minFreq..maxFreq).
+  function detectPitch(buffer, sampleRate, options) {
+    var opts = Object.assign({}, DEFAULTS, options);
+    if (rms(buffer) < opts.minRms) return null;
+
+    var tauMin = Math.max(2, Math.floor(sampleRate / opts.maxFreq));
+    var tauMax = Math.min(Math.floor(sampleRate / opts.minFreq), Math.floor(buffer.length / 2));
+    if (tauMax <= tauMin) return null;
+
+    var window = buffer.length - tauMax;
+    var cmnd = new Float32Array(tauMax + 1);
+    var runningSum = 0;
+    cmnd[0] = 1;
+
+    // Difference function, then cumulative mean normalization (YIN steps 2-3)
+    for (var tau = 1; tau <= tauMax; tau++) {
+      var diff = 0;
+      for (var j = 0; j < window; j++) {
+        var d = buffer[j] - buffer[j + tau];
+        diff += d * d;
+      }
+      runningSum += diff;
+      cmnd[tau] = runningSum === 0 ? 1 : diff * tau / runningSum;
+    }
+
+    // First dip below the threshold, followed down to its local minimum (step 4)
+    var best = -1;
+    for (tau = tauMin; tau < tauMax; tau++) {
+      if (cmnd[tau] < opts.threshold) {
+        while (tau + 1 < tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+        best = tau;
+        break;
+      }
+    }
+    if (best === -1) return null;
+
+    // Parabolic interpolation for sub-sample precision (step 5)
+    var period = best;
+    if (best > 1 && best < tauMax) {
+      var prev = cmnd[best - 1];
+      var next = cmnd[best + 1];
+      var denom = prev + next - 2 * cmnd[best];
+      if (denom > 0) period = best + (prev - next) / (2 * denom);
+    }
+
+    return { freq: sampleRate / period, clarity: 1 - cmnd[best] };
+  }
+
+  function freqToMidi(freq) {
+    return 69 + 12 * Math.log(freq / 440) / Math.LN2;
+  }
+
+  // Signed distance in cents from targetFreq to freq
+  function centsBetween(freq, targetFreq) {
+    return 1200 * Math.log(freq / targetFreq) / Math.LN2;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    detectPitch: detectPitch,
+    rms: rms,
+    freqToMidi: freqToMidi,
+    centsBetween: centsBetween,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PitchDetector;
+}
@@ -0,0 +1,250 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — Standard MIDI File reader/writer
+   ═══════════════════════════════════════════════
+   Times are in seconds on both sides; ticks and tempo only exist inside the
+   file. No DOM dependency, so it also loads in Node:
+
+     var MidiFile = require('./smf.js');
+     var bytes = MidiFile.write({ notes: [{ note: 60, start: 0, duration: 1, velocity: 90 }] });
+     MidiFile.parse(bytes).tracks[0].notes; // -> [{ note: 60, start: 0, duration: 1, ... }]
+*/
+
+var MidiFile = (function () {
+  'use strict';
+
+  var DEFAULT_PPQ = 480;
+  var DEFAULT_TEMPO = 120; // bpm
+
+  // ── Writing ──
+
+  function varLength(value) {
+    var bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+      bytes.unshift((value & 0x7f) | 0x80);
+      value >>= 7;
+    }
+    return bytes;
+  }
+
+  // Text events are ASCII: music symbols get their usual spelling, anything
+  // else non-ASCII becomes '?'
+  var ASCII_SPELLINGS = { '♭': 'b', '♯': '#', '♮': '', '–': '-', '—': '-', '·': '-', 'ø': 'o', '°': 'o' };
+
+  function textBytes(text) {
+    var bytes = [];
+    for (var i = 0; i < text.length; i++) {
+      var ch = text.charAt(i);
+      var spelled = ch.charCodeAt(0) < 128 ? ch : ASCII_SPELLINGS[ch];
+      if (spelled === undefined) spelled = '?';
+      for (var j = 0; j < spelled.length; j++) bytes.push(spelled.charCodeAt(j));
+    }
+    return bytes;
+  }
+
+  function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+
+  // song: { name, tempo, ppq, notes: [{ note, start, duration, velocity, channel }],
+  //         markers: [{ time, text }] } -> Uint8Array of a format-0 file
+  function write(song) {
+    var ppq = song.ppq || DEFAULT_PPQ;
+    var tempo = song.tempo || DEFAULT_TEMPO;
+    var ticksPerSecond = ppq * tempo / 60;
+    var toTicks = function (seconds) { return Math.max(0, Math.round(seconds * ticksPerSecond)); };
+
+    // Each event: { tick, order, bytes }. Note-offs sort before note-ons on
+    // the same tick so repeated notes don't cut each other off.
+    var events = [];
+    var usPerBeat = Math.round(60000000 / tempo);
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff] });
+    if (song.name) {
+      var name = textBytes(song.name);
+      events.push({ tick: 0, order: 0, bytes: [0xff, 0x03].concat(varLength(name.length), name) });
+    }
+    (song.markers || []).forEach(function (m) {
+      var text = textBytes(m.text);
+      events.push({ tick: toTicks(m.time), order: 1, bytes: [0xff, 0x06].concat(varLength(text.length), text) });
+    });
+    (song.notes || []).forEach(function (n) {
+      var channel = (n.channel || 0) & 0x0f;
+      var velocity = Math.max(1, Math.min(127, Math.round(n.velocity || 90)));
+      var on = toTicks(n.start);
+      var off = Math.max(on + 1, toTicks(n.start + n.duration));
+      events.push({ tick: on, order: 3, bytes: [0x90 | channel, n.note, velocity] });
+      events.push({ tick: off, order: 2, bytes: [0x80 | channel, n.note, 0] });
+    });
+
+    events.sort(function (a, b) { return a.tick - b.tick || a.order - b.order; });
+
+    var track = [];
+    var lastTick = 0;
+    events.forEach(function (e) {
+      Array.prototype.push.apply(track, varLength(e.tick - lastTick));
+      Array.prototype.push.apply(track, e.bytes);
+      lastTick = e.tick;
+    });
+    track.push(0x00, 0xff, 0x2f, 0x00); // end of track
+
+    var header = [0x4d, 0x54, 0x68, 0x64].concat(uint32(6), [0, 0, 0, 1, (ppq >> 8) & 0xff, ppq & 0xff]);
+    var trackHeader = [0x4d, 0x54, 0x72, 0x6b].concat(uint32(track.length));
+    return new Uint8Array(header.concat(trackHeader, track));
+  }
+
+  // ── Reading ──
+
+  function readString(bytes, pos, length) {
+    var s = '';
+    for (var i = 0; i < length; i++) s += String.fromCharCode(bytes[pos + i]);
+    return s;
+  }
+
+  function readUint32(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+  }
+
+  // Returns the raw events of one track chunk: { tick, type, ... }
+  function readTrack(bytes, start, end) {
+    var events = [];
+    var pos = start;
+    var tick = 0;
+    var runningStatus = 0;
+
+    function readVarLength() {
+      var value = 0;
+      var b;
+      do {
+        b = bytes[pos++];
+        value = (value << 7) | (b & 0x7f);
+      } while (b & 0x80 && pos < end);
+      return value;
+    }
+
+    while (pos < end) {
+      tick += readVarLength();
+      var status = bytes[pos];
+
+      if (status === 0xff) {
+        var metaType = bytes[pos + 1];
+        pos += 2;
+        var len = readVarLength();
+        if (metaType === 0x51 && len === 3) {
+          events.push({ tick: tick, type: 'tempo', usPerBeat: (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2] });
+        } else if (metaType === 0x03) {
+          events.push({ tick: tick, type: 'name', text: readString(bytes, pos, len) });
+        } else if (metaType === 0x2f) {
+          break;
+        }
+        pos += len;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        pos++;
+        pos += readVarLength();
+        continue;
+      }
+
+      if (status & 0x80) {
+        runningStatus = status;
+        pos++;
+      } else if (!runningStatus) {
+        throw new Error('Malformed MIDI track');
+      }
+
+      var command = runningStatus & 0xf0;
+      var channel = runningStatus & 0x0f;
+      var dataLength = (command === 0xc0 || command === 0xd0) ? 1 : 2;
+      var d1 = bytes[pos];
+      var d2 = bytes[pos + 1];
+      pos += dataLength;
+
+      if (command === 0x90 && d2 > 0) {
+        events.push({ tick: tick, type: 'noteon', note: d1, velocity: d2, channel: channel });
+      } else if (command === 0x80 || command === 0x90) {
+        events.push({ tick: tick, type: 'noteoff', note: d1, channel: channel });
+      }
+    }
+    return events;
+  }
+
+  // Converts ticks to seconds through every tempo change in the file
+  function makeTickClock(tempoEvents, ppq) {
+    var changes = tempoEvents.slice().sort(function (a, b) { return a.tick - b.tick; });
+    return function (tick) {
+      var seconds = 0;
+      var lastTick = 0;
+      var usPerBeat = 500000;
+      for (var i = 0; i < changes.length && changes[i].tick < tick; i++) {
+        seconds += (changes[i].tick - lastTick) * usPerBeat / 1e6 / ppq;
+        lastTick = changes[i].tick;
+        usPerBeat = changes[i].usPerBeat;
+      }
+      return seconds + (tick - lastTick) * usPerBeat / 1e6 / ppq;
+    };
+  }
+
+  // bytes: Uint8Array or ArrayBuffer -> { format, tracks: [{ name, notes }] }
+  // where notes are { note, start, duration, velocity, channel } sorted by start.
+  function parse(input) {
+    var bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    if (readString(bytes, 0, 4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+
+    var headerLength = readUint32(bytes, 4);
+    var format = (bytes[8] << 8) | bytes[9];
+    var division = (bytes[12] << 8) | bytes[13];
+
+    var rawTracks = [];
+    var pos = 8 + headerLength;
+    while (pos + 8 <= bytes.length) {
+      var chunkType = readString(bytes, pos, 4);
+      var length = readUint32(bytes, pos + 4);
+      var end = Math.min(bytes.length, pos + 8 + length);
+      if (chunkType === 'MTrk') rawTracks.push(readTrack(bytes, pos + 8, end));
+      pos = end;
+    }
+
+    var toSeconds;
+    if (division & 0x8000) {
+      // SMPTE timing: frames per second and ticks per frame, no tempo
+      var fps = 256 - (division >> 8);
+      var perFrame = division & 0xff;
+      toSeconds = function (tick) { return tick / (fps * perFrame); };
+    } else {
+      var tempoEvents = [];
+      rawTracks.forEach(function (events) {
+        events.forEach(function (e) { if (e.type === 'tempo') tempoEvents.push(e); });
+      });
+      toSeconds = makeTickClock(tempoEvents, division);
+    }
+
+    var tracks = rawTracks.map(function (events) {
+      var name = '';
+      var open = {};
+      var notes = [];
+      events.forEach(function (e) {
+        var id = e.channel + ':' + e.note;
+        if (e.type === 'name' && !name) {
+          name = e.text;
+        } else if (e.type === 'noteon') {
+          (open[id] = open[id] || []).push(e);
+        } else if (e.type === 'noteoff' && open[id] && open[id].length) {
+          var on = open[id].shift();
+          var start = toSeconds(on.tick);
+          notes.push({ note: on.note, start: start, duration: toSeconds(e.tick) - start, velocity: on.velocity, channel: on.channel });
+        }
+      });
+      notes.sort(function (a, b) { return a.start - b.start || a.note - b.note; });
+      return { name: name, notes: notes };
+    });
+
+    return { format: format, tracks: tracks };
+  }
+
+  return { write: write, parse: parse };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MidiFile;
+}
@@ -0,0 +1,218 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — MIDI stub check
+   ═══════════════════════════════════════════════
+   Loads the app into a bare-bones DOM, installs MidiInput.createStubAdapter()
+   with setMidiAdapter, and answers Note, Interval and Chord questions by
+   pressing keys on the stub. Run with:
+
+     node test/midi-stub.js
+*/
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ROOT = path.join(__dirname, '..');
+var SCRIPTS = ['i18n.js', 'locales/en.js', 'pitch.js', 'midi-input.js', 'smf.js', 'app.js'];
+
+// ── Fake DOM: just enough for the app to render and click its buttons ──
+
+function FakeElement(tag) {
+  this.tagName = (tag || 'div').toUpperCase();
+  this.children = [];
+  this.parentNode = null;
+  this.dataset = {};
+  this.style = { setProperty: function () {} };
+  this.attributes = {};
+  this.listeners = {};
+  this.options = [];
+  this.value = '';
+  this.checked = false;
+  this.disabled = false;
+  this.textContent = '';
+  var classes = [];
+  this.classList = {
+    add: function () { Array.prototype.forEach.call(arguments, function (c) { if (classes.indexOf(c) === -1) classes.push(c); }); },
+    remove: function () { Array.prototype.forEach.call(arguments, function (c) { var i = classes.indexOf(c); if (i !== -1) classes.splice(i, 1); }); },
+    toggle: function (c, force) { (force === undefined ? classes.indexOf(c) === -1 : force) ? this.add(c) : this.remove(c); },
+    contains: function (c) { return classes.indexOf(c) !== -1; },
+  };
+  Object.defineProperty(this, 'className', {
+    get: function () { return classes.join(' '); },
+    set: function (v) { classes = String(v).split(/\s+/).filter(Boolean); },
+  });
+}
+
+Object.defineProperty(FakeElement.prototype, 'innerHTML', {
+  get: function () { return ''; },
+  set: function () { this.children = []; },
+});
+
+FakeElement.prototype.appendChild = function (child) {
+  child.parentNode = this;
+  this.children.push(child);
+  if (child.tagName === 'OPTION') this.options.push(child);
+  return child;
+};
+FakeElement.prototype.insertBefore = FakeElement.prototype.appendChild;
+FakeElement.prototype.append = FakeElement.prototype.appendChild;
+FakeElement.prototype.remove = function () {};
+FakeElement.prototype.addEventListener = function (type, fn) {
+  (this.listeners[type] = this.listeners[type] || []).push(fn);
+};
+FakeElement.prototype.removeEventListener = function () {};
+FakeElement.prototype.click = function () {
+  var self = this;
+  (this.listeners.click || []).forEach(function (fn) { fn({ target: self, preventDefault: function () {} }); });
+};
+FakeElement.prototype.focus = function () {};
+FakeElement.prototype.blur = function () {};
+FakeElement.prototype.scrollIntoView = function () {};
+FakeElement.prototype.setAttribute = function (name, value) { this.attributes[name] = String(value); };
+FakeElement.prototype.getAttribute = function (name) { return this.attributes[name] || null; };
+FakeElement.prototype.removeAttribute = function (name) { delete this.attributes[name]; };
+FakeElement.prototype.contains = function () { return false; };
+FakeElement.prototype.closest = function () { return null; };
+FakeElement.prototype.matches = function (sel) { return matches(this, sel); };
+FakeElement.prototype.getBoundingClientRect = function () { return { left: 0, top: 0, width: 0, height: 0 }; };
+FakeElement.prototype.querySelectorAll = function (sel) {
+  var found = [];
+  (function walk(node) {
+    (node.children || []).forEach(function (child) {
+      if (matches(child, sel)) found.push(child);
+      walk(child);
+    });
+  })(this);
+  return found;
+};
+FakeElement.prototype.querySelector = function (sel) {
+  return this.querySelectorAll(sel)[0] || null;
+};
+
+// Compound selectors only: tag, .class, [data-x="y"], :not(.class), :not(:disabled)
+function matches(el, sel) {
+  if (!el.tagName) return false;
+  return sel.split(',').some(function (part) {
+    var rest = part.trim();
+    var ok = true;
+    rest = rest.replace(/:not\(([^)]*)\)/g, function (m, inner) {
+      if (inner === ':disabled' ? el.disabled : matches(el, inner)) ok = false;
+      return '';
+    });
+    rest = rest.replace(/\[([\w-]+)(?:="([^"]*)")?\]/g, function (m, name, value) {
+      var actual = name.indexOf('data-') === 0
+        ? el.dataset[name.slice(5).replace(/-(\w)/g, function (x, c) { return c.toUpperCase(); })]
+        : el.attributes[name];
+      if (actual === undefined || (value !== undefined && String(actual) !== value)) ok = false;
+      return '';
+    });
+    rest = rest.replace(/\.([\w-]+)/g, function (m, cls) {
+      if (!el.classList.contains(cls)) ok = false;
+      return '';
+    });
+    if (rest && rest.toUpperCase() !== el.tagName) ok = false;
+    return ok;
+  });
+}
+
+// Every static element the app looks up exists, created on first lookup
+var byId = {};
+var document = {
+  body: new FakeElement('body'),
+  documentElement: new FakeElement('html'),
+  activeElement: null,
+  createElement: function (tag) { return new FakeElement(tag); },
+  createTextNode: function (text) { return { textContent: String(text) }; },
+  createElementNS: function (ns, tag) { return new FakeElement(tag); },
+  addEventListener: function () {},
+  querySelector: function (sel) {
+    if (!byId[sel]) byId[sel] = new FakeElement('div');
+    return byId[sel];
+  },
+  querySelectorAll: function () { return []; },
+};
+
+var storage = {};
+var context = {
+  console: console,
+  document: document,
+  window: { addEventListener: function () {} },
+  navigator: {},
+  location: { hash: '', origin: 'http://localhost', pathname: '/', search: '' },
+  history: { replaceState: function () {} },
+  localStorage: {
+    getItem: function (k) { return Object.prototype.hasOwnProperty.call(storage, k) ? storage[k] : null; },
+    setItem: function (k, v) { storage[k] = String(v); },
+    removeItem: function (k) { delete storage[k]; },
+  },
+  setTimeout: setTimeout,
+  clearTimeout: clearTimeout,
+  setInterval: setInterval,
+  clearInterval: clearInterval,
+  Promise: Promise,
+  URLSearchParams: URLSearchParams,
+};
+context.window.document = document;
+vm.createContext(context);
+vm.runInContext(SCRIPTS.map(function (file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}).join('\n;\n'), context, { filename: 'pitch-trainer' });
+
+// ── The check ──
+
+var app = vm.runInContext('({ state: state, setMidiAdapter: setMidiAdapter, connectMidiDevice: connectMidiDevice,' +
+  ' handleModeSelect: handleModeSelect, handleNext: handleNext, init: init, NOTE_NAMES: NOTE_NAMES })', context);
+// Nothing is heard in Node
+vm.runInContext('playNote = function () {}; ensureAudioContext = function () { return null; };', context);
+
+app.init();
+var stub = context.MidiInput.createStubAdapter();
+app.setMidiAdapter(stub);
+
+function tap(note) {
+  stub.press(note);
+  stub.release(note);
+}
+
+app.connectMidiDevice('stub').then(function () {
+  var q;
+  app.state.difficulty = 'medium';
+
+  // Note ID: any octave of the answer
+  app.handleModeSelect('note');
+  q = app.state.currentQuestion;
+  tap(q.midi + 12);
+  assert.strictEqual(app.state.screen, 'result', 'note: a key press answers the question');
+  assert.strictEqual(app.state.userAnswer, q.answer, 'note: the pressed key is graded as ' + q.answer);
+
+  app.handleNext();
+  q = app.state.currentQuestion;
+  tap(q.midi + 1);
+  assert.strictEqual(app.state.userAnswer, app.NOTE_NAMES[(q.midi + 1) % 12], 'note: a wrong key is graded wrong');
+
+  // Interval ID: both notes, in the order played
+  app.handleModeSelect('interval');
+  q = app.state.currentQuestion;
+  tap(q.midi1);
+  assert.strictEqual(app.state.screen, 'playing', 'interval: one note is not an answer yet');
+  tap(q.midi2);
+  assert.strictEqual(app.state.screen, 'result', 'interval: the second note answers');
+  assert.strictEqual(app.state.userAnswer, q.answer, 'interval: graded as ' + q.answer);
+
+  // Chord ID: held together, answered when every key is up
+  app.handleModeSelect('chord');
+  q = app.state.currentQuestion;
+  q.midiNotes.forEach(function (m) { stub.press(m); });
+  assert.strictEqual(app.state.screen, 'playing', 'chord: nothing is answered while keys are held');
+  q.midiNotes.forEach(function (m) { stub.release(m); });
+  assert.strictEqual(app.state.screen, 'result', 'chord: releasing every key answers');
+  assert.strictEqual(app.state.userAnswer, q.answer, 'chord: graded as ' + q.answer);
+
+  console.log('MIDI stub check passed: Note, Interval and Chord answered through the stub adapter.');
+}).catch(function (err) {
+  console.error(err.stack || err);
+  process.exitCode = 1;
+});
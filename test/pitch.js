@@ -0,0 +1,71 @@
+/* ═══════════════════════════════════════════════
+   Pitch Trainer — Pitch detector check
+   ═══════════════════════════════════════════════
+   Runs synthesized sine and harmonic tones through PitchDetector.detectPitch
+   at the microphone's buffer size and checks how many cents off the result
+   is; silence and noise must come back as null. Run with:
+
+     node test/pitch.js
+*/
+
+'use strict';
+
+var assert = require('assert');
+var PitchDetector = require('../pitch.js');
+
+var SAMPLE_RATES = [44100, 48000];
+var BUFFER_SIZE = 2048;           // the analyser's fftSize in app.js
+var MAX_CENTS = 2;
+var FREQS = [82.41, 110, 196, 261.63, 440, 659.26, 1046.5];
+
+// Partials as [harmonic number, amplitude]
+var SINE = [[1, 1]];
+var HARMONIC = [[1, 1], [2, 0.5], [3, 0.33], [4, 0.25], [5, 0.2]];
+
+function tone(freq, sampleRate, partials, gain) {
+  var buffer = new Float32Array(BUFFER_SIZE);
+  var peak = partials.reduce(function (sum, p) { return sum + p[1]; }, 0);
+  for (var i = 0; i < BUFFER_SIZE; i++) {
+    var t = i / sampleRate;
+    var v = 0;
+    partials.forEach(function (p) { v += p[1] * Math.sin(2 * Math.PI * freq * p[0] * t); });
+    buffer[i] = gain * v / peak;
+  }
+  return buffer;
+}
+
+// Seeded so a failure reproduces
+function noise(seed) {
+  var buffer = new Float32Array(BUFFER_SIZE);
+  var s = seed;
+  for (var i = 0; i < BUFFER_SIZE; i++) {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    buffer[i] = s / 4294967296 - 0.5;
+  }
+  return buffer;
+}
+
+var worst = 0;
+SAMPLE_RATES.forEach(function (rate) {
+  [['sine', SINE], ['harmonic', HARMONIC]].forEach(function (kind) {
+    FREQS.forEach(function (freq) {
+      var label = kind[0] + ' ' + freq + ' Hz at ' + rate + ' Hz';
+      var result = PitchDetector.detectPitch(tone(freq, rate, kind[1], 0.5), rate);
+      assert.ok(result, label + ': a pitch is detected');
+      var cents = PitchDetector.centsBetween(result.freq, freq);
+      assert.ok(Math.abs(cents) <= MAX_CENTS, label + ': ' + cents.toFixed(2) + ' cents off');
+      worst = Math.max(worst, Math.abs(cents));
+    });
+  });
+
+  assert.strictEqual(PitchDetector.detectPitch(new Float32Array(BUFFER_SIZE), rate), null,
+    'silence at ' + rate + ' Hz is not pitched');
+  assert.strictEqual(PitchDetector.detectPitch(tone(440, rate, SINE, 0.005), rate), null,
+    'a tone below minRms at ' + rate + ' Hz counts as silence');
+  [1, 2, 3, 4, 5].forEach(function (seed) {
+    assert.strictEqual(PitchDetector.detectPitch(noise(seed), rate), null,
+      'noise (seed ' + seed + ') at ' + rate + ' Hz is not pitched');
+  });
+});
+
+console.log('Pitch check passed: worst error ' + worst.toFixed(2) + ' cents; silence and noise return null.');